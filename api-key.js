@@ -0,0 +1,12 @@
+// API key handling shared by the pages: write requests need a key issued by the server admin. It is asked for once,
+// kept in this browser and dropped again when the server rejects it. Pages load this before feedback.js and their own script.
+async function fetchWithApiKey(url, options = {}) {
+    let apiKey = localStorage.getItem('salesToolApiKey');
+    if (!apiKey) {
+        apiKey = (prompt('Enter your Sales Tool API key') || '').trim();
+        if (apiKey) localStorage.setItem('salesToolApiKey', apiKey);
+    }
+    const response = await fetch(url, { ...options, headers: { ...options.headers, 'X-API-Key': apiKey || '' } });
+    if (response.status === 401) localStorage.removeItem('salesToolApiKey');
+    return response;
+}
@@ -0,0 +1,99 @@
+// Feedback bar shared by the generator pages: rate a result, mark it sent or replied to, or share the edited text.
+// Pages load this after api-key.js (feedback is a write request) and before their own script. The accent
+// colour follows the page theme through --feedback-accent and --feedback-accent-soft on .feedback-bar.
+(function () {
+    const style = document.createElement('style');
+    style.textContent = `
+        .feedback-bar {
+            display: none;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 8px;
+            margin-top: 15px;
+        }
+        .feedback-btn {
+            padding: 6px 12px;
+            background: var(--feedback-accent-soft, rgba(102, 126, 234, 0.1));
+            color: var(--feedback-accent, #667eea);
+            border: 1px solid var(--feedback-accent, #667eea);
+            border-radius: 6px;
+            cursor: pointer;
+            font-size: 13px;
+            transition: background 0.3s ease;
+        }
+        .feedback-btn:hover, .feedback-btn.active { background: var(--feedback-accent, #667eea); color: white; }
+        .feedback-edit {
+            display: none;
+            width: 100%;
+            min-height: 80px;
+            padding: 8px 10px;
+            border: 1px solid rgba(0, 0, 0, 0.1);
+            border-radius: 8px;
+            font-size: 13px;
+            font-family: inherit;
+            color: #333;
+        }
+        .feedback-status { font-size: 13px; color: #666; }
+    `;
+    // First in <head> so a page's own styles win
+    document.head.insertBefore(style, document.head.firstChild);
+})();
+
+// Feedback buttons for a result, linked to the generationId the server returned with it
+function renderFeedbackBar(container, generationId, feedbackUrl) {
+    container.innerHTML = '';
+    container.style.display = generationId ? 'flex' : 'none';
+    if (!generationId) return;
+    const status = document.createElement('span');
+    status.className = 'feedback-status';
+    const editedText = document.createElement('textarea');
+    editedText.className = 'feedback-edit';
+    editedText.placeholder = 'Paste the final version you actually used...';
+    const sendFeedback = async (changes, button, group) => {
+        try {
+            const response = await fetchWithApiKey(feedbackUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ generationId, ...changes })
+            });
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `Server error: ${response.status}`);
+            }
+            container.querySelectorAll(`.feedback-btn[data-group="${group}"]`).forEach(b => b.classList.remove('active'));
+            button.classList.add('active');
+            status.textContent = 'Thanks, feedback saved.';
+        } catch (error) {
+            status.textContent = `Feedback not saved: ${error.message}`;
+        }
+    };
+    const buttons = [
+        ['👍 Useful', 'rating', { rating: 'up' }],
+        ['👎 Not useful', 'rating', { rating: 'down' }],
+        ['📤 Sent', 'sent', { sent: true }],
+        ['💬 Got a reply', 'replied', { replied: true }],
+        ['✏️ Share my edit', 'edited', null]
+    ];
+    buttons.forEach(([label, group, changes]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'feedback-btn';
+        button.dataset.group = group;
+        button.textContent = label;
+        button.addEventListener('click', () => {
+            if (changes) {
+                sendFeedback(changes, button, group);
+            } else if (editedText.style.display !== 'block') {
+                // First click opens the box, the second one submits what was pasted
+                editedText.style.display = 'block';
+                editedText.focus();
+                button.textContent = '✏️ Submit my edit';
+            } else if (editedText.value.trim()) {
+                sendFeedback({ editedText: editedText.value.trim() }, button, group);
+            }
+        });
+        container.appendChild(button);
+    });
+    container.appendChild(status);
+    container.appendChild(editedText);
+}
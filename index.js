@@ -1,1150 +1,6693 @@
 const express = require('express');
 const cors = require('cors');
 const axios = require('axios');
+const fs = require('fs');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { parsePhoneNumberFromString } = require('libphonenumber-js');
+const ExcelJS = require('exceljs');
+const multer = require('multer');
+const Database = require('better-sqlite3');
+const path = require('path');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// LLM provider selection: 'gemini' (default), 'openai' (any OpenAI-compatible
+// chat completions endpoint, e.g. a local llama.cpp or Ollama server) or 'stub'
+const LLM_PROVIDER = (process.env.LLM_PROVIDER || 'gemini').trim().toLowerCase();
+
 // Gemini API configuration
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent';
+const GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-2.0-flash';
+const GEMINI_API_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
 
-// Middleware
-app.use(cors({
-    origin: '*', 
-    methods: ['GET', 'POST'],
-    allowedHeaders: ['Content-Type', 'Authorization']
-}));
+// OpenAI-compatible API configuration
+const OPENAI_API_URL = process.env.OPENAI_API_URL || 'http://localhost:11434/v1/chat/completions';
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY || '';
+const OPENAI_MODEL = process.env.OPENAI_MODEL || 'llama3.1';
+
+// Stub provider configuration
+const STUB_FIXTURES_PATH = process.env.STUB_FIXTURES_PATH || path.join(__dirname, 'fixtures', 'llm-stub.json');
+
+/**
+ * Gemini provider
+ */
+const geminiProvider = {
+    name: 'gemini',
+    defaultModel: GEMINI_MODEL,
+    isConfigured: () => !!GEMINI_API_KEY,
+    /**
+     * @param {string} prompt
+     * @param {object} generationConfig - temperature, topK, topP, maxOutputTokens
+     * @param {number} timeout - request timeout in ms
+     * @param {string} task
+     * @param {string} model
+     * @returns {Promise<string>} - Raw generated text
+     */
+    async generate(prompt, generationConfig, timeout, task, model) {
+        const requestBody = {
+            contents: [{ parts: [{ text: prompt }] }],
+            generationConfig
+        };
+        const response = await axios.post(
+            `${GEMINI_API_BASE_URL}/${model}:generateContent?key=${GEMINI_API_KEY}`,
+            requestBody,
+            { headers: { 'Content-Type': 'application/json' }, timeout }
+        );
+        if (!response.data || !response.data.candidates || response.data.candidates.length === 0) {
+            throw new Error('Invalid response from Gemini API');
+        }
+        const candidate = response.data.candidates[0];
+        if (!candidate.content || !candidate.content.parts || candidate.content.parts.length === 0) {
+            throw new Error('No content generated by Gemini API');
+        }
+        return candidate.content.parts[0].text;
+    },
+    /**
+     * @param {string} prompt
+     * @param {object} generationConfig
+     * @param {number} timeout
+     * @param {string} task
+     * @param {function(string): void} onToken - Called with each text chunk as it arrives
+     * @param {string} model
+     * @param {AbortSignal} [signal] - Aborts the upstream request, e.g. when the client disconnects
+     * @returns {Promise<string>} - Full generated text
+     */
+    async generateStream(prompt, generationConfig, timeout, task, onToken, model, signal) {
+        const requestBody = {
+            contents: [{ parts: [{ text: prompt }] }],
+            generationConfig
+        };
+        const response = await axios.post(
+            `${GEMINI_API_BASE_URL}/${model}:streamGenerateContent?alt=sse&key=${GEMINI_API_KEY}`,
+            requestBody,
+            { headers: { 'Content-Type': 'application/json' }, timeout, responseType: 'stream', signal }
+        );
+        let fullText = '';
+        await readSseStream(response.data, payload => {
+            const chunk = JSON.parse(payload);
+            const parts = chunk.candidates?.[0]?.content?.parts || [];
+            const text = parts.map(p => p.text || '').join('');
+            if (text) {
+                fullText += text;
+                onToken(text);
+            }
+        });
+        return fullText;
+    }
+};
+
+/**
+ * OpenAI-compatible chat completions provider
+ */
+const openAiProvider = {
+    name: 'openai',
+    defaultModel: OPENAI_MODEL,
+    isConfigured: () => !!OPENAI_API_URL,
+    async generate(prompt, generationConfig, timeout, task, model) {
+        const requestBody = {
+            model,
+            messages: [{ role: 'user', content: prompt }],
+            temperature: generationConfig.temperature,
+            top_p: generationConfig.topP,
+            max_tokens: generationConfig.maxOutputTokens
+        };
+        const headers = { 'Content-Type': 'application/json' };
+        if (OPENAI_API_KEY) {
+            headers.Authorization = `Bearer ${OPENAI_API_KEY}`;
+        }
+        const response = await axios.post(OPENAI_API_URL, requestBody, { headers, timeout });
+        if (!response.data || !response.data.choices || response.data.choices.length === 0) {
+            throw new Error('Invalid response from OpenAI-compatible API');
+        }
+        const message = response.data.choices[0].message;
+        if (!message || typeof message.content !== 'string') {
+            throw new Error('No content generated by OpenAI-compatible API');
+        }
+        return message.content;
+    },
+    async generateStream(prompt, generationConfig, timeout, task, onToken, model, signal) {
+        const requestBody = {
+            model,
+            messages: [{ role: 'user', content: prompt }],
+            temperature: generationConfig.temperature,
+            top_p: generationConfig.topP,
+            max_tokens: generationConfig.maxOutputTokens,
+            stream: true
+        };
+        const headers = { 'Content-Type': 'application/json' };
+        if (OPENAI_API_KEY) {
+            headers.Authorization = `Bearer ${OPENAI_API_KEY}`;
+        }
+        const response = await axios.post(OPENAI_API_URL, requestBody, { headers, timeout, responseType: 'stream', signal });
+        let fullText = '';
+        await readSseStream(response.data, payload => {
+            if (payload === '[DONE]') return;
+            const chunk = JSON.parse(payload);
+            const text = chunk.choices?.[0]?.delta?.content || '';
+            if (text) {
+                fullText += text;
+                onToken(text);
+            }
+        });
+        return fullText;
+    }
+};
+
+/**
+ * Deterministic stub provider backed by a fixture file, for offline tests and demos.
+ * Fixtures are keyed by task name; a string is returned as-is, anything else is
+ * serialized as JSON the way a model would return it. A fixture of the form
+ * {"$variants": [{"promptIncludes": "...", "response": ...}], "$default": ...} answers prompts that vary
+ * in shape (e.g. the number of sequence steps) with the first variant whose text appears in the prompt.
+ */
+const stubProvider = {
+    name: 'stub',
+    defaultModel: 'stub',
+    isConfigured: () => fs.existsSync(STUB_FIXTURES_PATH),
+    fixtures: null,
+    async generate(prompt, generationConfig, timeout, task) {
+        if (!this.fixtures) {
+            this.fixtures = JSON.parse(fs.readFileSync(STUB_FIXTURES_PATH, 'utf8'));
+        }
+        let fixture = this.fixtures[task] !== undefined ? this.fixtures[task] : this.fixtures.default;
+        if (fixture === undefined) {
+            throw new Error(`No stub fixture for task: ${task}`);
+        }
+        if (fixture && fixture.$variants) {
+            const variant = fixture.$variants.find(v => prompt.includes(v.promptIncludes));
+            fixture = variant ? variant.response : fixture.$default;
+        }
+        return typeof fixture === 'string' ? fixture : JSON.stringify(fixture);
+    },
+    async generateStream(prompt, generationConfig, timeout, task, onToken, model, signal) {
+        const text = await this.generate(prompt, generationConfig, timeout, task);
+        // Emit word by word so clients exercise the same incremental rendering path
+        for (const token of text.match(/\S+\s*|\s+/g) || []) {
+            signal?.throwIfAborted();
+            onToken(token);
+            await new Promise(resolve => setImmediate(resolve));
+        }
+        return text;
+    }
+};
+
+const llmProviders = {
+    gemini: geminiProvider,
+    openai: openAiProvider,
+    stub: stubProvider
+};
+
+const llmProvider = llmProviders[LLM_PROVIDER];
+if (!llmProvider) {
+    throw new Error(`Unknown LLM_PROVIDER "${LLM_PROVIDER}". Use one of: ${Object.keys(llmProviders).join(', ')}`);
+}
+
+// Resilient LLM client: retries with jittered exponential backoff on 429/5xx/timeouts (honoring Retry-After),
+// a circuit breaker per model that fails fast while the provider is down, and an optional fallback model
+const LLM_MAX_RETRIES = parseInt(process.env.LLM_MAX_RETRIES || '2', 10);
+const LLM_RETRY_BASE_DELAY_MS = parseInt(process.env.LLM_RETRY_BASE_DELAY_MS, 10) || 500;
+const LLM_RETRY_MAX_DELAY_MS = parseInt(process.env.LLM_RETRY_MAX_DELAY_MS, 10) || 10000;
+const LLM_CIRCUIT_FAILURE_THRESHOLD = parseInt(process.env.LLM_CIRCUIT_FAILURE_THRESHOLD, 10) || 5;
+const LLM_CIRCUIT_COOLDOWN_MS = parseInt(process.env.LLM_CIRCUIT_COOLDOWN_MS, 10) || 30000;
+// Secondary model on the same provider, tried once the primary has exhausted its retries or its circuit is open
+const LLM_FALLBACK_MODEL = (process.env.LLM_FALLBACK_MODEL || '').trim();
+
+// Per model: consecutive failed attempts and, once the threshold is hit, when calls are let through again
+const llmCircuits = new Map();
+
+/**
+ * Raised when the LLM provider call itself fails (rate limit, outage, timeout, bad credentials).
+ * The message is safe to show to API clients; `code` is stable for clients to branch on.
+ */
+class LLMServiceError extends Error {
+    /**
+     * @param {string} message
+     * @param {{code: string, statusCode: number, retryable?: boolean, retryAfterMs?: number|null, cause?: Error}} options
+     */
+    constructor(message, { code, statusCode, retryable = false, retryAfterMs = null, cause }) {
+        super(message);
+        this.name = 'LLMServiceError';
+        this.code = code;
+        this.statusCode = statusCode;
+        this.retryable = retryable;
+        this.retryAfterMs = retryAfterMs;
+        this.cause = cause;
+    }
+}
+
+/**
+ * @param {string|undefined} value - Retry-After header: delay in seconds or an HTTP date
+ * @returns {number|null} - Delay in ms
+ */
+function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(seconds, 0) * 1000;
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Map a provider/axios error onto an LLMServiceError
+ * @param {Error} error
+ * @returns {LLMServiceError}
+ */
+function classifyLLMError(error) {
+    if (error instanceof LLMServiceError) return error;
+    const status = error.response?.status;
+    const retryAfterMs = parseRetryAfter(error.response?.headers?.['retry-after']);
+    if (status === 429) {
+        return new LLMServiceError('AI service is rate limited. Please try again shortly.', { code: 'LLM_RATE_LIMITED', statusCode: 429, retryable: true, retryAfterMs, cause: error });
+    }
+    if (status === 401 || status === 403) {
+        return new LLMServiceError('AI service rejected the server credentials. Please check the API key configuration.', { code: 'LLM_AUTH_FAILED', statusCode: 502, cause: error });
+    }
+    if (status >= 500) {
+        return new LLMServiceError('AI service is temporarily unavailable. Please try again in a moment.', { code: 'LLM_UNAVAILABLE', statusCode: 503, retryable: true, retryAfterMs, cause: error });
+    }
+    if (status >= 400) {
+        return new LLMServiceError('AI service rejected the request.', { code: 'LLM_BAD_REQUEST', statusCode: 502, cause: error });
+    }
+    if (error.code === 'ERR_CANCELED' || error.name === 'AbortError') {
+        return new LLMServiceError('The request was cancelled before the AI service finished.', { code: 'LLM_CANCELED', statusCode: 499, cause: error });
+    }
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || /timeout/i.test(error.message)) {
+        return new LLMServiceError('AI service took too long to respond. Please try again.', { code: 'LLM_TIMEOUT', statusCode: 504, retryable: true, cause: error });
+    }
+    if (['ENOTFOUND', 'ECONNREFUSED', 'ECONNRESET', 'EAI_AGAIN'].includes(error.code)) {
+        return new LLMServiceError('Unable to reach the AI service. Please try again in a moment.', { code: 'LLM_UNAVAILABLE', statusCode: 503, retryable: true, cause: error });
+    }
+    return new LLMServiceError('AI service returned an unexpected response.', { code: 'LLM_ERROR', statusCode: 502, cause: error });
+}
+
+/**
+ * @param {string} model
+ * @throws {LLMServiceError} - LLM_CIRCUIT_OPEN while the model's circuit is open
+ */
+function checkLLMCircuit(model) {
+    const circuit = llmCircuits.get(model);
+    if (circuit && circuit.openUntil > Date.now()) {
+        throw new LLMServiceError('AI service is temporarily unavailable. Please try again shortly.', {
+            code: 'LLM_CIRCUIT_OPEN', statusCode: 503, retryAfterMs: circuit.openUntil - Date.now()
+        });
+    }
+}
+
+/**
+ * Count a provider-side failure against the model; at the threshold the circuit opens for LLM_CIRCUIT_COOLDOWN_MS.
+ * After the cooldown calls go through again, and the next failure reopens it straight away.
+ * @param {string} model
+ * @param {boolean} succeeded
+ */
+function recordLLMCircuitResult(model, succeeded) {
+    if (succeeded) {
+        llmCircuits.delete(model);
+        return;
+    }
+    const circuit = llmCircuits.get(model) || { failures: 0, openUntil: 0 };
+    circuit.failures++;
+    if (circuit.failures >= LLM_CIRCUIT_FAILURE_THRESHOLD) {
+        circuit.openUntil = Date.now() + LLM_CIRCUIT_COOLDOWN_MS;
+        console.warn(`LLM circuit for ${model} open for ${LLM_CIRCUIT_COOLDOWN_MS}ms after ${circuit.failures} failures`);
+    }
+    llmCircuits.set(model, circuit);
+}
+
+/**
+ * Run one provider call with retries, circuit breaking and model fallback
+ * @param {string} task
+ * @param {function(string): Promise<string>} invoke - Calls the provider with the given model
+ * @param {function(): boolean} [canRetry] - Returns false once retrying is no longer safe (e.g. tokens were streamed)
+ * @returns {Promise<string>}
+ * @throws {LLMServiceError}
+ */
+async function callLLM(task, invoke, canRetry = () => true) {
+    const models = [llmProvider.defaultModel];
+    if (LLM_FALLBACK_MODEL && LLM_FALLBACK_MODEL !== llmProvider.defaultModel) {
+        models.push(LLM_FALLBACK_MODEL);
+    }
+    for (let m = 0; ; m++) {
+        const model = models[m];
+        for (let attempt = 0; ; attempt++) {
+            let error;
+            try {
+                checkLLMCircuit(model);
+                const text = await invoke(model);
+                recordLLMCircuitResult(model, true);
+                return text;
+            } catch (rawError) {
+                error = classifyLLMError(rawError);
+                if (error.retryable) {
+                    recordLLMCircuitResult(model, false);
+                }
+            }
+            if (!canRetry() || (!error.retryable && error.code !== 'LLM_CIRCUIT_OPEN')) {
+                throw error;
+            }
+            const delay = error.retryAfterMs ?? Math.random() * Math.min(LLM_RETRY_MAX_DELAY_MS, LLM_RETRY_BASE_DELAY_MS * 2 ** attempt);
+            if (error.code === 'LLM_CIRCUIT_OPEN' || attempt >= LLM_MAX_RETRIES || delay > LLM_RETRY_MAX_DELAY_MS) {
+                if (m + 1 >= models.length) throw error;
+                console.warn(`${task}: ${model} failed with ${error.code}, falling back to ${models[m + 1]}`);
+                break;
+            }
+            console.warn(`${task}: ${model} failed with ${error.code}, retry ${attempt + 1}/${LLM_MAX_RETRIES} in ${Math.round(delay)}ms`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+/**
+ * Generate text with the configured LLM provider
+ * @param {string} task - Endpoint/task name, used by the stub provider to pick a fixture
+ * @param {string} prompt
+ * @param {object} generationConfig - temperature, topK, topP, maxOutputTokens
+ * @param {number} [timeout=30000] - request timeout in ms
+ * @returns {Promise<string>} - Raw generated text
+ */
+async function generateWithLLM(task, prompt, generationConfig, timeout = 30000) {
+    checkLLMQuota();
+    const text = await callLLM(task, model => llmProvider.generate(prompt, generationConfig, timeout, task, model));
+    meterLLMUsage(prompt, text);
+    return text;
+}
+
+/**
+ * Stream text from the configured LLM provider
+ * @param {string} task
+ * @param {string} prompt
+ * @param {object} generationConfig
+ * @param {number} timeout
+ * @param {function(string): void} onToken - Called with each text chunk as it arrives
+ * @param {AbortSignal} [signal] - Stops the upstream stream; see startEventStream
+ * @returns {Promise<string>} - Full generated text
+ */
+async function streamWithLLM(task, prompt, generationConfig, timeout, onToken, signal) {
+    checkLLMQuota();
+    // Once a token has reached the client the call can no longer be retried or moved to the fallback model
+    let streamed = false;
+    const text = await callLLM(
+        task,
+        model => llmProvider.generateStream(prompt, generationConfig, timeout, task, chunk => {
+            streamed = true;
+            onToken(chunk);
+        }, model, signal),
+        () => !streamed && !signal?.aborted
+    );
+    meterLLMUsage(prompt, text);
+    return text;
+}
+
+/**
+ * Read an upstream Server-Sent Events response and call onData with each `data:` payload
+ * @param {import('stream').Readable} stream
+ * @param {function(string): void} onData
+ * @returns {Promise<void>}
+ */
+function readSseStream(stream, onData) {
+    return new Promise((resolve, reject) => {
+        let buffer = '';
+        const flushLines = (final) => {
+            const lines = buffer.split('\n');
+            buffer = final ? '' : lines.pop();
+            for (const rawLine of lines) {
+                const line = rawLine.replace(/\r$/, '');
+                if (!line.startsWith('data:')) continue;
+                const payload = line.slice(5).trim();
+                if (payload) onData(payload);
+            }
+        };
+        stream.setEncoding('utf8');
+        stream.on('data', chunk => {
+            buffer += chunk;
+            try {
+                flushLines(false);
+            } catch (e) {
+                stream.destroy();
+                reject(e);
+            }
+        });
+        stream.on('end', () => {
+            try {
+                flushLines(true);
+                resolve();
+            } catch (e) {
+                reject(e);
+            }
+        });
+        stream.on('error', reject);
+    });
+}
+
+/**
+ * Whether the client asked for a Server-Sent Events response
+ * @param {import('express').Request} req
+ * @returns {boolean}
+ */
+function wantsEventStream(req) {
+    return (req.get('Accept') || '').includes('text/event-stream');
+}
+
+/**
+ * Switch the response into Server-Sent Events mode
+ * @param {import('express').Response} res
+ * @returns {AbortSignal} - Aborted when the client disconnects before the stream ends, to stop the upstream LLM call
+ */
+function startEventStream(res) {
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) controller.abort();
+    });
+    return controller.signal;
+}
+
+/**
+ * Write a single Server-Sent Event
+ * @param {import('express').Response} res
+ * @param {string} event - Event name (token, done, error)
+ * @param {object} data - JSON payload
+ */
+function sendEvent(res, event, data) {
+    // The client may already have gone; see startEventStream
+    if (res.writableEnded || res.destroyed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Send an error as JSON, or as a final `error` event when an event stream is already open
+ * @param {import('express').Response} res
+ * @param {number} status
+ * @param {object} body
+ */
+function sendErrorResponse(res, status, body) {
+    if (res.headersSent) {
+        sendEvent(res, 'error', { status, ...body });
+        return res.end();
+    }
+    return res.status(status).json(body);
+}
+
+/**
+ * Respond to a failed request with a stable `code` clients can branch on: INVALID_MODEL_OUTPUT and LLM_* for
+ * model/provider failures (with Retry-After when known), INTERNAL_ERROR with the route's own message otherwise
+ * @param {import('express').Response} res
+ * @param {string} route - For the server log
+ * @param {Error} error
+ * @param {string} fallbackMessage
+ */
+function sendRouteError(res, route, error, fallbackMessage) {
+    // Provider failures carry the whole axios error as their cause; the code and cause message are enough here
+    if (error instanceof LLMServiceError) {
+        console.error(`Error in ${route}: ${error.code}`, error.cause?.message || error.message);
+    } else if (error instanceof ComplianceBlockedError) {
+        console.warn(`Compliance block in ${route}: ${error.compliance.violations.filter(v => v.action === 'block').map(v => v.ruleId).join(', ')}`);
+    } else {
+        console.error(`Error in ${route}:`, error);
+    }
+    if (error instanceof LLMOutputValidationError) {
+        return sendErrorResponse(res, error.statusCode, { error: error.message, code: error.code, fields: error.fields, details: error.details });
+    }
+    if (error instanceof LLMServiceError) {
+        if (error.retryAfterMs !== null && !res.headersSent) {
+            res.set('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
+        }
+        return sendErrorResponse(res, error.statusCode, { error: error.message, code: error.code });
+    }
+    if (error instanceof ComplianceBlockedError) {
+        return sendErrorResponse(res, error.statusCode, { error: error.message, code: error.code, compliance: error.compliance });
+    }
+    return sendErrorResponse(res, 500, { error: fallbackMessage, code: 'INTERNAL_ERROR' });
+}
+
+/**
+ * Raised when the model output still fails its response schema after the repair round-trip
+ */
+class LLMOutputValidationError extends Error {
+    /**
+     * @param {string} task
+     * @param {Array<{field: string, message: string}>} details
+     */
+    constructor(task, details) {
+        super(`AI service returned an invalid response for ${task}.`);
+        this.name = 'LLMOutputValidationError';
+        this.statusCode = 502;
+        this.code = 'INVALID_MODEL_OUTPUT';
+        this.details = details;
+        this.fields = [...new Set(details.map(d => d.field))];
+    }
+}
+
+/**
+ * Extract and parse the JSON object from raw model text (tolerates code fences and surrounding prose)
+ * @param {string} text
+ * @returns {object}
+ */
+function parseJsonFromLLM(text) {
+    const cleaned = (text || '').replace(/```json|```/gi, '').trim();
+    const match = cleaned.match(/{[\s\S]*}/);
+    if (!match) throw new Error('No JSON object found in LLM response.');
+    return JSON.parse(match[0]);
+}
+
+/**
+ * Validate a value against a minimal JSON-schema-like declaration
+ * (type, properties, required, items, minItems, maxItems, minLength, enum, minimum, maximum)
+ * @param {*} value
+ * @param {object} schema
+ * @param {string} [fieldPath]
+ * @returns {Array<{field: string, message: string}>} - Empty when valid
+ */
+function validateAgainstSchema(value, schema, fieldPath = '') {
+    const field = fieldPath || '(root)';
+    const errors = [];
+    switch (schema.type) {
+        case 'object':
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                return [{ field, message: 'expected an object' }];
+            }
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined || value[key] === null) {
+                    errors.push({ field: fieldPath ? `${fieldPath}.${key}` : key, message: 'is required' });
+                }
+            });
+            Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+                if (value[key] !== undefined && value[key] !== null) {
+                    errors.push(...validateAgainstSchema(value[key], propSchema, fieldPath ? `${fieldPath}.${key}` : key));
+                }
+            });
+            break;
+        case 'array':
+            if (!Array.isArray(value)) {
+                return [{ field, message: 'expected an array' }];
+            }
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push({ field, message: `expected at least ${schema.minItems} item(s)` });
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                errors.push({ field, message: `expected at most ${schema.maxItems} item(s)` });
+            }
+            if (schema.items) {
+                value.forEach((item, i) => errors.push(...validateAgainstSchema(item, schema.items, `${field}[${i}]`)));
+            }
+            break;
+        case 'string':
+            if (typeof value !== 'string') {
+                return [{ field, message: 'expected a string' }];
+            }
+            if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+                errors.push({ field, message: 'must not be empty' });
+            }
+            if (schema.enum && !schema.enum.includes(value)) {
+                errors.push({ field, message: `expected one of: ${schema.enum.join(', ')}` });
+            }
+            break;
+        case 'number':
+        case 'integer':
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                return [{ field, message: `expected a${schema.type === 'integer' ? 'n integer' : ' number'}` }];
+            }
+            if (schema.type === 'integer' && !Number.isInteger(value)) {
+                errors.push({ field, message: 'expected an integer' });
+            }
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push({ field, message: `must be >= ${schema.minimum}` });
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push({ field, message: `must be <= ${schema.maximum}` });
+            }
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                return [{ field, message: 'expected a boolean' }];
+            }
+            break;
+    }
+    return errors;
+}
+
+/**
+ * Generate a JSON response, validate it against the endpoint schema and, if it fails,
+ * ask the model once to repair its output before giving up
+ * @param {string} task
+ * @param {string} prompt
+ * @param {object} schema - Response schema (see validateAgainstSchema)
+ * @param {object} generationConfig
+ * @param {number} [timeout=30000]
+ * @param {function(object): Array<{field: string, message: string}>} [validate] - Extra checks run after the schema passes
+ * @returns {Promise<object>} - Parsed and validated result
+ * @throws {LLMOutputValidationError}
+ */
+async function generateStructuredWithLLM(task, prompt, schema, generationConfig, timeout = 30000, validate) {
+    return withLLMCache({ task, prompt, schema, generationConfig }, () => generateStructuredUncached(task, prompt, schema, generationConfig, timeout, validate));
+}
+
+async function generateStructuredUncached(task, prompt, schema, generationConfig, timeout = 30000, validate) {
+    const attempt = async (attemptPrompt) => {
+        const text = await generateWithLLM(task, attemptPrompt, generationConfig, timeout);
+        let parsed;
+        try {
+            parsed = parseJsonFromLLM(text);
+        } catch (e) {
+            return { text, errors: [{ field: '(root)', message: 'response is not a valid JSON object' }] };
+        }
+        const errors = validateAgainstSchema(parsed, schema);
+        if (errors.length === 0 && validate) {
+            errors.push(...validate(parsed));
+        }
+        return { text, parsed, errors };
+    };
+
+    const first = await attempt(prompt);
+    if (first.errors.length === 0) {
+        return first.parsed;
+    }
+
+    console.warn(`Invalid ${task} output, requesting repair:`, first.errors);
+    const repairPrompt = `${prompt}
+
+Your previous response did not match the required JSON format.
+Previous response:
+${first.text}
+
+Problems found:
+${first.errors.map(e => `- ${e.field}: ${e.message}`).join('\n')}
+
+Return the corrected response. Respond ONLY with a valid JSON object that fixes every problem listed above. Do NOT include markdown, explanations, or any text outside the JSON.`;
+
+    const second = await attempt(repairPrompt);
+    if (second.errors.length === 0) {
+        return second.parsed;
+    }
+    throw new LLMOutputValidationError(task, second.errors);
+}
+
+// LLM response cache: validated results keyed on a hash of endpoint, normalized prompt, schema and generation config.
+// Identical requests in flight share one LLM call; "Cache-Control: no-cache" on a request regenerates instead.
+const LLM_CACHE_TTL_MS = parseInt(process.env.LLM_CACHE_TTL_MS || String(24 * 60 * 60 * 1000), 10);
+const LLM_CACHE_MAX_ENTRIES = parseInt(process.env.LLM_CACHE_MAX_ENTRIES, 10) || 500;
+// Outcomes reported in the X-Cache response header; a request that made several LLM calls reports the last-listed one seen
+const LLM_CACHE_STATUSES = ['HIT', 'COALESCED', 'MISS', 'BYPASS'];
+
+// Map insertion order doubles as LRU order: hits are re-inserted at the end
+const llmCache = new Map();
+const llmInFlight = new Map();
+const llmCacheStats = { hits: 0, coalesced: 0, misses: 0, bypassed: 0 };
+const llmCacheContext = new AsyncLocalStorage();
+
+/**
+ * @param {{task: string, prompt: string, schema: object, generationConfig: object}} request
+ * @returns {string} - Hex SHA-256 cache key
+ */
+function llmCacheKey({ task, prompt, schema, generationConfig }) {
+    return crypto.createHash('sha256').update(JSON.stringify({
+        provider: llmProvider.name,
+        model: llmProvider.defaultModel,
+        task,
+        // Whitespace-only differences in the inputs should not miss the cache
+        prompt: prompt.replace(/\s+/g, ' ').trim(),
+        schema,
+        generationConfig
+    })).digest('hex');
+}
+
+/**
+ * Record a cache outcome for the current request and expose it as the X-Cache header
+ * @param {string} status - One of LLM_CACHE_STATUSES
+ */
+function reportLLMCacheStatus(status) {
+    const context = llmCacheContext.getStore();
+    if (!context) return;
+    if (LLM_CACHE_STATUSES.indexOf(status) > LLM_CACHE_STATUSES.indexOf(context.status)) {
+        context.status = status;
+    }
+    if (!context.res.headersSent) {
+        context.res.set('X-Cache', context.status);
+    }
+}
+
+/**
+ * Return a cached result for the request, join an identical call already in flight, or run produce() and cache it
+ * @param {{task: string, prompt: string, schema: object, generationConfig: object}} request
+ * @param {function(): Promise<object>} produce
+ * @returns {Promise<object>}
+ */
+async function withLLMCache(request, produce) {
+    if (LLM_CACHE_TTL_MS <= 0) {
+        return produce();
+    }
+    const key = llmCacheKey(request);
+    const bypass = llmCacheContext.getStore()?.bypass === true;
+    if (!bypass) {
+        const entry = llmCache.get(key);
+        if (entry && entry.expiresAt > Date.now()) {
+            llmCache.delete(key);
+            llmCache.set(key, entry);
+            llmCacheStats.hits++;
+            reportLLMCacheStatus('HIT');
+            return structuredClone(entry.value);
+        }
+        llmCache.delete(key);
+        const pending = llmInFlight.get(key);
+        if (pending) {
+            llmCacheStats.coalesced++;
+            reportLLMCacheStatus('COALESCED');
+            return structuredClone(await pending);
+        }
+    }
+
+    llmCacheStats[bypass ? 'bypassed' : 'misses']++;
+    reportLLMCacheStatus(bypass ? 'BYPASS' : 'MISS');
+    const promise = produce();
+    if (!llmInFlight.has(key)) {
+        llmInFlight.set(key, promise);
+    }
+    try {
+        const value = await promise;
+        // A regenerated result replaces the cached one so the next plain request sees it
+        llmCache.delete(key);
+        llmCache.set(key, { value: structuredClone(value), expiresAt: Date.now() + LLM_CACHE_TTL_MS });
+        while (llmCache.size > LLM_CACHE_MAX_ENTRIES) {
+            llmCache.delete(llmCache.keys().next().value);
+        }
+        return value;
+    } finally {
+        if (llmInFlight.get(key) === promise) {
+            llmInFlight.delete(key);
+        }
+    }
+}
+
+// Prompt templates: versioned files at PROMPTS_DIR/<prompt>/<version>.txt with {{variable}} placeholders,
+// {{#flag}}...{{/flag}} blocks kept when the variable is set and {{^flag}}...{{/flag}} blocks kept when it is not.
+// registry.json lists each prompt's live versions with traffic weights, e.g. { "generate-mail": { "v1": 90, "v2": 10 } }.
+// Edits to the registry or a template are picked up on the next request; an invalid registry edit keeps the previous one.
+const PROMPTS_DIR = process.env.PROMPTS_DIR || path.join(__dirname, 'prompts');
+const PROMPT_REGISTRY_PATH = path.join(PROMPTS_DIR, 'registry.json');
+const PROMPT_NAME_PATTERN = /^[a-z0-9][\w.-]*$/i;
+const PROMPT_SECTION_PATTERN = /\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g;
+
+// Template files keyed on path, with the mtime they were read at
+const promptFileCache = new Map();
+// Last valid registry: { mtimeMs, prompts: { name: [{ version, weight, filePath }] } }
+let promptRegistry = null;
+
+/**
+ * Read a prompt file, re-reading only when its mtime changes
+ * @param {string} filePath
+ * @returns {string} - File contents without the trailing newline
+ */
+function readPromptFile(filePath) {
+    const { mtimeMs } = fs.statSync(filePath);
+    const cached = promptFileCache.get(filePath);
+    if (cached && cached.mtimeMs === mtimeMs) return cached.text;
+    const text = fs.readFileSync(filePath, 'utf8').replace(/\r\n/g, '\n').replace(/\n$/, '');
+    promptFileCache.set(filePath, { mtimeMs, text });
+    return text;
+}
+
+/**
+ * Check that every section in a template is closed and none are nested
+ * @param {string} template
+ * @returns {string|null} - Problem found, or null when the template is well-formed
+ */
+function findPromptTemplateProblem(template) {
+    const remainder = template.replace(PROMPT_SECTION_PATTERN, (match, kind, name, body) => body);
+    const stray = remainder.match(/\{\{[#^/]\w*\}\}/);
+    return stray ? `unmatched or nested section tag ${stray[0]}` : null;
+}
+
+/**
+ * Parse and validate registry.json, checking that every listed template exists and is well-formed
+ * @param {string} text
+ * @returns {Object<string, Array<{version: string, weight: number, filePath: string}>>}
+ */
+function parsePromptRegistry(text) {
+    const parsed = JSON.parse(text);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error('registry must be an object of { prompt: { version: weight } }');
+    }
+    const prompts = {};
+    Object.entries(parsed).forEach(([name, weights]) => {
+        if (!PROMPT_NAME_PATTERN.test(name)) {
+            throw new Error(`invalid prompt name "${name}"`);
+        }
+        if (!weights || typeof weights !== 'object' || Array.isArray(weights) || Object.keys(weights).length === 0) {
+            throw new Error(`"${name}" must map at least one version to a weight`);
+        }
+        const versions = Object.entries(weights).map(([version, weight]) => {
+            if (!PROMPT_NAME_PATTERN.test(version)) {
+                throw new Error(`"${name}" has an invalid version name "${version}"`);
+            }
+            if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+                throw new Error(`"${name}@${version}" weight must be a number of at least 0`);
+            }
+            const filePath = path.join(PROMPTS_DIR, name, `${version}.txt`);
+            if (!fs.existsSync(filePath)) {
+                throw new Error(`"${name}@${version}" has no template at ${filePath}`);
+            }
+            const problem = findPromptTemplateProblem(readPromptFile(filePath));
+            if (problem) {
+                throw new Error(`"${name}@${version}" template: ${problem}`);
+            }
+            return { version, weight, filePath };
+        });
+        if (!versions.some(v => v.weight > 0)) {
+            throw new Error(`"${name}" needs at least one version with a weight above 0`);
+        }
+        prompts[name] = versions;
+    });
+    return prompts;
+}
+
+/**
+ * Current prompt registry, reloaded when registry.json changes
+ * @returns {Object<string, Array<{version: string, weight: number, filePath: string}>>}
+ */
+function loadPromptRegistry() {
+    const { mtimeMs } = fs.statSync(PROMPT_REGISTRY_PATH);
+    if (promptRegistry && promptRegistry.mtimeMs === mtimeMs) return promptRegistry.prompts;
+    try {
+        promptRegistry = { mtimeMs, prompts: parsePromptRegistry(fs.readFileSync(PROMPT_REGISTRY_PATH, 'utf8')) };
+    } catch (error) {
+        if (!promptRegistry) {
+            throw new Error(`Invalid prompt registry ${PROMPT_REGISTRY_PATH}: ${error.message}`);
+        }
+        console.error(`Keeping the previous prompt registry; ${PROMPT_REGISTRY_PATH} is invalid:`, error.message);
+        promptRegistry.mtimeMs = mtimeMs;
+    }
+    return promptRegistry.prompts;
+}
+
+/**
+ * Fill a template's sections and {{variables}}; substituted values are not scanned for placeholders again
+ * @param {string} template
+ * @param {object} variables
+ * @param {string} label - Prompt version, for error messages
+ * @returns {string}
+ */
+function fillPromptTemplate(template, variables, label) {
+    const valueOf = (name) => {
+        if (!Object.prototype.hasOwnProperty.call(variables, name) || variables[name] === undefined) {
+            throw new Error(`Prompt ${label} needs the variable "${name}"`);
+        }
+        return variables[name];
+    };
+    return template
+        .replace(PROMPT_SECTION_PATTERN, (match, kind, name, body) => (Boolean(valueOf(name)) === (kind === '#') ? body : ''))
+        .replace(/\{\{(\w+)\}\}/g, (match, name) => String(valueOf(name)));
+}
+
+/**
+ * Render a prompt, picking one of its versions by registry weight
+ * @param {string} name - Prompt name in the registry
+ * @param {object} variables - Values for the template's placeholders
+ * @returns {{prompt: string, promptVersion: string}} - promptVersion is "<name>@<version>"
+ */
+function renderPrompt(name, variables) {
+    const versions = loadPromptRegistry()[name];
+    if (!versions) {
+        throw new Error(`Prompt "${name}" is not in the prompt registry`);
+    }
+    let roll = Math.random() * versions.reduce((sum, v) => sum + v.weight, 0);
+    const chosen = versions.find(v => v.weight > 0 && (roll -= v.weight) < 0) || versions.filter(v => v.weight > 0).pop();
+    const promptVersion = `${name}@${chosen.version}`;
+    return { prompt: fillPromptTemplate(readPromptFile(chosen.filePath), variables, promptVersion), promptVersion };
+}
+
+// Fail fast on a broken registry at startup rather than on the first request
+loadPromptRegistry();
+
+// Output localization: generator requests may name the lead's `language` (e.g. "de") and/or `locale` (e.g. "de-AT")
+// plus a `formality` ("formal" by default for B2B outreach). The prompt is suffixed with native-writing instructions,
+// the language's formal/informal form of address and sample date, number and currency formats for the locale.
+const OUTPUT_FORMALITY_LEVELS = ['formal', 'informal'];
+// How to address the reader in each register, for languages where it changes the grammar
+const LOCALE_ADDRESS_FORMS = {
+    de: { formal: 'use "Sie"/"Ihnen" (siezen) and "Sehr geehrte/r" or "Guten Tag" greetings', informal: 'use "du"/"dich" (duzen) and "Hallo" greetings' },
+    fr: { formal: 'use "vous" (vouvoiement) and "Bonjour Madame/Monsieur" greetings', informal: 'use "tu" (tutoiement) and "Salut"/"Bonjour" greetings' },
+    es: { formal: 'use "usted"', informal: 'use "tú" (or "vos" where that is the local norm)' },
+    it: { formal: 'use "Lei" with third-person verbs', informal: 'use "tu"' },
+    pt: { formal: 'use "o senhor"/"a senhora" or a polite "você" in Brazil', informal: 'use "você" (or "tu" where that is the local norm)' },
+    nl: { formal: 'use "u"', informal: 'use "je"/"jij"' },
+    pl: { formal: 'use "Pan"/"Pani" with third-person verbs', informal: 'use "ty"' },
+    ru: { formal: 'use "Вы"', informal: 'use "ты"' },
+    tr: { formal: 'use "siz"', informal: 'use "sen"' },
+    ja: { formal: 'use keigo (です/ます forms, 様 after names)', informal: 'use polite です/ます forms without honorific keigo; never plain form with a prospect' },
+    ko: { formal: 'use 합쇼체 or 해요체 honorific speech', informal: 'use 해요체' },
+    zh: { formal: 'use "您"', informal: 'use "你"' }
+};
+// Default currency by region; regions not listed get a generic "local currency" instruction
+const LOCALE_REGION_CURRENCIES = {
+    US: 'USD', CA: 'CAD', MX: 'MXN', BR: 'BRL', AR: 'ARS', GB: 'GBP', IE: 'EUR', DE: 'EUR', AT: 'EUR', CH: 'CHF',
+    FR: 'EUR', BE: 'EUR', NL: 'EUR', LU: 'EUR', ES: 'EUR', PT: 'EUR', IT: 'EUR', FI: 'EUR', GR: 'EUR', SE: 'SEK',
+    NO: 'NOK', DK: 'DKK', PL: 'PLN', CZ: 'CZK', TR: 'TRY', RU: 'RUB', AE: 'AED', SA: 'SAR', IL: 'ILS', IN: 'INR',
+    SG: 'SGD', JP: 'JPY', KR: 'KRW', CN: 'CNY', HK: 'HKD', TW: 'TWD', AU: 'AUD', NZ: 'NZD', ZA: 'ZAR'
+};
+// Fixed sample values so the format examples (and therefore cached prompts) don't change day to day
+const LOCALE_SAMPLE_DATE = new Date(Date.UTC(2026, 2, 14, 14, 30));
+const LOCALE_SAMPLE_AMOUNT = 1234567.89;
+
+/**
+ * Parse a BCP 47 tag whose language subtag Intl knows, e.g. "de", "pt-BR" or "zh-Hant-TW" ("_" is accepted for "-")
+ * @param {string} tag
+ * @returns {Intl.Locale|null}
+ */
+function parseLocaleTag(tag) {
+    try {
+        const parsed = new Intl.Locale(tag.trim().replace(/_/g, '-'));
+        const known = new Intl.DisplayNames(['en'], { type: 'language', fallback: 'none' }).of(parsed.language);
+        return /^[a-z]{2,3}$/.test(parsed.language) && known ? parsed : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Resolve the language/locale/formality fields of a generator request
+ * @param {*} language - Output language tag, e.g. "de" or "pt-BR"; defaults to the locale's language
+ * @param {*} locale - Formatting locale, e.g. "de-AT"; defaults to the language's most likely region
+ * @param {*} formality - "formal" (default) or "informal"
+ * @returns {{outputLocale: {language: string, languageName: string, locale: string, formality: string, currency: string|null}|null, error?: string}}
+ *   outputLocale is null when neither language nor locale was given (default English output)
+ */
+function resolveOutputLocale(language, locale, formality) {
+    const given = value => value !== undefined && value !== null && value !== '';
+    if (!given(language) && !given(locale)) {
+        return given(formality) ? { outputLocale: null, error: 'Formality needs a language or locale.' } : { outputLocale: null };
+    }
+    if (given(formality) && !OUTPUT_FORMALITY_LEVELS.includes(formality)) {
+        return { outputLocale: null, error: `Formality must be one of: ${OUTPUT_FORMALITY_LEVELS.join(', ')}.` };
+    }
+    const languageTag = given(language) ? (typeof language === 'string' ? parseLocaleTag(language) : null) : null;
+    if (given(language) && !languageTag) {
+        return { outputLocale: null, error: 'Language must be a language code such as "de", "fr" or "pt-BR".' };
+    }
+    const localeTag = given(locale) ? (typeof locale === 'string' ? parseLocaleTag(locale) : null) : languageTag.maximize();
+    if (!localeTag) {
+        return { outputLocale: null, error: 'Locale must be a locale code such as "de-DE", "fr-CA" or "ja-JP".' };
+    }
+    const outputLanguage = languageTag || localeTag;
+    const region = localeTag.region || localeTag.maximize().region;
+    return {
+        outputLocale: {
+            language: outputLanguage.baseName === outputLanguage.language ? outputLanguage.language : outputLanguage.baseName,
+            languageName: new Intl.DisplayNames(['en'], { type: 'language' }).of(outputLanguage.baseName),
+            locale: region ? `${localeTag.language}-${region}` : localeTag.language,
+            formality: formality || 'formal',
+            currency: LOCALE_REGION_CURRENCIES[region] || null
+        }
+    };
+}
+
+/**
+ * Append language, form-of-address and formatting instructions to a generation prompt
+ * @param {string} prompt
+ * @param {object|null} outputLocale - From resolveOutputLocale
+ * @returns {string}
+ */
+function withOutputLocale(prompt, outputLocale) {
+    if (!outputLocale) return prompt;
+    const { languageName, locale, formality, currency } = outputLocale;
+    const addressForms = LOCALE_ADDRESS_FORMS[new Intl.Locale(outputLocale.language).language];
+    const date = new Intl.DateTimeFormat(locale, { year: 'numeric', month: '2-digit', day: '2-digit', timeZone: 'UTC' }).format(LOCALE_SAMPLE_DATE);
+    const time = new Intl.DateTimeFormat(locale, { hour: 'numeric', minute: '2-digit', timeZone: 'UTC' }).format(LOCALE_SAMPLE_DATE);
+    const number = new Intl.NumberFormat(locale).format(LOCALE_SAMPLE_AMOUNT);
+    const money = currency
+        ? `amounts in ${currency} like ${new Intl.NumberFormat(locale, { style: 'currency', currency }).format(LOCALE_SAMPLE_AMOUNT)}`
+        : 'amounts in the local currency with its usual symbol placement';
+    return `${prompt}
+
+OUTPUT LANGUAGE AND LOCALE: Write all reader-facing text in ${languageName} for ${locale}, the way a native-speaking sales professional there would write it, not as a translation from English.
+- Tone: ${formality}${addressForms ? `; ${addressForms[formality]}` : ''}.
+- Formats: dates like ${date}, times like ${time}, numbers like ${number}, ${money}.
+- Adapt greetings, sign-offs, idioms and examples to local business norms; keep product and company names as they are.
+- Keep JSON keys, enum values, "Subject:" labels and {{merge fields}} exactly as specified above, in English.`;
+}
+
+// Browser origins allowed to call the API, comma-separated (e.g. https://tools.example.com); '*' allows any
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+
+// Middleware
+app.use(cors({
+    origin: CORS_ORIGINS.includes('*') ? '*' : CORS_ORIGINS,
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'Cache-Control'],
+    exposedHeaders: ['X-Cache']
+}));
+
+app.use(express.json({ limit: '10mb' }));
+app.use(express.urlencoded({ extended: true }));
+
+// Request logging middleware
+app.use((req, res, next) => {
+    console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
+    next();
+});
+
+// API key check, rate limit and quotas on write requests (see the API keys section)
+app.use(requireApiKey);
+
+// Per-request LLM cache context; "Cache-Control: no-cache" (or no-store) asks for a fresh generation
+app.use((req, res, next) => {
+    llmCacheContext.run({ res, bypass: /no-cache|no-store/i.test(req.get('Cache-Control') || ''), status: null }, next);
+});
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+    res.json({ 
+        status: 'OK', 
+        message: 'AI Email Generator API is running',
+        llmProvider: llmProvider.name,
+        llmCache: { entries: llmCache.size, ...llmCacheStats },
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Live prompt versions and their share of traffic
+app.get('/prompts', (req, res) => {
+    const prompts = loadPromptRegistry();
+    res.json({
+        prompts: Object.entries(prompts).map(([name, versions]) => {
+            const total = versions.reduce((sum, v) => sum + v.weight, 0);
+            return {
+                name,
+                versions: versions.map(v => ({
+                    version: v.version,
+                    promptVersion: `${name}@${v.version}`,
+                    weight: v.weight,
+                    share: Math.round((v.weight / total) * 1000) / 1000
+                }))
+            };
+        })
+    });
+});
+
+// Main email generation endpoint
+app.post('/generate-mail', async (req, res) => {
+    try {
+        const { userPrompt, format, templateMode, variants, companyProfileId, useKnowledge, coldOutreach, rewriteFlagged, leadLocation, language, locale, formality } = req.body;
+
+        // Validate input
+        if (!userPrompt || typeof userPrompt !== 'string') {
+            return res.status(400).json({
+                error: 'Invalid input. Please provide a userPrompt string.'
+            });
+        }
+
+        if (userPrompt.trim().length === 0) {
+            return res.status(400).json({
+                error: 'Email prompt cannot be empty.'
+            });
+        }
+
+        if (userPrompt.length > 2000) {
+            return res.status(400).json({
+                error: 'Email prompt is too long. Please keep it under 2000 characters.'
+            });
+        }
+
+        if (format !== undefined && !['text', 'structured'].includes(format)) {
+            return res.status(400).json({
+                error: 'Invalid format. Use "text" or "structured".'
+            });
+        }
+
+        const variantCount = variants === undefined ? 1 : parseInt(variants, 10);
+        if (!Number.isInteger(variantCount) || variantCount < 1 || variantCount > 5) {
+            return res.status(400).json({
+                error: 'Number of variants must be between 1 and 5.'
+            });
+        }
+
+        const locationProblem = findLeadLocationProblem(leadLocation);
+        if (locationProblem) {
+            return res.status(400).json({ error: locationProblem });
+        }
+
+        const { companyProfile, error: profileError } = resolveCompanyProfile(companyProfileId);
+        if (profileError) {
+            return res.status(404).json({ error: profileError });
+        }
+        const { outputLocale, error: localeError } = resolveOutputLocale(language, locale, formality);
+        if (localeError) {
+            return res.status(400).json({ error: localeError });
+        }
+
+        const sources = retrieveSources(userPrompt, useKnowledge);
+        const lintOptions = { coldOutreach: coldOutreach !== false, rewriteFlagged: rewriteFlagged === true, templateMode: templateMode === true, outputLocale };
+
+        // Template mode and A/B variants only make sense with structured output
+        const structured = format === 'structured' || templateMode === true || variantCount > 1;
+
+        console.log('Generating email for prompt:', userPrompt.substring(0, 100) + '...');
+
+        if (structured) {
+            const result = await lintStructuredEmail(
+                await generateStructuredEmailWithGemini(userPrompt.trim(), templateMode === true, variantCount, companyProfile, sources, outputLocale),
+                lintOptions
+            );
+            const compliance = enforceCompliance('/generate-mail', 'email', result.variants.map(emailComplianceItem), leadLocation, companyProfile);
+            return res.json(withGenerationId('/generate-mail', {
+                ...result,
+                compliance,
+                sources,
+                timestamp: new Date().toISOString(),
+                success: true
+            }));
+        }
+
+        // Streaming mode: forward tokens as they arrive, then a final event with the result. Streamed tokens cannot be
+        // taken back, so while a blocking compliance rule applies to the lead the email is checked first and sent as JSON.
+        if (wantsEventStream(req) && !hasBlockingComplianceRules('email', resolveComplianceRegions(leadLocation), companyProfile)) {
+            const signal = startEventStream(res);
+            const { generatedEmail, promptVersion } = await generateEmailWithGemini(userPrompt.trim(), companyProfile, sources, outputLocale, text => sendEvent(res, 'token', { text }), signal);
+            const linted = await lintEmailText(generatedEmail, lintOptions);
+            sendEvent(res, 'done', withGenerationId('/generate-mail', {
+                ...linted,
+                compliance: enforceCompliance('/generate-mail', 'email', [emailComplianceItem(splitEmailText(linted.generatedEmail))], leadLocation, companyProfile),
+                promptVersion,
+                sources,
+                timestamp: new Date().toISOString(),
+                success: true
+            }));
+            return res.end();
+        }
+
+        // Generate email using the configured LLM
+        const { generatedEmail, promptVersion } = await generateEmailWithGemini(userPrompt.trim(), companyProfile, sources, outputLocale);
+
+        const linted = await lintEmailText(generatedEmail, lintOptions);
+        const compliance = enforceCompliance('/generate-mail', 'email', [emailComplianceItem(splitEmailText(linted.generatedEmail))], leadLocation, companyProfile);
+
+        // Return successful response
+        res.json(withGenerationId('/generate-mail', {
+            ...linted,
+            compliance,
+            promptVersion,
+            sources,
+            timestamp: new Date().toISOString(),
+            success: true
+        }));
+
+    } catch (error) {
+        sendRouteError(res, '/generate-mail', error, 'Failed to generate email. Please try again.');
+    }
+});
+
+/**
+ * Generate email using the configured LLM
+ * @param {string} userPrompt - The user's email brief/topic
+ * @param {object|null} [companyProfile] - Company knowledge base merged into the prompt
+ * @param {object[]} [sources] - Retrieved knowledge snippets to ground the output in
+ * @param {object|null} [outputLocale] - Output language, formality and formats (see resolveOutputLocale)
+ * @param {function(string): void} [onToken] - When given, stream the completion and call this with each chunk
+ * @param {AbortSignal} [signal] - Stops a streamed completion early
+ * @returns {Promise<{generatedEmail: string, promptVersion: string}>} - Generated email content and the prompt version used
+ */
+async function generateEmailWithGemini(userPrompt, companyProfile, sources, outputLocale, onToken, signal) {
+    // Construct the prompt for email generation
+    const { prompt: emailPrompt, promptVersion } = renderPrompt('generate-mail', { userPrompt });
+
+    const generationConfig = {
+        temperature: 0.7,
+        topK: 40,
+        topP: 0.95,
+        maxOutputTokens: 1024,
+    };
+
+    const groundedPrompt = withOutputLocale(withRetrievedSources(withCompanyProfile(emailPrompt, companyProfile), sources), outputLocale);
+
+    console.log(`Making request to ${llmProvider.name} provider...`);
+
+    const generatedText = onToken
+        ? await streamWithLLM('generate-mail', groundedPrompt, generationConfig, 60000, onToken, signal)
+        : await generateWithLLM('generate-mail', groundedPrompt, generationConfig, 30000);
+
+    if (!generatedText || generatedText.trim().length === 0) {
+        throw new LLMServiceError('AI service returned an empty email. Please try again.', { code: 'LLM_EMPTY_RESPONSE', statusCode: 502 });
+    }
+
+    console.log('Email generated successfully');
+    return { generatedEmail: generatedText.trim(), promptVersion };
+}
+
+// Merge fields allowed in template mode, e.g. {{firstName}}
+const EMAIL_MERGE_FIELDS = ['firstName', 'lastName', 'company', 'title', 'industry', 'city', 'senderName', 'senderCompany'];
+
+/**
+ * Build the response schema for structured email output
+ * @param {number} variants - Minimum number of variants the model must return
+ * @returns {object}
+ */
+function buildStructuredEmailSchema(variants) {
+    return {
+        type: 'object',
+        required: ['variants'],
+        properties: {
+            variants: {
+                type: 'array',
+                minItems: variants,
+                items: {
+                    type: 'object',
+                    required: ['subjectLines', 'previewText', 'body', 'signature'],
+                    properties: {
+                        subjectLines: { type: 'array', minItems: 1, maxItems: 5, items: { type: 'string', minLength: 1 } },
+                        previewText: { type: 'string', minLength: 1 },
+                        body: { type: 'string', minLength: 1 },
+                        signature: { type: 'string', minLength: 1 },
+                        differenceNote: { type: 'string' }
+                    }
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Check merge fields in a piece of email text
+ * @param {string} text
+ * @param {boolean} templateMode - Whether {{field}} merge fields are allowed
+ * @returns {string[]} - Problems found, empty when the text is clean
+ */
+function findMergeFieldProblems(text, templateMode) {
+    const problems = [];
+    const wellFormed = /\{\{(\w+)\}\}/g;
+    const used = [...text.matchAll(wellFormed)].map(m => m[1]);
+    if (!templateMode && used.length > 0) {
+        problems.push('merge fields are not allowed outside template mode');
+    }
+    used.filter(f => !EMAIL_MERGE_FIELDS.includes(f)).forEach(f => {
+        problems.push(`unknown merge field {{${f}}} (allowed: ${EMAIL_MERGE_FIELDS.join(', ')})`);
+    });
+    const remainder = text.replace(wellFormed, '');
+    if (/[{}]/.test(remainder)) {
+        problems.push('malformed merge field; use {{fieldName}} exactly');
+    }
+    if (/\[[^\]\n]{1,40}\]/.test(remainder)) {
+        problems.push('bracket placeholder found; use {{fieldName}} merge fields or real text');
+    }
+    return problems;
+}
+
+/**
+ * Render a structured email variant as plain text
+ * @param {{subjectLines: string[], body: string, signature: string}} variant
+ * @returns {string}
+ */
+function renderEmailText(variant) {
+    return `Subject: ${variant.subjectLines[0]}\n\n${variant.body.trim()}\n\n${variant.signature.trim()}`;
+}
+
+/**
+ * Generate structured email(s) using the configured LLM
+ * @param {string} userPrompt - The user's email brief/topic
+ * @param {boolean} templateMode - Emit {{field}} merge fields instead of concrete names
+ * @param {number} variants - Number of A/B variants
+ * @param {object|null} [companyProfile] - Company knowledge base merged into the prompt
+ * @param {object[]} [sources] - Retrieved knowledge snippets to ground the output in
+ * @param {object|null} [outputLocale] - Output language, formality and formats (see resolveOutputLocale)
+ * @returns {Promise<{generatedEmail: string, email: object, variants: object[], mergeFields: string[], templateMode: boolean, promptVersion: string}>}
+ */
+async function generateStructuredEmailWithGemini(userPrompt, templateMode, variants, companyProfile, sources, outputLocale) {
+    const { prompt, promptVersion } = renderPrompt('generate-mail-structured', {
+        userPrompt,
+        variants,
+        multipleVariants: variants > 1,
+        templateMode,
+        allowedMergeFields: EMAIL_MERGE_FIELDS.map(f => `{{${f}}}`).join(', '),
+        mergeFieldSyntax: '{{fieldName}}',
+        requiredMergeFields: '{{firstName}} and {{company}}',
+        mergeFieldExample: '{{firstName}}'
+    });
+
+    const generationConfig = {
+        temperature: 0.7,
+        topK: 40,
+        topP: 0.95,
+        maxOutputTokens: 1024 * Math.min(variants, 4),
+    };
+
+    const validateMergeFields = (result) => {
+        const errors = [];
+        result.variants.slice(0, variants).forEach((v, i) => {
+            const fields = { previewText: v.previewText, body: v.body, signature: v.signature };
+            v.subjectLines.forEach((s, j) => { fields[`subjectLines[${j}]`] = s; });
+            Object.entries(fields).forEach(([name, text]) => {
+                findMergeFieldProblems(text, templateMode).forEach(message => {
+                    errors.push({ field: `variants[${i}].${name}`, message });
+                });
+            });
+        });
+        return errors;
+    };
+
+    const result = await generateStructuredWithLLM(
+        templateMode ? 'generate-mail-template' : 'generate-mail-structured',
+        withOutputLocale(withRetrievedSources(withCompanyProfile(prompt, companyProfile), sources), outputLocale),
+        buildStructuredEmailSchema(variants),
+        generationConfig,
+        60000,
+        validateMergeFields
+    );
+
+    const emailVariants = result.variants.slice(0, variants).map(v => ({
+        subjectLines: v.subjectLines,
+        previewText: v.previewText,
+        body: v.body,
+        signature: v.signature,
+        differenceNote: variants > 1 ? (v.differenceNote || '') : ''
+    }));
+    const mergeFields = templateMode
+        ? [...new Set(emailVariants.flatMap(v => {
+            const text = [...v.subjectLines, v.previewText, v.body, v.signature].join('\n');
+            return [...text.matchAll(/\{\{(\w+)\}\}/g)].map(m => m[1]);
+        }))]
+        : [];
+
+    return {
+        generatedEmail: renderEmailText(emailVariants[0]),
+        email: emailVariants[0],
+        variants: emailVariants,
+        mergeFields,
+        templateMode,
+        promptVersion
+    };
+}
+
+// Deliverability linting: deterministic checks on an email's subject, body and signature for spam trigger phrases,
+// links, images, caps, exclamation marks, opt-out language, reading level, length and personalization.
+// Warning offsets (start/end) are character positions in the field they name; whole-email warnings have null offsets.
+const SPAM_TRIGGERS_PATH = path.join(__dirname, 'data', 'spam-triggers.json');
+const EMAIL_LINT_PENALTIES = { high: 15, medium: 8, low: 3 };
+const EMAIL_LINT_LIMITS = {
+    subjectMaxChars: 60,
+    bodyMinWords: 25,
+    bodyMaxWords: 200,
+    coldBodyMaxWords: 150,
+    maxLinks: 2,
+    coldMaxLinks: 1,
+    maxExclamations: 1,
+    maxSentenceWords: 25,
+    maxReadingGrade: 9,
+    minPersonalizationPer100Words: 2
+};
+const EMAIL_LINT_MAX_CHARS = 20000;
+// Languages written without spaces between words, where word-count limits mean nothing
+const EMAIL_LINT_UNSPACED_LANGUAGES = ['ja', 'zh', 'th', 'lo', 'km', 'my'];
+// Any of these counts as a way for a cold prospect to opt out
+const OPT_OUT_PATTERN = /unsubscribe|opt[ -]?out|not interested|no longer (?:wish|want) to hear|(?:rather|prefer) not to hear|reply (?:with )?["“']?(?:stop|no|remove)\b|let me know if (?:this isn't|it's not) (?:a fit|relevant)|won't (?:email|reach out|follow up) again/i;
+
+/**
+ * Load spam trigger phrases from a JSON file of { category: { severity, phrases } }
+ * @param {string} filePath
+ * @returns {Array<{phrase: string, category: string, severity: string, pattern: RegExp}>}
+ */
+function loadSpamTriggers(filePath) {
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return Object.entries(parsed).flatMap(([category, { severity, phrases }]) => phrases.map(phrase => ({
+        phrase,
+        category,
+        severity,
+        pattern: new RegExp(`(?<![\\w$])${phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\w$])`, 'gi')
+    })));
+}
+
+const spamTriggers = loadSpamTriggers(SPAM_TRIGGERS_PATH);
+
+/**
+ * Rough syllable count for reading-level scoring
+ * @param {string} word
+ * @returns {number}
+ */
+function countSyllables(word) {
+    const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+    if (letters.length <= 3) return 1;
+    const groups = letters.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').replace(/^y/, '').match(/[aeiouy]{1,2}/g);
+    return Math.max(1, groups ? groups.length : 0);
+}
+
+/**
+ * Split a plain-text email ("Subject: ..." on the first line) into subject and body
+ * @param {string} text
+ * @returns {{subject: string, body: string}}
+ */
+function splitEmailText(text) {
+    const match = text.match(/^\s*Subject:[ \t]*(.*)\r?\n/i);
+    return match
+        ? { subject: match[1].trim(), body: text.slice(match[0].length).replace(/^\s*\n/, '') }
+        : { subject: '', body: text };
+}
+
+/**
+ * Lint an email for deliverability problems
+ * @param {{subject?: string, body?: string, signature?: string}} email
+ * @param {{coldOutreach?: boolean, language?: string}} [options] - Cold outreach is held to stricter link/length limits and needs
+ *   opt-out language. Spam phrases, opt-out wording, reading level and "you"-focus are only checked for English (the default).
+ * @returns {{score: number, rating: string, warnings: Array<{rule: string, severity: string, field: string|null, start: number|null, end: number|null, text: string|null, message: string}>, stats: object}}
+ */
+function lintEmail({ subject = '', body = '', signature = '' }, { coldOutreach = true, language = 'en' } = {}) {
+    const baseLanguage = new Intl.Locale(language).language;
+    const english = baseLanguage === 'en';
+    const warnings = [];
+    const warn = (rule, severity, field, start, text, message) => {
+        warnings.push({ rule, severity, field, start, end: start === null ? null : start + text.length, text, message });
+    };
+    const fields = { subject, body, signature };
+    const stats = { linkCount: 0, imageCount: 0, exclamationCount: 0, capsWordCount: 0, spamPhraseCount: 0 };
+
+    Object.entries(fields).forEach(([field, text]) => {
+        (english ? spamTriggers : []).forEach(trigger => {
+            for (const m of text.matchAll(trigger.pattern)) {
+                stats.spamPhraseCount++;
+                warn('spam-phrase', trigger.severity, field, m.index, m[0], `"${m[0]}" is a common spam trigger (${trigger.category})`);
+            }
+        });
+        for (const m of text.matchAll(/(?<![\w{])[A-Z]{4,}(?![\w}])/g)) {
+            stats.capsWordCount++;
+            warn('all-caps', field === 'subject' ? 'medium' : 'low', field, m.index, m[0], `"${m[0]}" is in all caps`);
+        }
+        let exclamations = 0;
+        for (const m of text.matchAll(/!+/g)) {
+            exclamations += m[0].length;
+            if (field === 'subject') {
+                warn('exclamation', 'medium', field, m.index, m[0], 'Exclamation marks in the subject line look promotional');
+            } else if (m[0].length > 1) {
+                warn('exclamation', 'medium', field, m.index, m[0], 'Repeated exclamation marks');
+            } else if (stats.exclamationCount + exclamations > EMAIL_LINT_LIMITS.maxExclamations) {
+                warn('exclamation', 'low', field, m.index, m[0], `More than ${EMAIL_LINT_LIMITS.maxExclamations} exclamation mark`);
+            }
+        }
+        stats.exclamationCount += exclamations;
+        if (field === 'subject') return;
+        const maxLinks = coldOutreach ? EMAIL_LINT_LIMITS.coldMaxLinks : EMAIL_LINT_LIMITS.maxLinks;
+        for (const m of text.matchAll(/\bhttps?:\/\/[^\s<>"')\]]+|\bwww\.[^\s<>"')\]]+/gi)) {
+            stats.linkCount++;
+            if (stats.linkCount > maxLinks) {
+                warn('too-many-links', 'medium', field, m.index, m[0], `More than ${maxLinks} link${maxLinks === 1 ? '' : 's'}${coldOutreach ? ' in a cold email' : ''}`);
+            }
+        }
+        for (const m of text.matchAll(/<img\b[^>]*>|!\[[^\]]*\]\([^)]*\)/gi)) {
+            stats.imageCount++;
+            warn('image', coldOutreach ? 'medium' : 'low', field, m.index, m[0], 'Images hurt deliverability, especially in cold email');
+        }
+    });
+
+    if (!subject.trim()) {
+        warn('missing-subject', 'medium', 'subject', null, null, 'The email has no subject line');
+    } else if (subject.length > EMAIL_LINT_LIMITS.subjectMaxChars) {
+        warn('subject-length', 'low', 'subject', EMAIL_LINT_LIMITS.subjectMaxChars, subject.slice(EMAIL_LINT_LIMITS.subjectMaxChars),
+            `Subject is ${subject.length} characters; inboxes cut it off after about ${EMAIL_LINT_LIMITS.subjectMaxChars}`);
+    }
+
+    // Lines without end punctuation (greetings, sign-offs) count as their own sentences
+    const sentences = [...body.matchAll(/[^.!?。！？\n]*\p{L}[^.!?。！？\n]*[.!?。！？]*/gu)].map(m => ({ text: m[0], index: m.index }));
+    const words = body.match(/[\p{L}\p{N}'’{}-]+/gu) || [];
+    const syllables = words.reduce((sum, w) => sum + countSyllables(w), 0);
+    const countsWords = !EMAIL_LINT_UNSPACED_LANGUAGES.includes(baseLanguage);
+    sentences.forEach(s => {
+        const count = (s.text.match(/[\p{L}\p{N}'’{}-]+/gu) || []).length;
+        if (countsWords && count > EMAIL_LINT_LIMITS.maxSentenceWords) {
+            const start = s.index + (s.text.length - s.text.trimStart().length);
+            warn('long-sentence', 'low', 'body', start, s.text.trim(), `Sentence has ${count} words; keep sentences under ${EMAIL_LINT_LIMITS.maxSentenceWords}`);
+        }
+    });
+    // Flesch-Kincaid is calibrated on English syllable counts
+    const readingGrade = english && words.length > 0 && sentences.length > 0
+        ? Math.max(0, 0.39 * (words.length / sentences.length) + 11.8 * (syllables / words.length) - 15.59)
+        : 0;
+    if (readingGrade > EMAIL_LINT_LIMITS.maxReadingGrade) {
+        warn('reading-level', 'low', 'body', null, null, `Reading level is grade ${readingGrade.toFixed(1)}; aim for grade ${EMAIL_LINT_LIMITS.maxReadingGrade} or below`);
+    }
+
+    const maxWords = coldOutreach ? EMAIL_LINT_LIMITS.coldBodyMaxWords : EMAIL_LINT_LIMITS.bodyMaxWords;
+    if (countsWords && words.length > maxWords) {
+        warn('body-length', 'medium', 'body', null, null, `Body is ${words.length} words; keep it under ${maxWords}`);
+    } else if (countsWords && words.length < EMAIL_LINT_LIMITS.bodyMinWords) {
+        warn('body-length', 'low', 'body', null, null, `Body is only ${words.length} word${words.length === 1 ? '' : 's'}`);
+    }
+
+    // Personalization: merge fields and words addressed to the reader
+    const personalization = (body.match(/\{\{\w+\}\}/g) || []).length + (body.match(/\b(?:you|your|you're|yours)\b/gi) || []).length;
+    const personalizationPer100Words = words.length > 0 ? (personalization / words.length) * 100 : 0;
+    if (english && words.length > 0 && personalizationPer100Words < EMAIL_LINT_LIMITS.minPersonalizationPer100Words) {
+        warn('low-personalization', 'low', 'body', null, null, 'The email says little about the reader; add merge fields or "you"-focused lines');
+    }
+
+    const hasOptOut = OPT_OUT_PATTERN.test(`${body}\n${signature}`);
+    if (english && coldOutreach && !hasOptOut) {
+        warn('missing-opt-out', 'high', null, null, null, 'Cold outreach should tell the recipient how to opt out (e.g. "Reply \'stop\' and I won\'t follow up")');
+    }
+
+    const score = Math.max(0, 100 - warnings.reduce((sum, w) => sum + EMAIL_LINT_PENALTIES[w.severity], 0));
+    // Passages in reading order, whole-email warnings last
+    const fieldOrder = ['subject', 'body', 'signature', null];
+    warnings.sort((a, b) => (fieldOrder.indexOf(a.field) - fieldOrder.indexOf(b.field)) || ((a.start ?? Infinity) - (b.start ?? Infinity)));
+    return {
+        score,
+        rating: score >= 80 ? 'good' : score >= 50 ? 'needs-work' : 'poor',
+        warnings,
+        stats: {
+            subjectChars: subject.length,
+            wordCount: words.length,
+            sentenceCount: sentences.length,
+            readingGrade: Number(readingGrade.toFixed(1)),
+            ...stats,
+            personalizationPer100Words: Number(personalizationPer100Words.toFixed(1)),
+            hasOptOut,
+            language: baseLanguage
+        }
+    };
+}
+
+// Response schema for the flagged-passage rewrite
+const lintRewriteSchema = {
+    type: 'object',
+    required: ['subject', 'body'],
+    properties: {
+        subject: { type: 'string', minLength: 1 },
+        body: { type: 'string', minLength: 1 },
+        signature: { type: 'string' }
+    }
+};
+
+/**
+ * Lint an email and, when asked, have the model rewrite the flagged passages; the rewrite is kept only if it lints better
+ * @param {{subject: string, body: string, signature?: string}} email
+ * @param {{coldOutreach?: boolean, rewriteFlagged?: boolean, templateMode?: boolean, outputLocale?: object|null}} [options]
+ *   outputLocale (from resolveOutputLocale) sets the lint language and keeps the rewrite in the email's language
+ * @returns {Promise<{email: {subject: string, body: string, signature: string}, lint: object, rewrite: object|null}>}
+ */
+async function lintAndRewriteEmail(email, { coldOutreach = true, rewriteFlagged = false, templateMode = false, outputLocale = null } = {}) {
+    const original = { subject: email.subject || '', body: email.body || '', signature: email.signature || '' };
+    const language = outputLocale ? outputLocale.language : 'en';
+    const lint = lintEmail(original, { coldOutreach, language });
+    const flagged = lint.warnings.filter(w => w.severity !== 'low');
+    if (!rewriteFlagged || flagged.length === 0) {
+        return { email: original, lint, rewrite: null };
+    }
+
+    const { prompt, promptVersion } = renderPrompt('rewrite-flagged-passages', {
+        subject: original.subject,
+        body: original.body,
+        signature: original.signature,
+        issues: flagged.map(w => `- ${w.field ? `[${w.field}${w.start !== null ? ` ${w.start}-${w.end}` : ''}] ` : ''}${w.text ? `"${w.text}": ` : ''}${w.message}`).join('\n'),
+        coldOutreach,
+        templateMode,
+        mergeFieldSyntax: '{{fieldName}}'
+    });
+    const generationConfig = {
+        temperature: 0.3,
+        topK: 40,
+        topP: 0.95,
+        maxOutputTokens: 1024,
+    };
+    const result = await generateStructuredWithLLM('rewrite-flagged-passages', withOutputLocale(prompt, outputLocale), lintRewriteSchema, generationConfig, 30000);
+    const rewritten = { subject: result.subject.trim(), body: result.body.trim(), signature: (result.signature || original.signature).trim() };
+    const rewrittenLint = lintEmail(rewritten, { coldOutreach, language });
+    const mergeFieldProblems = Object.values(rewritten).flatMap(text => findMergeFieldProblems(text, templateMode));
+    const applied = rewrittenLint.score > lint.score && mergeFieldProblems.length === 0;
+    return {
+        email: applied ? rewritten : original,
+        lint: applied ? rewrittenLint : lint,
+        rewrite: { applied, promptVersion, scoreBefore: lint.score, scoreAfter: rewrittenLint.score }
+    };
+}
+
+/**
+ * Lint a plain-text generated email ("Subject:" line first), applying an accepted rewrite
+ * @param {string} generatedEmail
+ * @param {{coldOutreach?: boolean, rewriteFlagged?: boolean, outputLocale?: object|null}} options
+ * @returns {Promise<{generatedEmail: string, lint: object, rewrite: object|null}>}
+ */
+async function lintEmailText(generatedEmail, options) {
+    const { email, lint, rewrite } = await lintAndRewriteEmail(splitEmailText(generatedEmail), options);
+    const text = [email.subject ? `Subject: ${email.subject}` : '', email.body, email.signature].filter(Boolean).join('\n\n');
+    return { generatedEmail: rewrite && rewrite.applied ? text : generatedEmail, lint, rewrite };
+}
+
+/**
+ * Lint every variant of a structured email (first subject line, body and signature), applying accepted rewrites
+ * @param {object} result - generateStructuredEmailWithGemini result
+ * @param {{coldOutreach?: boolean, rewriteFlagged?: boolean, templateMode?: boolean, outputLocale?: object|null}} options
+ * @returns {Promise<object>} - The result with lint (and rewrite) on each variant; top-level lint is the first variant's
+ */
+async function lintStructuredEmail(result, options) {
+    const variants = await Promise.all(result.variants.map(async variant => {
+        const { email, lint, rewrite } = await lintAndRewriteEmail({ subject: variant.subjectLines[0], body: variant.body, signature: variant.signature }, options);
+        return {
+            ...variant,
+            subjectLines: [email.subject, ...variant.subjectLines.slice(1)],
+            body: email.body,
+            signature: email.signature,
+            lint,
+            rewrite
+        };
+    }));
+    return {
+        ...result,
+        generatedEmail: renderEmailText(variants[0]),
+        email: variants[0],
+        variants,
+        lint: variants[0].lint
+    };
+}
+
+// Standalone deliverability lint: send subject/body (and optionally signature), or a plain-text email with a "Subject:" line
+app.post('/lint-email', async (req, res) => {
+    try {
+        const { subject, body, signature, email, coldOutreach, rewriteFlagged, language, locale } = req.body;
+        const fields = typeof email === 'string' && email.trim() ? splitEmailText(email) : { subject, body, signature };
+        if (typeof fields.body !== 'string' || fields.body.trim().length === 0) {
+            return res.status(400).json({ error: 'Please provide the email body (or the full email text).' });
+        }
+        if (['subject', 'signature'].some(f => fields[f] !== undefined && typeof fields[f] !== 'string')) {
+            return res.status(400).json({ error: 'Subject and signature must be strings.' });
+        }
+        if (Object.values(fields).join('').length > EMAIL_LINT_MAX_CHARS) {
+            return res.status(400).json({ error: `Email is too long to lint. Please keep it under ${EMAIL_LINT_MAX_CHARS} characters.` });
+        }
+        const { outputLocale, error: localeError } = resolveOutputLocale(language, locale);
+        if (localeError) {
+            return res.status(400).json({ error: localeError });
+        }
+        const result = await lintAndRewriteEmail(fields, { coldOutreach: coldOutreach !== false, rewriteFlagged: rewriteFlagged === true, outputLocale });
+        res.json({ ...result.email, ...result.lint, rewrite: result.rewrite });
+    } catch (error) {
+        sendRouteError(res, '/lint-email', error, 'Failed to lint email.');
+    }
+});
+
+// Value Proposition Clarity Checker endpoint
+app.post('/analyze-value-prop', async (req, res) => {
+    try {
+        const { valueProp, icp, companyProfileId, language, locale, formality } = req.body;
+        if (!valueProp || typeof valueProp !== 'string' || valueProp.trim().length === 0) {
+            return res.status(400).json({ error: 'Please provide a value proposition.' });
+        }
+        if (!icp || typeof icp !== 'string' || icp.trim().length === 0) {
+            return res.status(400).json({ error: 'Please provide an Ideal Customer Profile (ICP).' });
+        }
+        const { companyProfile, error: profileError } = resolveCompanyProfile(companyProfileId);
+        if (profileError) {
+            return res.status(404).json({ error: profileError });
+        }
+        const { outputLocale, error: localeError } = resolveOutputLocale(language, locale, formality);
+        if (localeError) {
+            return res.status(400).json({ error: localeError });
+        }
+        const analysis = await analyzeValuePropWithGemini(valueProp.trim(), icp.trim(), companyProfile, outputLocale);
+        res.json(withGenerationId('/analyze-value-prop', analysis));
+    } catch (error) {
+        sendRouteError(res, '/analyze-value-prop', error, 'Failed to analyze value proposition.');
+    }
+});
+
+// Response schema for /analyze-value-prop
+const valuePropSchema = {
+    type: 'object',
+    required: ['clarityScore', 'jargonPhrases', 'rewrittenValueProp', 'taglines'],
+    properties: {
+        clarityScore: { type: 'integer', minimum: 0, maximum: 100 },
+        jargonPhrases: { type: 'array', items: { type: 'string' } },
+        rewrittenValueProp: { type: 'string', minLength: 1 },
+        taglines: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } }
+    }
+};
+
+/**
+ * Analyze value proposition using the configured LLM
+ * @param {string} valueProp
+ * @param {string} icp
+ * @param {object|null} [companyProfile] - Company knowledge base merged into the prompt
+ * @param {object|null} [outputLocale] - Output language, formality and formats (see resolveOutputLocale)
+ * @returns {Promise<{clarityScore:number, jargonPhrases:string[], rewrittenValueProp:string, taglines:string[], promptVersion:string}>}
+ */
+async function analyzeValuePropWithGemini(valueProp, icp, companyProfile, outputLocale) {
+    const { prompt, promptVersion } = renderPrompt('analyze-value-prop', { valueProp, icp });
+    const generationConfig = {
+        temperature: 0.6,
+        topK: 40,
+        topP: 0.95,
+        maxOutputTokens: 512,
+    };
+    const analysis = await generateStructuredWithLLM('analyze-value-prop', withOutputLocale(withCompanyProfile(prompt, companyProfile), outputLocale), valuePropSchema, generationConfig, 30000);
+    return {
+        clarityScore: analysis.clarityScore,
+        jargonPhrases: analysis.jargonPhrases,
+        rewrittenValueProp: analysis.rewrittenValueProp,
+        taglines: analysis.taglines,
+        promptVersion
+    };
+}
+
+// Sales Call Opener Generator endpoint
+app.post('/generate-call-opener', async (req, res) => {
+    try {
+        const { leadRole, companyIndustry, context, extraContext, companyProfileId, language, locale, formality } = req.body;
+        if (!leadRole || typeof leadRole !== 'string' || leadRole.trim().length === 0) {
+            return res.status(400).json({ error: 'Please provide the lead’s role or title.' });
+        }
+        if (!companyIndustry || typeof companyIndustry !== 'string' || companyIndustry.trim().length === 0) {
+            return res.status(400).json({ error: 'Please provide the company or industry.' });
+        }
+        if (!context || typeof context !== 'string' || !['cold','follow-up','referral'].includes(context)) {
+            return res.status(400).json({ error: 'Please provide a valid context.' });
+        }
+        const { companyProfile, error: profileError } = resolveCompanyProfile(companyProfileId);
+        if (profileError) {
+            return res.status(404).json({ error: profileError });
+        }
+        const { outputLocale, error: localeError } = resolveOutputLocale(language, locale, formality);
+        if (localeError) {
+            return res.status(400).json({ error: localeError });
+        }
+        const result = await generateCallOpenerWithGemini(leadRole.trim(), companyIndustry.trim(), context, (typeof extraContext === 'string' ? extraContext.trim() : ''), companyProfile, outputLocale);
+        res.json(withGenerationId('/generate-call-opener', result));
+    } catch (error) {
+        sendRouteError(res, '/generate-call-opener', error, 'Failed to generate call openers.');
+    }
+});
+
+// Response schema for /generate-call-opener
+const callOpenerSchema = {
+    type: 'object',
+    required: ['scripts'],
+    properties: {
+        scripts: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+        patternInterrupt: { type: 'string' }
+    }
+};
+
+/**
+ * Generate sales call openers using the configured LLM
+ * @param {string} leadRole
+ * @param {string} companyIndustry
+ * @param {string} context
+ * @param {string} extraContext
+ * @param {object|null} [companyProfile] - Company knowledge base merged into the prompt
+ * @param {object|null} [outputLocale] - Output language, formality and formats (see resolveOutputLocale)
+ * @returns {Promise<{scripts:string[], patternInterrupt?:string, promptVersion:string}>}
+ */
+async function generateCallOpenerWithGemini(leadRole, companyIndustry, context, extraContext, companyProfile, outputLocale) {
+    const { prompt, promptVersion } = renderPrompt('generate-call-opener', { leadRole, companyIndustry, context, extraContext });
+    const generationConfig = {
+        temperature: 0.7,
+        topK: 40,
+        topP: 0.95,
+        maxOutputTokens: 512,
+    };
+    const result = await generateStructuredWithLLM('generate-call-opener', withOutputLocale(withCompanyProfile(prompt, companyProfile), outputLocale), callOpenerSchema, generationConfig, 30000);
+    return {
+        scripts: result.scripts,
+        patternInterrupt: result.patternInterrupt || '',
+        promptVersion
+    };
+}
+
+// Pain Point Identifier endpoint
+app.post('/identify-pain-points', async (req, res) => {
+    try {
+        const { productType, targetAudience, companyProfileId, language, locale, formality } = req.body;
+        const { companyProfile, error: profileError } = resolveCompanyProfile(companyProfileId);
+        if (profileError) {
+            return res.status(404).json({ error: profileError });
+        }
+        const { outputLocale, error: localeError } = resolveOutputLocale(language, locale, formality);
+        if (localeError) {
+            return res.status(400).json({ error: localeError });
+        }
+        if (!companyProfile && (!productType || typeof productType !== 'string' || productType.trim().length === 0)) {
+            return res.status(400).json({ error: 'Please provide the product type.' });
+        }
+        if (!targetAudience || typeof targetAudience !== 'string' || targetAudience.trim().length === 0) {
+            return res.status(400).json({ error: 'Please provide the target audience.' });
+        }
+        const result = await identifyPainPointsWithGemini(
+            (typeof productType === 'string' && productType.trim()) || summarizeCompanyProducts(companyProfile),
+            targetAudience.trim(),
+            companyProfile,
+            outputLocale
+        );
+        res.json(withGenerationId('/identify-pain-points', result));
+    } catch (error) {
+        sendRouteError(res, '/identify-pain-points', error, 'Failed to identify pain points.');
+    }
+});
+
+// Response schema for /identify-pain-points
+const painPointsSchema = {
+    type: 'object',
+    required: ['painPoints'],
+    properties: {
+        painPoints: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['title', 'type', 'narrative'],
+                properties: {
+                    title: { type: 'string', minLength: 1 },
+                    type: { type: 'string', enum: ['emotional', 'rational'] },
+                    narrative: { type: 'string', minLength: 1 }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Identify pain points using the configured LLM
+ * @param {string} productType
+ * @param {string} targetAudience
+ * @param {object|null} [companyProfile] - Company knowledge base merged into the prompt
+ * @param {object|null} [outputLocale] - Output language, formality and formats (see resolveOutputLocale)
+ * @returns {Promise<{painPoints: Array<{title: string, type: string, narrative: string}>, promptVersion: string}>}
+ */
+async function identifyPainPointsWithGemini(productType, targetAudience, companyProfile, outputLocale) {
+    const { prompt, promptVersion } = renderPrompt('identify-pain-points', { productType, targetAudience });
+    const generationConfig = {
+        temperature: 0.7,
+        topK: 40,
+        topP: 0.95,
+        maxOutputTokens: 512,
+    };
+    const result = await generateStructuredWithLLM('identify-pain-points', withOutputLocale(withCompanyProfile(prompt, companyProfile), outputLocale), painPointsSchema, generationConfig, 30000);
+    return {
+        painPoints: result.painPoints,
+        promptVersion
+    };
+}
+
+// ICP Persona Generator endpoint
+app.post('/generate-icp-persona', async (req, res) => {
+    try {
+        const { productDescription, existingCustomers, industry, companySize, jobTitles, companyProfileId, language, locale, formality } = req.body;
+        const { companyProfile, error: profileError } = resolveCompanyProfile(companyProfileId);
+        if (profileError) {
+            return res.status(404).json({ error: profileError });
+        }
+        const { outputLocale, error: localeError } = resolveOutputLocale(language, locale, formality);
+        if (localeError) {
+            return res.status(400).json({ error: localeError });
+        }
+        if (!companyProfile && (!productDescription || typeof productDescription !== 'string' || productDescription.trim().length === 0)) {
+            return res.status(400).json({ error: 'Please provide a product description.' });
+        }
+        if (!industry || typeof industry !== 'string' || industry.trim().length === 0) {
+            return res.status(400).json({ error: 'Please provide the industry.' });
+        }
+        if (!companySize || typeof companySize !== 'string' || companySize.trim().length === 0) {
+            return res.status(400).json({ error: 'Please provide the company size.' });
+        }
+        if (!jobTitles || typeof jobTitles !== 'string' || jobTitles.trim().length === 0) {
+            return res.status(400).json({ error: 'Please provide job titles.' });
+        }
+        const result = await generateIcpPersonaWithGemini(
+            (typeof productDescription === 'string' && productDescription.trim()) || summarizeCompanyProducts(companyProfile),
+            (typeof existingCustomers === 'string' ? existingCustomers.trim() : ''),
+            industry.trim(),
+            companySize.trim(),
+            jobTitles.trim(),
+            companyProfile,
+            outputLocale
+        );
+        res.json(withGenerationId('/generate-icp-persona', result));
+    } catch (error) {
+        sendRouteError(res, '/generate-icp-persona', error, 'Failed to generate ICP persona.');
+    }
+});
+
+// Response schema for /generate-icp-persona
+const icpPersonaSchema = {
+    type: 'object',
+    required: ['persona'],
+    properties: {
+        persona: {
+            type: 'object',
+            required: ['nameBackground', 'painPoints', 'goals', 'objections', 'communicationPreferences', 'toneStyle'],
+            properties: {
+                nameBackground: { type: 'string', minLength: 1 },
+                painPoints: { type: 'array', minItems: 1, items: { type: 'string' } },
+                goals: { type: 'array', minItems: 1, items: { type: 'string' } },
+                objections: { type: 'array', items: { type: 'string' } },
+                communicationPreferences: { type: 'string', minLength: 1 },
+                toneStyle: { type: 'string', minLength: 1 }
+            }
+        }
+    }
+};
+
+/**
+ * Generate ICP persona using the configured LLM
+ * @param {string} productDescription
+ * @param {string} existingCustomers
+ * @param {string} industry
+ * @param {string} companySize
+ * @param {string} jobTitles
+ * @param {object|null} [companyProfile] - Company knowledge base merged into the prompt
+ * @param {object|null} [outputLocale] - Output language, formality and formats (see resolveOutputLocale)
+ * @returns {Promise<{persona: {nameBackground: string, painPoints: string[], goals: string[], objections: string[], communicationPreferences: string, toneStyle: string}, promptVersion: string}>}
+ */
+async function generateIcpPersonaWithGemini(productDescription, existingCustomers, industry, companySize, jobTitles, companyProfile, outputLocale) {
+    const { prompt, promptVersion } = renderPrompt('generate-icp-persona', { productDescription, existingCustomers, industry, companySize, jobTitles });
+    const generationConfig = {
+        temperature: 0.7,
+        topK: 40,
+        topP: 0.95,
+        maxOutputTokens: 768,
+    };
+    const result = await generateStructuredWithLLM('generate-icp-persona', withOutputLocale(withCompanyProfile(prompt, companyProfile), outputLocale), icpPersonaSchema, generationConfig, 30000);
+    return {
+        persona: result.persona,
+        promptVersion
+    };
+}
+
+// Objection Handling Prompt Generator endpoint
+app.post('/generate-objection-handling', async (req, res) => {
+    try {
+        const { objectionText, productType, buyerPersona, companyProfileId, useKnowledge, language, locale, formality } = req.body;
+        if (!objectionText || typeof objectionText !== 'string' || objectionText.trim().length === 0) {
+            return res.status(400).json({ error: 'Please provide the objection type or text.' });
+        }
+        const { companyProfile, error: profileError } = resolveCompanyProfile(companyProfileId);
+        if (profileError) {
+            return res.status(404).json({ error: profileError });
+        }
+        const { outputLocale, error: localeError } = resolveOutputLocale(language, locale, formality);
+        if (localeError) {
+            return res.status(400).json({ error: localeError });
+        }
+        if (!companyProfile && (!productType || typeof productType !== 'string' || productType.trim().length === 0)) {
+            return res.status(400).json({ error: 'Please provide the product type.' });
+        }
+        if (!buyerPersona || typeof buyerPersona !== 'string' || buyerPersona.trim().length === 0) {
+            return res.status(400).json({ error: 'Please provide the buyer persona.' });
+        }
+        const sources = retrieveSources(`${objectionText} ${typeof productType === 'string' ? productType : ''} ${buyerPersona}`, useKnowledge);
+        const result = await generateObjectionHandlingWithGemini(
+            objectionText.trim(),
+            (typeof productType === 'string' && productType.trim()) || summarizeCompanyProducts(companyProfile),
+            buyerPersona.trim(),
+            companyProfile,
+            sources,
+            outputLocale
+        );
+        res.json(withGenerationId('/generate-objection-handling', { ...result, sources }));
+    } catch (error) {
+        sendRouteError(res, '/generate-objection-handling', error, 'Failed to generate objection handling prompts.');
+    }
+});
+
+// Response schema for /generate-objection-handling
+const objectionHandlingSchema = {
+    type: 'object',
+    required: ['responses', 'reframeStrategy', 'followUpQuestions'],
+    properties: {
+        responses: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+        reframeStrategy: { type: 'string', minLength: 1 },
+        followUpQuestions: { type: 'array', items: { type: 'string', minLength: 1 } }
+    }
+};
+
+/**
+ * Generate objection handling prompts using the configured LLM
+ * @param {string} objectionText
+ * @param {string} productType
+ * @param {string} buyerPersona
+ * @param {object|null} [companyProfile] - Company knowledge base merged into the prompt
+ * @param {object[]} [sources] - Retrieved knowledge snippets to ground the output in
+ * @param {object|null} [outputLocale] - Output language, formality and formats (see resolveOutputLocale)
+ * @returns {Promise<{responses: string[], reframeStrategy: string, followUpQuestions: string[], promptVersion: string}>}
+ */
+async function generateObjectionHandlingWithGemini(objectionText, productType, buyerPersona, companyProfile, sources, outputLocale) {
+    const { prompt, promptVersion } = renderPrompt('generate-objection-handling', { objectionText, productType, buyerPersona });
+    const generationConfig = {
+        temperature: 0.7,
+        topK: 40,
+        topP: 0.95,
+        maxOutputTokens: 512,
+    };
+    const result = await generateStructuredWithLLM('generate-objection-handling', withOutputLocale(withRetrievedSources(withCompanyProfile(prompt, companyProfile), sources), outputLocale), objectionHandlingSchema, generationConfig, 30000);
+    return {
+        responses: result.responses,
+        reframeStrategy: result.reframeStrategy,
+        followUpQuestions: result.followUpQuestions,
+        promptVersion
+    };
+}
+
+// Sales Script Builder endpoint
+app.post('/generate-sales-script', async (req, res) => {
+    try {
+        const { productInfo, targetPersona, callType, companyProfileId, language, locale, formality } = req.body;
+        const { companyProfile, error: profileError } = resolveCompanyProfile(companyProfileId);
+        if (profileError) {
+            return res.status(404).json({ error: profileError });
+        }
+        const { outputLocale, error: localeError } = resolveOutputLocale(language, locale, formality);
+        if (localeError) {
+            return res.status(400).json({ error: localeError });
+        }
+        if (!companyProfile && (!productInfo || typeof productInfo !== 'string' || productInfo.trim().length === 0)) {
+            return res.status(400).json({ error: 'Please provide product info.' });
+        }
+        if (!targetPersona || typeof targetPersona !== 'string' || targetPersona.trim().length === 0) {
+            return res.status(400).json({ error: 'Please provide the target persona.' });
+        }
+        if (!callType || typeof callType !== 'string' || !['cold','demo','follow-up'].includes(callType)) {
+            return res.status(400).json({ error: 'Please provide a valid call type.' });
+        }
+        const result = await generateSalesScriptWithGemini(
+            (typeof productInfo === 'string' && productInfo.trim()) || summarizeCompanyProducts(companyProfile),
+            targetPersona.trim(),
+            callType.trim(),
+            companyProfile,
+            outputLocale
+        );
+        res.json(withGenerationId('/generate-sales-script', result));
+    } catch (error) {
+        sendRouteError(res, '/generate-sales-script', error, 'Failed to generate sales script.');
+    }
+});
+
+// Response schema for /generate-sales-script
+const salesScriptSchema = {
+    type: 'object',
+    required: ['script'],
+    properties: {
+        script: {
+            type: 'object',
+            required: ['opener', 'problem', 'solution', 'cta', 'personalizationHooks'],
+            properties: {
+                opener: { type: 'string', minLength: 1 },
+                problem: { type: 'string', minLength: 1 },
+                solution: { type: 'string', minLength: 1 },
+                cta: { type: 'string', minLength: 1 },
+                personalizationHooks: { type: 'array', items: { type: 'string' } },
+                objectionHandling: { type: 'array', items: { type: 'string' } }
+            }
+        }
+    }
+};
+
+/**
+ * Generate sales script using the configured LLM
+ * @param {string} productInfo
+ * @param {string} targetPersona
+ * @param {string} callType
+ * @param {object|null} [companyProfile] - Company knowledge base merged into the prompt
+ * @param {object|null} [outputLocale] - Output language, formality and formats (see resolveOutputLocale)
+ * @returns {Promise<{script: {opener: string, problem: string, solution: string, cta: string, personalizationHooks: string[], objectionHandling?: string[]}, promptVersion: string}>}
+ */
+async function generateSalesScriptWithGemini(productInfo, targetPersona, callType, companyProfile, outputLocale) {
+    const { prompt, promptVersion } = renderPrompt('generate-sales-script', { productInfo, targetPersona, callType });
+    const generationConfig = {
+        temperature: 0.7,
+        topK: 40,
+        topP: 0.95,
+        maxOutputTokens: 768,
+    };
+    const result = await generateStructuredWithLLM('generate-sales-script', withOutputLocale(withCompanyProfile(prompt, companyProfile), outputLocale), salesScriptSchema, generationConfig, 30000);
+    return {
+        script: result.script,
+        promptVersion
+    };
+}
+
+// Lead List Formatter endpoint
+// Lead list uploads (.csv/.tsv/.txt, .xlsx, .vcf) arrive as multipart/form-data in the "file" field
+const LEAD_UPLOAD_MAX_BYTES = parseInt(process.env.LEAD_UPLOAD_MAX_BYTES, 10) || 5 * 1024 * 1024;
+const LEAD_EXPORT_FORMATS = ['json', 'xlsx', 'vcf'];
+const leadUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: LEAD_UPLOAD_MAX_BYTES, files: 1 } });
+
+/**
+ * Wrap a multer middleware so upload problems are answered with 400 instead of reaching the error handler
+ * @param {function} uploadMiddleware - e.g. upload.single('file')
+ * @param {number} maxBytes - Per-file size limit, for the error message
+ * @returns {function(object, object, function): void}
+ */
+function acceptUploads(uploadMiddleware, maxBytes) {
+    return (req, res, next) => {
+        uploadMiddleware(req, res, error => {
+            if (!error) return next();
+            const message = error.code === 'LIMIT_FILE_SIZE'
+                ? `File is too large (max ${Math.round(maxBytes / 1024 / 1024)} MB).`
+                : `Invalid upload: ${error.message}`;
+            res.status(400).json({ error: message });
+        });
+    };
+}
+
+app.post('/format-lead-list', acceptUploads(leadUpload.single('file'), LEAD_UPLOAD_MAX_BYTES), async (req, res) => {
+    try {
+        const { crmFormat, defaultCountry, useLlmHeaderMapping } = req.body || {};
+        const exportFormat = ((req.body && req.body.exportFormat) || 'json').toString().trim().toLowerCase();
+        if (!LEAD_EXPORT_FORMATS.includes(exportFormat)) {
+            return res.status(400).json({ error: `Export format must be one of: ${LEAD_EXPORT_FORMATS.join(', ')}.` });
+        }
+        let leadData = req.body && req.body.leadData;
+        let source = 'text';
+        if (req.file) {
+            try {
+                ({ leadData, source } = await readLeadFile(req.file));
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
+        } else {
+            // Without an upload, leadData must be pasted text
+            if (!leadData || typeof leadData !== 'string' || leadData.trim().length === 0) {
+                return res.status(400).json({ error: 'Please provide lead data.' });
+            }
+            leadData = leadData.trim();
+        }
+        if (!leadData || leadData.length === 0) {
+            return res.status(400).json({ error: 'Please provide lead data.' });
+        }
+        if (!crmFormat || typeof crmFormat !== 'string' || crmFormat.trim().length === 0) {
+            return res.status(400).json({ error: 'Please provide a target CRM format.' });
+        }
+        const crmFormatId = crmFormat.trim().toLowerCase();
+        if (!getCrmProfile(crmFormatId) && !GENERIC_CRM_FORMATS.includes(crmFormatId)) {
+            return res.status(400).json({
+                error: `Unknown CRM format "${crmFormat.trim()}". Available: ${[...Object.keys(crmProfiles), 'other'].join(', ')}.`
+            });
+        }
+        if (defaultCountry !== undefined && (typeof defaultCountry !== 'string' || !/^[A-Za-z]{2}$/.test(defaultCountry.trim()))) {
+            return res.status(400).json({ error: 'Default country must be a two-letter ISO country code.' });
+        }
+        const { table, leads, ...result } = await formatLeadList(leadData, crmFormatId, {
+            defaultCountry: defaultCountry ? defaultCountry.trim().toUpperCase() : undefined,
+            useLlmHeaderMapping: useLlmHeaderMapping === true || useLlmHeaderMapping === 'true',
+            source
+        });
+        if (exportFormat === 'xlsx') {
+            const buffer = await buildLeadWorkbook(table, result.report);
+            res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            res.setHeader('Content-Disposition', `attachment; filename="cleaned-leads-${crmFormatId}.xlsx"`);
+            return res.send(buffer);
+        }
+        if (exportFormat === 'vcf') {
+            res.setHeader('Content-Type', 'text/vcard; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="cleaned-leads-${crmFormatId}.vcf"`);
+            return res.send(buildVCards(leads));
+        }
+        res.json(result);
+    } catch (error) {
+        sendRouteError(res, '/format-lead-list', error, 'Failed to format lead list.');
+    }
+});
+
+// Canonical lead fields and the header spellings that map to them
+const LEAD_FIELDS = [
+    { key: 'firstName', label: 'First Name', aliases: ['first name', 'firstname', 'first', 'given name', 'fname', 'forename'] },
+    { key: 'lastName', label: 'Last Name', aliases: ['last name', 'lastname', 'last', 'surname', 'family name', 'lname'] },
+    { key: 'fullName', label: 'Full Name', aliases: ['name', 'full name', 'fullname', 'contact name', 'contact', 'lead name'] },
+    { key: 'email', label: 'Email', aliases: ['email', 'e mail', 'email address', 'work email', 'business email', 'mail'] },
+    { key: 'phone', label: 'Phone', aliases: ['phone', 'phone number', 'telephone', 'tel', 'mobile', 'mobile phone', 'cell', 'direct dial', 'work phone'] },
+    { key: 'company', label: 'Company', aliases: ['company', 'company name', 'organization', 'organisation', 'account', 'account name', 'employer'] },
+    { key: 'title', label: 'Job Title', aliases: ['title', 'job title', 'position', 'role', 'designation'] },
+    { key: 'linkedin', label: 'LinkedIn URL', aliases: ['linkedin', 'linkedin url', 'linkedin profile', 'li url', 'linkedin profile url', 'profile url'] },
+    { key: 'website', label: 'Website', aliases: ['website', 'url', 'domain', 'company website', 'web', 'company domain'] },
+    { key: 'city', label: 'City', aliases: ['city', 'town'] },
+    { key: 'state', label: 'State', aliases: ['state', 'province', 'region', 'state province'] },
+    { key: 'country', label: 'Country', aliases: ['country', 'country code', 'nation'] },
+    { key: 'industry', label: 'Industry', aliases: ['industry', 'sector', 'vertical'] },
+    { key: 'leadStatus', label: 'Lead Status', aliases: ['lead status', 'status', 'stage', 'lead stage'] },
+    { key: 'leadSource', label: 'Lead Source', aliases: ['lead source', 'source', 'channel'] },
+    { key: 'createdDate', label: 'Created Date', aliases: ['created date', 'created', 'created at', 'date added', 'date', 'added on'] }
+];
+
+// CRM import profiles: built-ins ship in data/, custom ones (e.g. an in-house CRM) are read from CRM_PROFILES_PATH
+const BUILT_IN_CRM_PROFILES_PATH = path.join(__dirname, 'data', 'crm-profiles.json');
+const CUSTOM_CRM_PROFILES_PATH = process.env.CRM_PROFILES_PATH || path.join(__dirname, 'data', 'custom-crm-profiles.json');
+const GENERIC_CRM_FORMATS = ['other', 'generic', 'csv'];
+
+// Schema every CRM profile must satisfy
+const crmProfileSchema = {
+    type: 'object',
+    required: ['name', 'version', 'columns'],
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        version: { type: 'string', minLength: 1 },
+        dateFormat: { type: 'string', minLength: 1 },
+        columns: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['field', 'header'],
+                properties: {
+                    field: { type: 'string', enum: LEAD_FIELDS.map(f => f.key) },
+                    header: { type: 'string', minLength: 1 },
+                    required: { type: 'boolean' },
+                    type: { type: 'string', enum: ['string', 'date'] },
+                    enum: { type: 'array', minItems: 1, items: { type: 'string' } },
+                    aliases: { type: 'object' },
+                    default: { type: 'string' }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Load and validate CRM profiles from a JSON file of { id: profile }
+ * @param {string} filePath
+ * @param {boolean} builtIn
+ * @returns {Object<string, object>}
+ */
+function loadCrmProfiles(filePath, builtIn) {
+    if (!fs.existsSync(filePath)) return {};
+    const profiles = {};
+    let parsed;
+    try {
+        parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        console.error(`Failed to read CRM profiles from ${filePath}:`, error.message);
+        return {};
+    }
+    Object.entries(parsed).forEach(([id, profile]) => {
+        const errors = validateAgainstSchema(profile, crmProfileSchema);
+        if (errors.length > 0) {
+            console.error(`Skipping invalid CRM profile "${id}" in ${filePath}:`, errors);
+            return;
+        }
+        profiles[id.toLowerCase()] = { id: id.toLowerCase(), builtIn, dateFormat: 'yyyy-MM-dd', ...profile };
+    });
+    return profiles;
+}
+
+// Custom profiles override built-ins with the same id
+const crmProfiles = {
+    ...loadCrmProfiles(BUILT_IN_CRM_PROFILES_PATH, true),
+    ...loadCrmProfiles(CUSTOM_CRM_PROFILES_PATH, false)
+};
+
+/**
+ * Look up a CRM profile by lowercase id
+ * @param {string} id
+ * @returns {object|null} - null for generic formats and unknown ids (including inherited object keys)
+ */
+function getCrmProfile(id) {
+    return Object.hasOwn(crmProfiles, id) ? crmProfiles[id] : null;
+}
+
+app.get('/crm-profiles', (req, res) => {
+    res.json({
+        profiles: Object.values(crmProfiles).map(p => ({
+            id: p.id,
+            name: p.name,
+            version: p.version,
+            builtIn: p.builtIn,
+            dateFormat: p.dateFormat,
+            columns: p.columns.map(c => ({ header: c.header, field: c.field, required: !!c.required, enum: c.enum || null }))
+        }))
+    });
+});
+
+/**
+ * Parse a date in any common spreadsheet format
+ * @param {string} value
+ * @returns {DateTime|null}
+ */
+function parseLeadDate(value) {
+    const text = value.trim();
+    const iso = DateTime.fromISO(text, { setZone: true });
+    if (iso.isValid) return iso;
+    const formats = ['M/d/yyyy', 'M/d/yy', 'd.M.yyyy', 'yyyy/M/d', 'd MMM yyyy', 'MMM d, yyyy', 'MMMM d, yyyy', 'M/d/yyyy H:mm', 'yyyy-MM-dd H:mm:ss'];
+    for (const format of formats) {
+        const parsed = DateTime.fromFormat(text, format);
+        if (parsed.isValid) return parsed;
+    }
+    const millis = Date.parse(text);
+    return Number.isNaN(millis) ? null : DateTime.fromMillis(millis);
+}
+
+/**
+ * Map a cleaned lead onto a CRM profile's columns
+ * @param {object} lead - Canonical lead fields
+ * @param {object} profile
+ * @returns {{values: string[], errors: Array<{field: string, header: string, message: string}>}}
+ */
+function applyCrmProfile(lead, profile) {
+    const errors = [];
+    const values = profile.columns.map(column => {
+        let value = (lead[column.field] || '').trim();
+        if (value && column.type === 'date') {
+            const date = parseLeadDate(value);
+            if (!date) {
+                errors.push({ field: column.field, header: column.header, message: `Unrecognized date "${value}"` });
+                return value;
+            }
+            value = date.toFormat(profile.dateFormat);
+        }
+        if (value && column.enum) {
+            const lower = value.toLowerCase();
+            const aliases = Object.fromEntries(Object.entries(column.aliases || {}).map(([k, v]) => [k.toLowerCase(), v]));
+            const match = column.enum.find(option => option.toLowerCase() === lower) || aliases[lower];
+            if (!match) {
+                errors.push({ field: column.field, header: column.header, message: `"${value}" is not one of: ${column.enum.join(', ')}` });
+                return value;
+            }
+            value = match;
+        }
+        if (!value && column.default) {
+            value = column.default;
+        }
+        if (!value && column.required) {
+            errors.push({ field: column.field, header: column.header, message: `Missing required field "${column.header}"` });
+        }
+        return value;
+    });
+    return { values, errors };
+}
+
+const EMAIL_PATTERN = /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(?:\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*@(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+const LINKEDIN_PATTERN = /^(?:https?:\/\/)?(?:[a-z]{2,3}\.)?(?:linkedin\.com\/)?(in|pub|company|school)\/([^/?#\s]+)/i;
+
+/**
+ * Normalize a header for alias lookup ("E-Mail_Address" -> "e mail address")
+ * @param {string} header
+ * @returns {string}
+ */
+function normalizeHeader(header) {
+    return header.toLowerCase().replace(/[_\-./]+/g, ' ').replace(/[^a-z0-9 ]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Resolve a raw header to a canonical lead field key
+ * @param {string} header
+ * @returns {string|null}
+ */
+function mapLeadHeader(header) {
+    const normalized = normalizeHeader(header);
+    const field = LEAD_FIELDS.find(f => f.aliases.includes(normalized) || normalizeHeader(f.key) === normalized);
+    return field ? field.key : null;
+}
+
+/**
+ * Pick the delimiter that splits the first lines most consistently
+ * @param {string} text
+ * @returns {string}
+ */
+function detectDelimiter(text) {
+    const lines = text.split(/\r?\n/).filter(l => l.trim().length > 0).slice(0, 5);
+    let best = ',';
+    let bestScore = 0;
+    for (const delimiter of [',', '\t', ';', '|']) {
+        const counts = lines.map(line => line.replace(/"[^"]*"/g, '').split(delimiter).length - 1);
+        const score = Math.min(...counts);
+        if (score > bestScore) {
+            best = delimiter;
+            bestScore = score;
+        }
+    }
+    return best;
+}
+
+/**
+ * Normalize and validate an email address
+ * @param {string} value
+ * @returns {string|null} - Lower-cased email, or null when invalid
+ */
+function normalizeEmail(value) {
+    const email = value.trim().replace(/^mailto:/i, '').replace(/^<|>$/g, '').toLowerCase();
+    if (email.length > 254 || email.split('@')[0].length > 64) return null;
+    return EMAIL_PATTERN.test(email) ? email : null;
+}
+
+/**
+ * Normalize a phone number to E.164
+ * @param {string} value
+ * @param {string} [country] - ISO 3166-1 alpha-2 code used for numbers without a country prefix
+ * @returns {string|null}
+ */
+function normalizePhone(value, country) {
+    const raw = value.trim().replace(/^00/, '+');
+    const phone = parsePhoneNumberFromString(raw, country);
+    return phone && phone.isValid() ? phone.format('E.164') : null;
+}
+
+/**
+ * Canonicalize a LinkedIn profile or company URL
+ * @param {string} value
+ * @returns {string|null}
+ */
+function normalizeLinkedInUrl(value) {
+    const match = value.trim().match(LINKEDIN_PATTERN);
+    if (!match) return null;
+    let slug;
+    try {
+        slug = decodeURIComponent(match[2]);
+    } catch (e) {
+        slug = match[2];
+    }
+    return `https://www.linkedin.com/${match[1].toLowerCase()}/${encodeURIComponent(slug.toLowerCase())}`;
+}
+
+/**
+ * Reduce a person or company name to a comparison key
+ * @param {string} value
+ * @param {boolean} [isCompany=false] - Also strip legal suffixes (Inc, LLC, GmbH...)
+ * @returns {string}
+ */
+function normalizeNameKey(value, isCompany = false) {
+    let key = (value || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9 ]/g, ' ');
+    if (isCompany) {
+        key = key.replace(/\b(inc|incorporated|llc|ltd|limited|corp|corporation|co|company|gmbh|ag|sa|plc|pvt|bv)\b/g, ' ');
+    }
+    return key.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Similarity of two strings from 0 to 1 based on Levenshtein distance
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function stringSimilarity(a, b) {
+    if (a === b) return 1;
+    if (!a.length || !b.length) return 0;
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+/**
+ * Guess the field of a header-less column from its values
+ * @param {string[]} values
+ * @returns {string|null}
+ */
+function inferColumnField(values) {
+    const filled = values.map(v => v.trim()).filter(Boolean);
+    if (filled.length === 0) return null;
+    const share = test => filled.filter(test).length / filled.length;
+    if (share(v => normalizeEmail(v)) >= 0.6) return 'email';
+    if (share(v => LINKEDIN_PATTERN.test(v) && /linkedin/i.test(v)) >= 0.6) return 'linkedin';
+    if (share(v => /^[+(]?[\d\s().-]{7,}$/.test(v)) >= 0.6) return 'phone';
+    if (share(v => /^(https?:\/\/)?(www\.)?[a-z0-9-]+(\.[a-z0-9-]+)+(\/\S*)?$/i.test(v)) >= 0.6) return 'website';
+    return null;
+}
+
+/**
+ * Escape text for HTML output
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render rows as a preview HTML table
+ * @param {string[]} headers
+ * @param {string[][]} rows
+ * @returns {string}
+ */
+function buildTableHtml(headers, rows) {
+    let html = '<table style="width:100%;border-collapse:collapse;background:#fff;color:#333;">';
+    html += '<tr>' + headers.map(h => `<th style="padding:8px;border-bottom:1px solid #ccc;text-align:left;">${escapeHtml(h)}</th>`).join('') + '</tr>';
+    if (rows.length === 0) {
+        html += `<tr><td colspan="${headers.length || 1}" style="padding:12px;color:#ff5252;text-align:center;">No valid rows remained after cleaning.</td></tr>`;
+    }
+    rows.forEach(row => {
+        html += '<tr>' + row.map(v => `<td style="padding:8px;border-bottom:1px solid #eee;">${escapeHtml(v)}</td>`).join('') + '</tr>';
+    });
+    return html + '</table>';
+}
+
+// Response schema for the optional LLM header mapping step
+const leadHeaderMappingSchema = {
+    type: 'object',
+    required: ['mappings'],
+    properties: {
+        mappings: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['header', 'field'],
+                properties: {
+                    header: { type: 'string', minLength: 1 },
+                    field: { type: 'string', enum: [...LEAD_FIELDS.map(f => f.key), 'none'] }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Map headers that the alias table could not resolve using the configured LLM
+ * @param {string[]} headers - Unmapped headers
+ * @param {string[][]} sampleRows - A few rows of sample values, aligned with headers
+ * @returns {Promise<{mapping: Object<string, string>, promptVersion: string}>} - mapping is header -> field key
+ */
+async function mapLeadHeadersWithGemini(headers, sampleRows) {
+    const { prompt, promptVersion } = renderPrompt('map-lead-headers', {
+        leadFields: LEAD_FIELDS.map(f => f.key).join(', '),
+        columns: headers.map((h, i) => `- ${h}: ${sampleRows.map(r => r[i]).filter(Boolean).slice(0, 3).join(' | ')}`).join('\n')
+    });
+    const generationConfig = {
+        temperature: 0.1,
+        topK: 40,
+        topP: 0.95,
+        maxOutputTokens: 512,
+    };
+    const result = await generateStructuredWithLLM('map-lead-headers', prompt, leadHeaderMappingSchema, generationConfig, 30000);
+    const mapping = {};
+    result.mappings.forEach(m => {
+        if (headers.includes(m.header) && m.field !== 'none') {
+            mapping[m.header] = m.field;
+        }
+    });
+    return { mapping, promptVersion };
+}
+
+/**
+ * Clean, validate and deduplicate a lead list with deterministic rules, then apply the CRM profile
+ * @param {string|string[][]} leadData - CSV/TSV/semicolon/pipe separated text, or rows already read from a file
+ * @param {string} crmFormat - CRM profile id, or 'other' for generic headers
+ * @param {{defaultCountry?: string, useLlmHeaderMapping?: boolean, source?: string}} [options]
+ * @returns {Promise<{cleanedCsv: string, cleanedTableHtml: string, crmFormat: string, crmProfile: object|null, report: object,
+ *   table: {columns: object[], rows: string[][]}, leads: object[]}>} - table and leads feed the .xlsx/.vcf exports
+ */
+async function formatLeadList(leadData, crmFormat, options = {}) {
+    const delimiter = Array.isArray(leadData) ? null : detectDelimiter(leadData);
+    const rows = (delimiter ? parseCsv(leadData, delimiter) : leadData).map(r => r.map(v => v.trim()));
+    const width = Math.max(...rows.map(r => r.length));
+    const warnings = [];
+
+    // Header detection: a header row maps to known fields and holds no email addresses
+    const firstRow = rows[0] || [];
+    const headerDetected = firstRow.some(cell => mapLeadHeader(cell)) && !firstRow.some(cell => normalizeEmail(cell));
+    const rawHeaders = headerDetected
+        ? Array.from({ length: width }, (_, i) => firstRow[i] || `Column ${i + 1}`)
+        : Array.from({ length: width }, (_, i) => `Column ${i + 1}`);
+    const dataRows = headerDetected ? rows.slice(1) : rows;
+    const firstDataLine = headerDetected ? 2 : 1;
+
+    const columnFields = rawHeaders.map((header, i) => (headerDetected ? mapLeadHeader(header) : null)
+        || inferColumnField(dataRows.map(r => r[i] || '')));
+
+    // Resolve remaining columns with the model only when asked to
+    const unmapped = rawHeaders.filter((h, i) => !columnFields[i]);
+    let headerMappingPromptVersion = null;
+    if (options.useLlmHeaderMapping && unmapped.length > 0) {
+        try {
+            const sample = dataRows.slice(0, 3).map(r => rawHeaders.map((h, i) => r[i] || '').filter((v, i) => !columnFields[i]));
+            const { mapping: llmMapping, promptVersion } = await mapLeadHeadersWithGemini(unmapped, sample);
+            headerMappingPromptVersion = promptVersion;
+            rawHeaders.forEach((header, i) => {
+                if (!columnFields[i] && llmMapping[header] && !columnFields.includes(llmMapping[header])) {
+                    columnFields[i] = llmMapping[header];
+                }
+            });
+        } catch (error) {
+            console.error('LLM header mapping failed:', error.message);
+            warnings.push({ row: null, field: null, message: 'LLM header mapping failed; unmapped columns were kept as-is.' });
+        }
+    }
+    // Only the first column mapped to a field is used for it; later ones are kept as extras
+    const fieldColumn = {};
+    columnFields.forEach((field, i) => {
+        if (field && fieldColumn[field] === undefined) fieldColumn[field] = i;
+    });
+    const extraColumns = rawHeaders.map((h, i) => i).filter(i => !Object.values(fieldColumn).includes(i));
+
+    const kept = [];
+    const dropped = [];
+    const emailIndex = new Map();
+    dataRows.forEach((values, index) => {
+        const rowNumber = firstDataLine + index;
+        const lead = {};
+        LEAD_FIELDS.forEach(f => {
+            lead[f.key] = fieldColumn[f.key] !== undefined ? (values[fieldColumn[f.key]] || '') : '';
+        });
+        const extras = extraColumns.map(i => values[i] || '');
+
+        if (!lead.firstName && !lead.lastName && lead.fullName) {
+            const parts = lead.fullName.split(/\s+/);
+            lead.firstName = parts[0];
+            lead.lastName = parts.slice(1).join(' ');
+        }
+        if (!lead.fullName) {
+            lead.fullName = `${lead.firstName} ${lead.lastName}`.trim();
+        }
+
+        if (lead.email) {
+            const email = normalizeEmail(lead.email);
+            if (!email) {
+                dropped.push({ row: rowNumber, reason: 'invalid_email', detail: lead.email });
+                return;
+            }
+            lead.email = email;
+        }
+        if (lead.phone) {
+            const country = /^[A-Za-z]{2}$/.test(lead.country) ? lead.country.toUpperCase() : options.defaultCountry;
+            const phone = normalizePhone(lead.phone, country);
+            if (!phone) {
+                warnings.push({ row: rowNumber, field: 'phone', message: `Could not normalize phone "${lead.phone}" to E.164; value cleared.` });
+            }
+            lead.phone = phone || '';
+        }
+        if (lead.linkedin) {
+            const linkedin = normalizeLinkedInUrl(lead.linkedin);
+            if (!linkedin) {
+                warnings.push({ row: rowNumber, field: 'linkedin', message: `Not a LinkedIn URL: "${lead.linkedin}"; value cleared.` });
+            }
+            lead.linkedin = linkedin || '';
+        }
+
+        const hasName = !!(lead.firstName || lead.lastName || lead.fullName);
+        const hasContact = !!(lead.email || lead.phone || lead.linkedin);
+        if (!hasName || !hasContact) {
+            const missing = [!hasName && 'name', !hasContact && 'email/phone/LinkedIn'].filter(Boolean).join(' and ');
+            dropped.push({ row: rowNumber, reason: 'incomplete', detail: `missing ${missing}` });
+            return;
+        }
+
+        // Deduplicate on case-folded email, then on fuzzy name + company
+        let duplicateOf = lead.email ? emailIndex.get(lead.email) : undefined;
+        let matchedOn = 'email';
+        const nameKey = normalizeNameKey(`${lead.firstName} ${lead.lastName}`.trim() || lead.fullName);
+        const companyKey = normalizeNameKey(lead.company, true);
+        if (!duplicateOf && nameKey && companyKey) {
+            duplicateOf = kept.find(k => k.companyKey === companyKey && stringSimilarity(k.nameKey, nameKey) >= 0.88
+                && (!k.lead.email || !lead.email || k.lead.email === lead.email));
+            matchedOn = 'name and company';
+        }
+        if (duplicateOf) {
+            // Keep the first occurrence, filling its blanks from the duplicate
+            LEAD_FIELDS.forEach(f => {
+                if (!duplicateOf.lead[f.key] && lead[f.key]) duplicateOf.lead[f.key] = lead[f.key];
+            });
+            if (lead.email && !emailIndex.has(lead.email)) emailIndex.set(lead.email, duplicateOf);
+            dropped.push({ row: rowNumber, reason: 'duplicate', detail: `duplicate of row ${duplicateOf.rowNumber} (${matchedOn})` });
+            return;
+        }
+        const entry = { rowNumber, lead, extras, nameKey, companyKey };
+        kept.push(entry);
+        if (lead.email) emailIndex.set(lead.email, entry);
+    });
+
+    // Output the canonical fields that appear in the input, then any unmapped columns
+    let columns;
+    let outputRows;
+    let outputLeads;
+    const extraOutputColumns = extraColumns.map(i => ({ header: rawHeaders[i], field: null, type: 'string' }));
+    const profile = getCrmProfile(crmFormat);
+    if (profile) {
+        // CRM profile: exact import headers in profile order, rows failing its rules are reported
+        columns = [
+            ...profile.columns.map(c => ({ header: c.header, field: c.field, type: c.type || 'string', dateFormat: c.type === 'date' ? profile.dateFormat : undefined })),
+            ...extraOutputColumns
+        ];
+        outputRows = [];
+        outputLeads = [];
+        kept.forEach(k => {
+            const { values, errors } = applyCrmProfile(k.lead, profile);
+            if (errors.length > 0) {
+                dropped.push({ row: k.rowNumber, reason: 'crm_validation', detail: errors.map(e => e.message).join('; '), errors });
+                return;
+            }
+            outputRows.push([...values, ...k.extras]);
+            outputLeads.push(k.lead);
+        });
+    } else {
+        // Generic: canonical fields present in the input; full names are split into first/last, so not repeated
+        const hasNameColumn = ['firstName', 'lastName', 'fullName'].some(k => fieldColumn[k] !== undefined);
+        const outputFields = LEAD_FIELDS.filter(f => f.key !== 'fullName'
+            && (fieldColumn[f.key] !== undefined || (hasNameColumn && (f.key === 'firstName' || f.key === 'lastName'))));
+        columns = [
+            ...outputFields.map(f => ({ header: f.label, field: f.key, type: f.key === 'createdDate' ? 'date' : 'string' })),
+            ...extraOutputColumns
+        ];
+        outputRows = kept.map(k => [...outputFields.map(f => k.lead[f.key]), ...k.extras]);
+        outputLeads = kept.map(k => k.lead);
+    }
+    const headers = columns.map(c => c.header);
+
+    const droppedByReason = { invalid_email: 0, incomplete: 0, duplicate: 0, crm_validation: 0 };
+    dropped.forEach(d => { droppedByReason[d.reason]++; });
+
+    return {
+        cleanedCsv: [headers, ...outputRows].map(r => r.map(toCsvValue).join(',')).join('\n'),
+        cleanedTableHtml: buildTableHtml(headers, outputRows),
+        crmFormat,
+        crmProfile: profile ? { id: profile.id, name: profile.name, version: profile.version } : null,
+        report: {
+            source: options.source || 'text',
+            delimiter: delimiter ? { ',': 'comma', '\t': 'tab', ';': 'semicolon', '|': 'pipe' }[delimiter] : null,
+            headerDetected,
+            headerMapping: Object.fromEntries(rawHeaders.map((h, i) => [h, columnFields[i] || null])),
+            headerMappingPromptVersion,
+            totalRows: dataRows.length,
+            keptRows: outputRows.length,
+            droppedRows: dropped.length,
+            droppedByReason,
+            dropped: dropped.sort((a, b) => a.row - b.row),
+            warnings
+        },
+        table: { columns, rows: outputRows },
+        leads: outputLeads
+    };
+}
+
+/**
+ * Read an uploaded lead file into text or rows for formatLeadList
+ * @param {{originalname: string, mimetype: string, buffer: Buffer}} file - multer file
+ * @returns {Promise<{leadData: string|string[][], source: string}>}
+ */
+async function readLeadFile(file) {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    if (extension === '.xlsx' || file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
+        return { leadData: await readLeadWorkbook(file.buffer), source: 'xlsx' };
+    }
+    if (extension === '.xls') {
+        throw new Error('Legacy .xls files are not supported. Please save the sheet as .xlsx or CSV.');
+    }
+    const text = file.buffer.toString('utf8').replace(/^\uFEFF/, '');
+    if (extension === '.vcf' || file.mimetype === 'text/vcard' || file.mimetype === 'text/x-vcard' || /^BEGIN:VCARD/i.test(text.trim())) {
+        const rows = parseVCards(text);
+        if (rows.length < 2) throw new Error('No contacts found in the vCard file.');
+        return { leadData: rows, source: 'vcard' };
+    }
+    return { leadData: text.trim(), source: 'text' };
+}
+
+/**
+ * Convert an ExcelJS cell value to the text a user would see
+ * @param {*} value
+ * @returns {string}
+ */
+function excelCellToText(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) {
+        // Excel dates carry no zone; ExcelJS reads them as UTC
+        const date = DateTime.fromJSDate(value, { zone: 'utc' });
+        return date.hour || date.minute ? date.toFormat('yyyy-MM-dd HH:mm') : date.toISODate();
+    }
+    if (typeof value === 'object') {
+        if (value.richText) return value.richText.map(part => part.text).join('');
+        if (value.text !== undefined) return excelCellToText(value.text);
+        if (value.result !== undefined) return excelCellToText(value.result);
+        if (value.error) return '';
+    }
+    return String(value);
+}
+
+/**
+ * Read the first worksheet of an .xlsx file into rows of text
+ * @param {Buffer} buffer
+ * @returns {Promise<string[][]>}
+ */
+async function readLeadWorkbook(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    try {
+        await workbook.xlsx.load(buffer);
+    } catch (error) {
+        throw new Error('Could not read the Excel file. Please check it is a valid .xlsx workbook.');
+    }
+    const sheet = workbook.worksheets.find(ws => ws.actualRowCount > 0);
+    if (!sheet) throw new Error('The Excel file has no data.');
+    const rows = [];
+    sheet.eachRow({ includeEmpty: false }, row => {
+        const values = [];
+        for (let c = 1; c <= sheet.columnCount; c++) {
+            values.push(excelCellToText(row.getCell(c).value));
+        }
+        if (values.some(v => v.trim())) rows.push(values);
+    });
+    return rows;
+}
+
+// vCard properties read on import, in output column order
+const VCARD_IMPORT_HEADERS = ['Full Name', 'First Name', 'Last Name', 'Email', 'Phone', 'Company', 'Job Title', 'LinkedIn URL', 'Website', 'City', 'State', 'Country'];
+
+/**
+ * Decode a vCard property value (backslash escapes, quoted-printable from vCard 2.1)
+ * @param {string} value
+ * @param {string[]} params
+ * @returns {string}
+ */
+function decodeVCardValue(value, params) {
+    let text = value;
+    if (params.some(p => /^ENCODING=QUOTED-PRINTABLE$/i.test(p) || /^QUOTED-PRINTABLE$/i.test(p))) {
+        const bytes = [];
+        text.replace(/=([0-9A-F]{2})|([\s\S])/gi, (m, hex, ch) => {
+            if (hex) bytes.push(parseInt(hex, 16));
+            else bytes.push(...Buffer.from(ch, 'utf8'));
+            return '';
+        });
+        text = Buffer.from(bytes).toString('utf8');
+    }
+    return text.replace(/\\([nN,;\\])/g, (m, ch) => (ch === 'n' || ch === 'N' ? '\n' : ch));
+}
+
+/**
+ * Split a structured vCard value (N, ADR) on unescaped semicolons
+ * @param {string} value
+ * @param {string[]} params
+ * @returns {string[]}
+ */
+function splitVCardComponents(value, params) {
+    return value.split(/(?<!\\);/).map(part => decodeVCardValue(part, params).trim());
+}
+
+/**
+ * Parse vCard 2.1/3.0/4.0 contacts into lead rows with a header row
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseVCards(text) {
+    // Unfold continuation lines (RFC 6350 section 3.2)
+    const lines = [];
+    text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n').forEach(line => {
+        // vCard 2.1 quoted-printable values continue on the next line after a trailing "="
+        const previous = lines[lines.length - 1];
+        if (previous !== undefined && /QUOTED-PRINTABLE/i.test(previous) && previous.endsWith('=')) {
+            lines[lines.length - 1] = `${previous.slice(0, -1)}${line}`;
+        } else {
+            lines.push(line);
+        }
+    });
+    const rows = [VCARD_IMPORT_HEADERS];
+    let card = null;
+    lines.forEach(line => {
+        if (/^BEGIN:VCARD/i.test(line)) {
+            card = {};
+            return;
+        }
+        if (/^END:VCARD/i.test(line)) {
+            if (card) rows.push(VCARD_IMPORT_HEADERS.map(h => card[h] || ''));
+            card = null;
+            return;
+        }
+        const colon = line.indexOf(':');
+        if (!card || colon < 0) return;
+        const [rawName, ...params] = line.slice(0, colon).split(';');
+        const name = rawName.replace(/^[^.]+\./, '').toUpperCase();
+        const rawValue = line.slice(colon + 1);
+        const value = decodeVCardValue(rawValue, params).trim();
+        const set = (header, v) => {
+            if (v && !card[header]) card[header] = v;
+        };
+        if (name === 'FN') set('Full Name', value);
+        else if (name === 'N') {
+            const [last, first] = splitVCardComponents(rawValue, params);
+            set('Last Name', last);
+            set('First Name', first);
+        } else if (name === 'EMAIL') set('Email', value);
+        else if (name === 'TEL') set('Phone', value.replace(/^tel:/i, ''));
+        else if (name === 'ORG') set('Company', splitVCardComponents(rawValue, params)[0]);
+        else if (name === 'TITLE') set('Job Title', value);
+        else if (name === 'URL' || name === 'X-SOCIALPROFILE') set(/linkedin\.com/i.test(value) ? 'LinkedIn URL' : 'Website', value);
+        else if (name === 'ADR') {
+            const [, , , city, state, , country] = splitVCardComponents(rawValue, params);
+            set('City', city);
+            set('State', state);
+            set('Country', country);
+        }
+    });
+    return rows;
+}
+
+/**
+ * Build an .xlsx workbook of the cleaned leads with typed columns, plus a sheet of dropped rows
+ * @param {{columns: object[], rows: string[][]}} table
+ * @param {object} report
+ * @returns {Promise<Buffer>}
+ */
+async function buildLeadWorkbook(table, report) {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Leads', { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = table.columns.map(c => ({
+        header: c.header,
+        width: Math.min(40, Math.max(12, c.header.length + 2)),
+        style: c.type === 'date' ? { numFmt: 'yyyy-mm-dd' } : (c.field === 'phone' ? { numFmt: '@' } : {})
+    }));
+    table.rows.forEach(values => {
+        const row = sheet.addRow(values.map((value, i) => {
+            const column = table.columns[i];
+            if (!value) return null;
+            if (column.type === 'date') {
+                const date = column.dateFormat ? DateTime.fromFormat(value, column.dateFormat, { zone: 'utc' }) : null;
+                const parsed = date && date.isValid ? date : parseLeadDate(value);
+                return parsed ? new Date(Date.UTC(parsed.year, parsed.month - 1, parsed.day)) : value;
+            }
+            if (column.field === 'email') return { text: value, hyperlink: `mailto:${value}` };
+            if ((column.field === 'linkedin' || column.field === 'website') && /^https?:\/\//i.test(value)) {
+                return { text: value, hyperlink: value };
+            }
+            return value;
+        }));
+        row.commit();
+    });
+    sheet.getRow(1).font = { bold: true };
+    if (table.columns.length > 0) {
+        sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: table.columns.length } };
+    }
+
+    if (report.dropped.length > 0) {
+        const droppedSheet = workbook.addWorksheet('Dropped Rows');
+        droppedSheet.columns = [
+            { header: 'Source Row', key: 'row', width: 12 },
+            { header: 'Reason', key: 'reason', width: 18 },
+            { header: 'Detail', key: 'detail', width: 80 }
+        ];
+        report.dropped.forEach(d => droppedSheet.addRow({ row: d.row, reason: d.reason, detail: d.detail || '' }));
+        droppedSheet.getRow(1).font = { bold: true };
+    }
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * Escape a vCard 3.0 text value
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeVCardValue(value) {
+    return String(value || '').replace(/\\/g, '\\\\').replace(/\r?\n/g, '\\n').replace(/[,;]/g, ch => `\\${ch}`);
+}
+
+/**
+ * Fold a content line at 75 octets (RFC 2426 section 2.6)
+ * @param {string} line
+ * @returns {string}
+ */
+function foldVCardLine(line) {
+    const chunks = [];
+    let current = '';
+    for (const ch of line) {
+        const limit = chunks.length === 0 ? 75 : 74;
+        if (Buffer.byteLength(current + ch) > limit) {
+            chunks.push(current);
+            current = '';
+        }
+        current += ch;
+    }
+    chunks.push(current);
+    return chunks.join('\r\n ');
+}
+
+/**
+ * Render cleaned leads as vCard 3.0 contacts
+ * @param {object[]} leads - Canonical lead fields
+ * @returns {string}
+ */
+function buildVCards(leads) {
+    return leads.map(lead => {
+        const fullName = lead.fullName || `${lead.firstName} ${lead.lastName}`.trim() || lead.email || lead.company;
+        const lines = [
+            'BEGIN:VCARD',
+            'VERSION:3.0',
+            `N:${escapeVCardValue(lead.lastName)};${escapeVCardValue(lead.firstName)};;;`,
+            `FN:${escapeVCardValue(fullName)}`
+        ];
+        if (lead.company) lines.push(`ORG:${escapeVCardValue(lead.company)}`);
+        if (lead.title) lines.push(`TITLE:${escapeVCardValue(lead.title)}`);
+        if (lead.email) lines.push(`EMAIL;TYPE=INTERNET,WORK:${lead.email}`);
+        if (lead.phone) lines.push(`TEL;TYPE=WORK,VOICE:${lead.phone}`);
+        if (lead.website) lines.push(`URL:${lead.website}`);
+        if (lead.linkedin) lines.push(`X-SOCIALPROFILE;TYPE=linkedin:${lead.linkedin}`);
+        if (lead.city || lead.state || lead.country) {
+            lines.push(`ADR;TYPE=WORK:;;;${escapeVCardValue(lead.city)};${escapeVCardValue(lead.state)};;${escapeVCardValue(lead.country)}`);
+        }
+        if (lead.industry) lines.push(`CATEGORIES:${escapeVCardValue(lead.industry)}`);
+        lines.push('END:VCARD');
+        return lines.map(foldVCardLine).join('\r\n');
+    }).join('\r\n') + '\r\n';
+}
+
+// Time Zone Meeting Finder endpoint
+const { DateTime, Duration, Interval } = require('luxon');
+
+// Slot search: per-participant working hours, 15/30/60-minute granularity, a search horizon and weekend exclusion.
+// The rep's busy times come from an uploaded .ics file (multipart "calendar" field), ICS text in `calendarIcs`,
+// or an iCalendar free/busy feed at `busyFeedUrl`. Slots are ranked by how close they fall to everyone's mid-day.
+const MEETING_SLOT_GRANULARITIES = [15, 30, 60];
+const MEETING_DEFAULT_WORKING_HOURS = '09:00-17:00';
+const MEETING_DEFAULT_HORIZON_DAYS = 7;
+const MEETING_MAX_HORIZON_DAYS = 30;
+const MEETING_DEFAULT_MAX_SLOTS = 10;
+const MEETING_MAX_SLOTS = 50;
+const CALENDAR_MAX_BYTES = parseInt(process.env.CALENDAR_MAX_BYTES, 10) || 2 * 1024 * 1024;
+// Safety cap on occurrences generated per recurring event (a daily event from years ago still fits)
+const CALENDAR_MAX_RECURRENCES = 5000;
+// host:port pairs free/busy feeds may be read from, comma-separated (e.g. "caldav.example.com:443"); the port must
+// match too, 443 or 80 when the URL leaves it out. Empty by default, which turns feeds off.
+const FREEBUSY_FEED_HOSTS = (process.env.FREEBUSY_FEED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+const FREEBUSY_FEED_TIMEOUT_MS = 5000;
+const FREEBUSY_FEED_MAX_REDIRECTS = 3;
+const ICS_WEEKDAYS = { MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6, SU: 7 };
+const calendarUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: CALENDAR_MAX_BYTES, files: 1 } });
+
+/**
+ * Parse a working-hours range such as "09:00-17:30"
+ * @param {*} value
+ * @returns {{start: number, end: number}|null} - Minutes after local midnight, or null when invalid
+ */
+function parseWorkingHours(value) {
+    const match = typeof value === 'string' && value.trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+    if (!match) return null;
+    const [start, end] = [[match[1], match[2]], [match[3], match[4]]].map(([h, m]) => Number(h) * 60 + Number(m));
+    const validMinutes = [match[2], match[4]].every(m => Number(m) < 60);
+    return validMinutes && start < end && end <= 24 * 60 ? { start, end } : null;
+}
+
+/**
+ * Format working hours back to "HH:mm-HH:mm"
+ * @param {{start: number, end: number}} range - Minutes after local midnight
+ * @returns {string}
+ */
+function formatWorkingHours({ start, end }) {
+    const time = minutes => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    return `${time(start)}-${time(end)}`;
+}
+
+/**
+ * Split iCalendar text into content lines, joining folded continuation lines
+ * @param {string} text
+ * @returns {Array<{name: string, params: Object<string, string>, value: string}>}
+ */
+function parseIcsLines(text) {
+    return text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/).filter(Boolean).map(line => {
+        // The value starts at the first colon outside a quoted parameter value
+        let quoted = false;
+        let colon = -1;
+        for (let i = 0; i < line.length && colon < 0; i++) {
+            if (line[i] === '"') quoted = !quoted;
+            else if (line[i] === ':' && !quoted) colon = i;
+        }
+        const [name, ...paramParts] = (colon < 0 ? line : line.slice(0, colon)).split(';');
+        const params = {};
+        paramParts.forEach(part => {
+            const [key, ...rest] = part.split('=');
+            params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+        });
+        return { name: name.toUpperCase(), params, value: colon < 0 ? '' : line.slice(colon + 1) };
+    });
+}
+
+/**
+ * Parse an iCalendar DATE or DATE-TIME value (UTC "Z", TZID-qualified or floating)
+ * @param {string} value
+ * @param {Object<string, string>} params - Property parameters (TZID, VALUE)
+ * @param {string} defaultZone - Zone for floating times, all-day dates and unknown TZIDs
+ * @returns {{dateTime: DateTime, allDay: boolean}|null}
+ */
+function parseIcsDate(value, params, defaultZone) {
+    const text = value.trim();
+    if (params.VALUE === 'DATE' || /^\d{8}$/.test(text)) {
+        const dateTime = DateTime.fromFormat(text.slice(0, 8), 'yyyyMMdd', { zone: defaultZone });
+        return dateTime.isValid ? { dateTime, allDay: true } : null;
+    }
+    const utc = text.endsWith('Z');
+    // TZIDs exported by some clients carry a vendor prefix, e.g. "/mozilla.org/20050126_1/Europe/Berlin"
+    const tzid = params.TZID ? params.TZID.replace(/^\/.*?\/(?=[A-Z][a-z]+\/)/, '') : null;
+    const zone = utc ? 'utc' : (tzid && DateTime.local().setZone(tzid).isValid ? tzid : defaultZone);
+    const dateTime = DateTime.fromFormat(text.replace(/Z$/, ''), "yyyyMMdd'T'HHmmss", { zone });
+    return dateTime.isValid ? { dateTime, allDay: false } : null;
+}
+
+/**
+ * Start times of a recurring event from about windowStart up to windowEnd. FREQ, INTERVAL, COUNT, UNTIL and weekly
+ * BYDAY are honoured; other BY* parts are ignored, so those rules repeat on DTSTART's pattern.
+ * @param {DateTime} start - DTSTART, in the event's zone so occurrences keep their local time across DST changes
+ * @param {string} rrule - RRULE value, e.g. "FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20261231T000000Z"
+ * @param {DateTime} windowStart - Earliest start still of interest; periods before it are skipped (but still count
+ *   towards COUNT) so old open-ended series do not run into CALENDAR_MAX_RECURRENCES
+ * @param {DateTime} windowEnd
+ * @returns {DateTime[]} - May include a few starts just before windowStart
+ */
+function expandIcsRecurrence(start, rrule, windowStart, windowEnd) {
+    const rule = Object.fromEntries(rrule.split(';').map(part => part.split('=')).map(([key, value]) => [key.toUpperCase(), value || '']));
+    const unit = { DAILY: 'days', WEEKLY: 'weeks', MONTHLY: 'months', YEARLY: 'years' }[rule.FREQ];
+    if (!unit) return [start];
+    const interval = Math.max(parseInt(rule.INTERVAL, 10) || 1, 1);
+    const count = parseInt(rule.COUNT, 10) || Infinity;
+    const until = rule.UNTIL ? parseIcsDate(rule.UNTIL, {}, start.zoneName) : null;
+    const last = until && until.dateTime < windowEnd ? until.dateTime : windowEnd;
+    const weekdays = unit === 'weeks' && rule.BYDAY
+        ? rule.BYDAY.split(',').map(day => ICS_WEEKDAYS[day.trim().slice(-2)]).filter(Boolean)
+        : [];
+    const periodStarts = period => {
+        const base = start.plus({ [unit]: period * interval });
+        return weekdays.length > 0
+            ? weekdays.map(weekday => base.plus({ days: weekday - start.weekday })).filter(d => d >= start).sort((a, b) => a - b)
+            : [base];
+    };
+    // One period of slack: BYDAY starts can fall up to six days before their period's base date
+    const firstPeriod = Math.max(Math.floor(windowStart.diff(start, unit).as(unit) / interval) - 1, 0);
+    const skipped = firstPeriod > 0 ? periodStarts(0).length + (firstPeriod - 1) * (weekdays.length || 1) : 0;
+    const starts = [];
+    for (let period = firstPeriod; skipped + starts.length < count && period < firstPeriod + CALENDAR_MAX_RECURRENCES; period++) {
+        const candidates = periodStarts(period);
+        if (candidates.length > 0 && candidates[0] > last) break;
+        for (const candidate of candidates) {
+            if (candidate > last || skipped + starts.length >= count) break;
+            starts.push(candidate);
+        }
+    }
+    return starts;
+}
+
+/**
+ * Busy intervals from iCalendar text: VEVENTs (skipping cancelled and free/transparent ones, expanding RRULEs,
+ * EXDATEs and moved occurrences) and VFREEBUSY periods. Only intervals overlapping the window are returned.
+ * @param {string} text
+ * @param {string} defaultZone - The calendar owner's zone, for floating times and all-day events
+ * @param {DateTime} windowStart
+ * @param {DateTime} windowEnd
+ * @returns {Array<{start: number, end: number}>} - Epoch milliseconds, sorted by start
+ */
+function parseIcsBusyIntervals(text, defaultZone, windowStart, windowEnd) {
+    const events = [];
+    const periods = [];
+    let current = null;
+    parseIcsLines(text).forEach(({ name, params, value }) => {
+        if (name === 'BEGIN' && (value === 'VEVENT' || value === 'VFREEBUSY')) {
+            current = { type: value, exdates: [] };
+        } else if (name === 'END' && current && value === current.type) {
+            if (current.type === 'VEVENT') events.push(current);
+            current = null;
+        } else if (!current) {
+            return;
+        } else if (name === 'DTSTART' || name === 'DTEND' || name === 'RECURRENCE-ID') {
+            current[name] = parseIcsDate(value, params, defaultZone);
+        } else if (name === 'EXDATE') {
+            value.split(',').forEach(part => {
+                const parsed = parseIcsDate(part, params, defaultZone);
+                if (parsed) current.exdates.push(parsed.dateTime.toMillis());
+            });
+        } else if (name === 'FREEBUSY' && (params.FBTYPE || 'BUSY') !== 'FREE') {
+            value.split(',').forEach(period => {
+                const [from, to] = period.split('/');
+                const start = parseIcsDate(from, params, defaultZone);
+                const end = to && (/^[+-]?P/.test(to) ? start && { dateTime: start.dateTime.plus(Duration.fromISO(to)) } : parseIcsDate(to, params, defaultZone));
+                if (start && end && end.dateTime.isValid) periods.push({ start: start.dateTime.toMillis(), end: end.dateTime.toMillis() });
+            });
+        } else {
+            current[name] = value;
+        }
+    });
+
+    // Occurrences that were moved or edited are listed as their own VEVENT with a RECURRENCE-ID
+    const overridden = new Set(events.filter(e => e['RECURRENCE-ID']).map(e => `${e.UID}|${e['RECURRENCE-ID'].dateTime.toMillis()}`));
+    events.forEach(event => {
+        if (!event.DTSTART || event.STATUS === 'CANCELLED' || event.TRANSP === 'TRANSPARENT') return;
+        const start = event.DTSTART.dateTime;
+        let length;
+        if (event.DTEND) {
+            length = event.DTEND.dateTime.diff(start);
+        } else if (event.DURATION) {
+            length = Duration.fromISO(event.DURATION);
+        } else {
+            length = Duration.fromObject(event.DTSTART.allDay ? { days: 1 } : {});
+        }
+        const starts = event.RRULE && !event['RECURRENCE-ID'] ? expandIcsRecurrence(start, event.RRULE, windowStart.minus(length), windowEnd) : [start];
+        starts.forEach(occurrence => {
+            const key = occurrence.toMillis();
+            if (event.exdates.includes(key) || (event.RRULE && overridden.has(`${event.UID}|${key}`))) return;
+            periods.push({ start: key, end: occurrence.plus(length).toMillis() });
+        });
+    });
+
+    return periods
+        .filter(p => p.end > p.start && p.end > windowStart.toMillis() && p.start < windowEnd.toMillis())
+        .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Check a free/busy feed URL before it is fetched
+ * @param {string} url
+ * @returns {string|null} - A message for the client, or null when the URL may be read
+ */
+function findFreeBusyFeedProblem(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return 'busyFeedUrl is not a valid URL.';
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        return 'busyFeedUrl must use http or https.';
+    }
+    if (FREEBUSY_FEED_HOSTS.length === 0) {
+        return 'Free/busy feeds are not enabled on this server.';
+    }
+    const port = parsed.port || (parsed.protocol === 'https:' ? '443' : '80');
+    if (!FREEBUSY_FEED_HOSTS.includes(`${parsed.hostname.toLowerCase()}:${port}`)) {
+        return 'busyFeedUrl is not on this server\'s list of allowed feed hosts.';
+    }
+    return null;
+}
+
+/**
+ * Read an iCalendar free/busy (or event) feed. Redirects are followed by hand so every hop is checked against
+ * FREEBUSY_FEED_HOSTS, not just the URL the client sent. Every failure gets the same message so the endpoint
+ * cannot be used to probe what answers on the allowed hosts; the details are only logged.
+ * @param {string} url - Already checked with findFreeBusyFeedProblem
+ * @returns {Promise<string>}
+ * @throws {Error} - With a message safe to show to the client
+ */
+async function fetchFreeBusyFeed(url) {
+    const unavailable = detail => {
+        console.warn(`Free/busy feed ${new URL(url).host}: ${detail}`);
+        return new Error('The free/busy feed could not be fetched.');
+    };
+    let target = url;
+    for (let redirects = 0; ; redirects++) {
+        let response;
+        try {
+            response = await axios.get(target, {
+                timeout: FREEBUSY_FEED_TIMEOUT_MS,
+                responseType: 'text',
+                maxContentLength: CALENDAR_MAX_BYTES,
+                maxRedirects: 0,
+                validateStatus: status => status >= 200 && status < 400,
+                headers: { Accept: 'text/calendar' }
+            });
+        } catch (error) {
+            throw unavailable(error.response ? `HTTP ${error.response.status}` : error.code || error.message);
+        }
+        if (response.status < 300) return String(response.data);
+        if (!response.headers.location || redirects >= FREEBUSY_FEED_MAX_REDIRECTS) {
+            throw unavailable(`HTTP ${response.status}`);
+        }
+        const location = response.headers.location;
+        target = URL.canParse(location, target) ? new URL(location, target).toString() : null;
+        if (!target || findFreeBusyFeedProblem(target)) {
+            throw unavailable(`redirected to ${location}, which is not an allowed feed URL`);
+        }
+    }
+}
+
+/**
+ * Find meeting slots inside everyone's working hours that avoid the busy intervals, best-ranked first
+ * @param {object} options
+ * @param {Array<{zone: string, workingHours: {start: number, end: number}, calendar: object}>} options.participants - The rep
+ *   first; calendar as returned by getWorkCalendar
+ * @param {Array<{start: number, end: number}>} options.busy - Epoch ms intervals the rep is unavailable
+ * @param {number} options.duration - Minutes
+ * @param {number} options.granularity - Minutes between candidate start times
+ * @param {number} options.horizonDays - Days to search, starting today in the rep's zone
+ * @param {boolean} options.excludeWeekends - Skip days outside each participant's work week, in their own zone
+ * @param {boolean} options.excludeHolidays - Skip each participant's public holidays
+ * @param {number} options.maxSlots
+ * @returns {Array<{start: DateTime, end: DateTime, score: number}>} - start/end in the rep's zone; score 0-100
+ */
+function findMeetingSlots({ participants, busy, duration, granularity, horizonDays, excludeWeekends, excludeHolidays, maxSlots }) {
+    const zone = participants[0].zone;
+    const now = DateTime.now().setZone(zone);
+    // First candidate: the next granularity boundary from now
+    let start = now.startOf('hour').plus({ minutes: Math.ceil((now.minute + now.second / 60) / granularity) * granularity });
+    const searchEnd = now.startOf('day').plus({ days: horizonDays });
+    const slots = [];
+    for (; start.plus({ minutes: duration }) <= searchEnd; start = start.plus({ minutes: granularity })) {
+        const end = start.plus({ minutes: duration });
+        const closeness = participants.map(({ zone: participantZone, workingHours, calendar }) => {
+            const localStart = start.setZone(participantZone);
+            const localEnd = end.setZone(participantZone);
+            const startMinute = localStart.hour * 60 + localStart.minute;
+            const endMinute = startMinute + duration;
+            if (!localStart.hasSame(localEnd.minus({ milliseconds: 1 }), 'day')) return null;
+            const closed = findClosedDay(calendar, localStart);
+            if (closed && (closed.reason === 'weekend' ? excludeWeekends : excludeHolidays)) return null;
+            if (startMinute < workingHours.start || endMinute > workingHours.end) return null;
+            // 1 at the middle of the working day, 0 at either edge
+            const midDay = (workingHours.start + workingHours.end) / 2;
+            return 1 - Math.abs(startMinute + duration / 2 - midDay) / ((workingHours.end - workingHours.start) / 2);
+        });
+        if (closeness.some(c => c === null)) continue;
+        if (busy.some(b => b.start < end.toMillis() && b.end > start.toMillis())) continue;
+        slots.push({ start, end, score: Math.round(100 * closeness.reduce((sum, c) => sum + c, 0) / closeness.length) });
+    }
+    return slots
+        .sort((a, b) => (b.score - a.score) || (a.start - b.start))
+        .slice(0, maxSlots);
+}
+
+// Lead location → IANA zone resolution from a bundled offline dataset (GEO_TIMEZONES_PATH): cities with aliases
+// (NYC, SF, Bangalore), "City, Country" and "City, ST" qualifiers, country names and ISO codes, US states and
+// Canadian/Australian provinces, and plain IANA zone names. A name shared by places in different zones resolves to
+// the largest one only when it is at least `ambiguityRatio` times bigger; otherwise the candidates are returned.
+const GEO_TIMEZONES_PATH = process.env.GEO_TIMEZONES_PATH || path.join(__dirname, 'data', 'geo-timezones.json');
+const MEETING_MAX_LEAD_LOCATIONS = 20;
+
+const geoTimezonesSchema = {
+    type: 'object',
+    required: ['version', 'countries', 'subdivisions', 'cities'],
+    properties: {
+        version: { type: 'string', minLength: 1 },
+        ambiguityRatio: { type: 'number' },
+        countries: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['code', 'name', 'zones'],
+                properties: {
+                    code: { type: 'string', minLength: 2 },
+                    name: { type: 'string', minLength: 1 },
+                    zones: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+                    aliases: { type: 'array', items: { type: 'string', minLength: 1 } }
+                }
+            }
+        },
+        subdivisions: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['country', 'code', 'name', 'zone'],
+                properties: {
+                    country: { type: 'string', minLength: 2 },
+                    code: { type: 'string', minLength: 1 },
+                    name: { type: 'string', minLength: 1 },
+                    zone: { type: 'string', minLength: 1 },
+                    aliases: { type: 'array', items: { type: 'string', minLength: 1 } }
+                }
+            }
+        },
+        cities: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['name', 'country', 'zone', 'population'],
+                properties: {
+                    name: { type: 'string', minLength: 1 },
+                    country: { type: 'string', minLength: 2 },
+                    subdivision: { type: 'string', minLength: 1 },
+                    zone: { type: 'string', minLength: 1 },
+                    population: { type: 'number' },
+                    aliases: { type: 'array', items: { type: 'string', minLength: 1 } }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Lookup key for a place name: case, accents, dots and apostrophes ignored ("St. John's" → "st johns")
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeGeoName(name) {
+    return name.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase().replace(/[.'’]/g, '').replace(/[\s-]+/g, ' ').trim();
+}
+
+/**
+ * Parse and validate the geo dataset, building name indexes
+ * @param {string} text
+ * @returns {{version: string, ambiguityRatio: number, cityCount: number, countryNames: Object<string, string>, zoneCountry: Map, cities: Map, countries: Map, subdivisions: Map}}
+ */
+function parseGeoTimezones(text) {
+    const parsed = JSON.parse(text);
+    const errors = validateAgainstSchema(parsed, geoTimezonesSchema);
+    if (errors.length > 0) {
+        throw new Error(errors.map(e => `${e.field} ${e.message}`).join('; '));
+    }
+    const checkZone = (zone, where) => {
+        if (!DateTime.local().setZone(zone).isValid) throw new Error(`${where} has an unknown time zone "${zone}"`);
+    };
+    const addKeys = (index, names, value) => {
+        new Set(names.map(normalizeGeoName)).forEach(key => index.set(key, [...(index.get(key) || []), value]));
+    };
+    const countries = new Map();
+    const countryNames = {};
+    parsed.countries.forEach(country => {
+        country.zones.forEach(zone => checkZone(zone, `country "${country.code}"`));
+        countryNames[country.code] = country.name;
+        addKeys(countries, [country.code, country.name, ...(country.aliases || [])], country);
+    });
+    const subdivisions = new Map();
+    parsed.subdivisions.forEach(subdivision => {
+        checkZone(subdivision.zone, `subdivision "${subdivision.country}-${subdivision.code}"`);
+        addKeys(subdivisions, [subdivision.code, subdivision.name, ...(subdivision.aliases || [])], subdivision);
+    });
+    const cities = new Map();
+    // Zones used by a single country, so a bare IANA zone still identifies the country's work calendar
+    const zoneCountries = new Map();
+    const addZoneCountry = (zone, code) => zoneCountries.set(zone, new Set([...(zoneCountries.get(zone) || []), code]));
+    parsed.countries.forEach(country => country.zones.forEach(zone => addZoneCountry(zone, country.code)));
+    parsed.cities.forEach(city => {
+        checkZone(city.zone, `city "${city.name}"`);
+        if (!countryNames[city.country]) throw new Error(`city "${city.name}" refers to unknown country "${city.country}"`);
+        const label = `${city.name}, ${city.subdivision || countryNames[city.country]}`;
+        addKeys(cities, [city.name, ...(city.aliases || [])], { ...city, label });
+        addZoneCountry(city.zone, city.country);
+    });
+    const zoneCountry = new Map([...zoneCountries].filter(([, codes]) => codes.size === 1).map(([zone, codes]) => [zone, [...codes][0]]));
+    return { version: parsed.version, ambiguityRatio: parsed.ambiguityRatio || 10, cityCount: parsed.cities.length, countryNames, zoneCountry, cities, countries, subdivisions };
+}
+
+/**
+ * Load the geo dataset; an invalid file stops the server at startup
+ * @param {string} filePath
+ * @returns {object} - See parseGeoTimezones
+ */
+function loadGeoTimezones(filePath) {
+    try {
+        return parseGeoTimezones(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Invalid geo dataset ${filePath}: ${error.message}`);
+    }
+}
+
+const geoTimezones = loadGeoTimezones(GEO_TIMEZONES_PATH);
+
+/**
+ * Whether text names a country, state or province, i.e. can qualify a city ("Paris, FR", "Portland, OR")
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isGeoQualifier(text) {
+    const key = normalizeGeoName(text);
+    return geoTimezones.countries.has(key) || geoTimezones.subdivisions.has(key);
+}
+
+/**
+ * Split the lead locations input into individual locations. Semicolons or new lines separate locations when present;
+ * otherwise commas do, and a country or state after a city is kept with it ("Paris, France, Tokyo" is two locations).
+ * @param {string|string[]} value
+ * @returns {string[]}
+ */
+function splitMeetingLocations(value) {
+    if (Array.isArray(value)) return value.map(v => String(v).trim()).filter(Boolean);
+    if (/[;\n]/.test(value)) return value.split(/[;\n]/).map(s => s.trim()).filter(Boolean);
+    return value.split(',').map(s => s.trim()).filter(Boolean).reduce((locations, part) => {
+        const previous = locations[locations.length - 1];
+        if (previous && !/[,/]/.test(previous) && !isGeoQualifier(previous) && isGeoQualifier(part)) {
+            locations[locations.length - 1] = `${previous}, ${part}`;
+        } else {
+            locations.push(part);
+        }
+        return locations;
+    }, []);
+}
+
+/**
+ * Pick a zone from the places a name matched: one zone between them, or one city far larger than any city elsewhere
+ * @param {string} input
+ * @param {Array<{label: string, zone: string, matchedBy: string, country: string|null, subdivision?: string, city?: string, population?: number}>} candidates
+ * @returns {object} - A resolveMeetingLocation result
+ */
+function decideGeoCandidates(input, candidates) {
+    if (candidates.length === 0) {
+        return { input, status: 'unresolved', message: `"${input}" was not recognised; try a city, "City, Country" or a time zone such as Europe/Berlin.` };
+    }
+    const ranked = [...candidates].sort((a, b) => (b.population || 0) - (a.population || 0));
+    const [top] = ranked;
+    const elsewhere = ranked.filter(c => c.zone !== top.zone);
+    const dominant = elsewhere.length === 0 || (ranked.every(c => c.matchedBy === 'city')
+        && top.population >= geoTimezones.ambiguityRatio * Math.max(...elsewhere.map(c => c.population)));
+    if (dominant) {
+        const { zone, label, matchedBy, country, subdivision, city } = top;
+        return { input, status: 'resolved', zone, label, matchedBy, country, subdivision, city };
+    }
+    const seen = new Set();
+    return {
+        input,
+        status: 'ambiguous',
+        candidates: ranked.filter(c => !seen.has(c.zone) && seen.add(c.zone)).map(({ label, zone, country }) => ({ label, zone, country })),
+        message: `"${input}" matches places in different time zones; add a state or country, or pick a time zone.`
+    };
+}
+
+/**
+ * Resolve one lead location to an IANA zone
+ * @param {string} input - City, "City, Country", "City, ST", country name or code, state or province, or IANA zone
+ * @returns {{input: string, status: 'resolved'|'ambiguous'|'unresolved', zone?: string, label?: string,
+ *   matchedBy?: string, country?: string|null, subdivision?: string, city?: string,
+ *   candidates?: Array<{label: string, zone: string, country: string}>, message?: string}}
+ */
+function resolveMeetingLocation(input) {
+    const text = input.trim();
+    if (/\/|^(utc|gmt)$/i.test(text)) {
+        const zoned = DateTime.local().setZone(text);
+        if (zoned.isValid) {
+            const country = geoTimezones.zoneCountry.get(zoned.zoneName) || null;
+            return { input, status: 'resolved', zone: zoned.zoneName, label: zoned.zoneName, matchedBy: 'timezone', country };
+        }
+    }
+    const fromCities = cities => cities.map(city => ({
+        label: city.label, zone: city.zone, matchedBy: 'city', country: city.country, subdivision: city.subdivision, city: city.name, population: city.population
+    }));
+    const fromQualifiers = (countries, subdivisions) => [
+        ...subdivisions.map(s => ({ label: `${s.name}, ${geoTimezones.countryNames[s.country]}`, zone: s.zone, matchedBy: 'subdivision', country: s.country, subdivision: s.code })),
+        ...countries.flatMap(c => c.zones.map(zone => ({ label: c.zones.length > 1 ? `${c.name} (${zone})` : c.name, zone, matchedBy: 'country', country: c.code })))
+    ];
+    const comma = text.lastIndexOf(',');
+    if (comma < 0) {
+        const key = normalizeGeoName(text);
+        return decideGeoCandidates(input, [
+            ...fromCities(geoTimezones.cities.get(key) || []),
+            ...fromQualifiers(geoTimezones.countries.get(key) || [], geoTimezones.subdivisions.get(key) || [])
+        ]);
+    }
+
+    // "City, Country" / "City, ST": the qualifier narrows the city; an unlisted city falls back to the qualifier's zone
+    const qualifierKey = normalizeGeoName(text.slice(comma + 1));
+    const countries = geoTimezones.countries.get(qualifierKey) || [];
+    const subdivisions = geoTimezones.subdivisions.get(qualifierKey) || [];
+    if (countries.length === 0 && subdivisions.length === 0) {
+        return { input, status: 'unresolved', message: `"${text.slice(comma + 1).trim()}" is not a known country, state or province.` };
+    }
+    const cities = (geoTimezones.cities.get(normalizeGeoName(text.slice(0, comma))) || []).filter(city =>
+        countries.some(c => c.code === city.country) || subdivisions.some(s => s.country === city.country && s.code === city.subdivision));
+    return decideGeoCandidates(input, cities.length > 0 ? fromCities(cities) : fromQualifiers(countries, subdivisions));
+}
+
+// Work calendars: public holidays and work weeks by country with regional overrides (WORK_CALENDARS_PATH), keyed by
+// ISO country code and the region codes or city names the geo dataset resolves to. Used by the meeting finder and
+// the follow-up timing tools so nothing is proposed on a day the lead's (or rep's) office is closed. Each country
+// records the years its holiday list covers (holidayYears, shared by its regions); dates outside them get a warning.
+const WORK_CALENDARS_PATH = process.env.WORK_CALENDARS_PATH || path.join(__dirname, 'data', 'work-calendars.json');
+const WORK_CALENDAR_DEFAULT_DAYS = 30;
+const WORK_CALENDAR_MAX_DAYS = 366;
+const ISO_WEEKDAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+const workWeekSchema = { type: 'array', minItems: 1, maxItems: 7, items: { type: 'integer', minimum: 1, maximum: 7 } };
+const workCalendarsSchema = {
+    type: 'object',
+    required: ['version', 'defaultWorkWeek', 'countries'],
+    properties: {
+        version: { type: 'string', minLength: 1 },
+        defaultWorkWeek: workWeekSchema,
+        countries: { type: 'object' }
+    }
+};
+const workCalendarSchema = {
+    type: 'object',
+    required: ['name'],
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        workWeek: workWeekSchema,
+        holidayYears: {
+            type: 'object',
+            required: ['from', 'to'],
+            properties: { from: { type: 'integer', minimum: 1900 }, to: { type: 'integer', minimum: 1900 } }
+        },
+        holidays: { type: 'object' },
+        cities: { type: 'array', items: { type: 'string', minLength: 1 } },
+        regions: { type: 'object' }
+    }
+};
+
+/**
+ * Parse and validate the work calendars file
+ * @param {string} text
+ * @returns {{version: string, defaultWorkWeek: number[], countries: Object<string, object>}}
+ */
+function parseWorkCalendars(text) {
+    const parsed = JSON.parse(text);
+    const errors = validateAgainstSchema(parsed, workCalendarsSchema);
+    // Regions use their country's holidayYears, so every holiday date must fall inside it
+    const checkCalendar = (calendar, where, holidayYears) => {
+        errors.push(...validateAgainstSchema(calendar, workCalendarSchema, where));
+        Object.entries((calendar && calendar.holidays) || {}).forEach(([date, name]) => {
+            if (!DateTime.fromISO(date).isValid || !/^\d{4}-\d{2}-\d{2}$/.test(date) || typeof name !== 'string') {
+                errors.push({ field: `${where}.holidays`, message: `"${date}" must be a YYYY-MM-DD date with a holiday name` });
+            } else if (!holidayYears || Number(date.slice(0, 4)) < holidayYears.from || Number(date.slice(0, 4)) > holidayYears.to) {
+                errors.push({ field: `${where}.holidays`, message: `"${date}" is outside the country's holidayYears` });
+            }
+        });
+    };
+    Object.entries(parsed.countries || {}).forEach(([code, country]) => {
+        const holidayYears = country && country.holidayYears;
+        if (holidayYears && holidayYears.from > holidayYears.to) {
+            errors.push({ field: `countries.${code}.holidayYears`, message: 'from must not be after to' });
+        }
+        checkCalendar(country, `countries.${code}`, holidayYears);
+        Object.entries((country && country.regions) || {}).forEach(([regionCode, region]) => checkCalendar(region, `countries.${code}.regions.${regionCode}`, holidayYears));
+    });
+    if (errors.length > 0) {
+        throw new Error(errors.map(e => `${e.field} ${e.message}`).join('; '));
+    }
+    return { version: parsed.version, defaultWorkWeek: parsed.defaultWorkWeek, countries: parsed.countries };
+}
+
+/**
+ * Load the work calendars; an invalid file stops the server at startup
+ * @param {string} filePath
+ * @returns {object} - See parseWorkCalendars
+ */
+function loadWorkCalendars(filePath) {
+    try {
+        return parseWorkCalendars(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Invalid work calendars ${filePath}: ${error.message}`);
+    }
+}
+
+const workCalendars = loadWorkCalendars(WORK_CALENDARS_PATH);
+
+/**
+ * The work calendar for a resolved location: its country's holidays and work week, plus the holidays and work week of
+ * a region matched by subdivision code or city name
+ * @param {{country?: string|null, subdivision?: string, city?: string}} location - A resolveMeetingLocation result
+ * @returns {{id: string|null, name: string, workWeek: number[], holidayYears: {from: number, to: number}|null, holidays: Object<string, string>}}
+ */
+function getWorkCalendar({ country, subdivision, city }) {
+    const countryCalendar = country ? workCalendars.countries[country] : null;
+    if (!countryCalendar) {
+        return { id: null, name: 'Default work week (no holiday data)', workWeek: workCalendars.defaultWorkWeek, holidayYears: null, holidays: {} };
+    }
+    const cityKey = city ? normalizeGeoName(city) : null;
+    const [regionCode, region] = Object.entries(countryCalendar.regions || {}).find(([code, r]) =>
+        code === subdivision || (cityKey && (r.cities || []).some(name => normalizeGeoName(name) === cityKey))) || [];
+    return {
+        id: region ? `${country}-${regionCode}` : country,
+        name: region ? `${countryCalendar.name} – ${region.name}` : countryCalendar.name,
+        workWeek: (region && region.workWeek) || countryCalendar.workWeek || workCalendars.defaultWorkWeek,
+        holidayYears: countryCalendar.holidayYears || null,
+        holidays: { ...countryCalendar.holidays, ...(region && region.holidays) }
+    };
+}
+
+/**
+ * A work calendar as shown in API responses
+ * @param {object} calendar - As returned by getWorkCalendar
+ * @returns {{id: string|null, name: string, workWeek: string[], holidayYears: {from: number, to: number}|null}}
+ */
+function describeWorkCalendar(calendar) {
+    return { id: calendar.id, name: calendar.name, workWeek: calendar.workWeek.map(d => ISO_WEEKDAY_NAMES[d - 1]), holidayYears: calendar.holidayYears };
+}
+
+/**
+ * Warning for a date range that reaches past the years a calendar has holidays for; days there are treated as
+ * working days unless they fall outside the work week
+ * @param {object} calendar - As returned by getWorkCalendar
+ * @param {DateTime} from
+ * @param {DateTime} to - Inclusive
+ * @returns {string|null}
+ */
+function findHolidayCoverageWarning(calendar, from, to) {
+    const { holidayYears } = calendar;
+    if (!holidayYears || (from.year >= holidayYears.from && to.year <= holidayYears.to)) return null;
+    const covered = holidayYears.from === holidayYears.to ? `${holidayYears.from}` : `${holidayYears.from}–${holidayYears.to}`;
+    return `Public holidays for ${calendar.name} are only known for ${covered}; days from ${from.toISODate()} to ${to.toISODate()} outside those years are not checked for holidays.`;
+}
+
+/**
+ * Why a local date is a closed day on a work calendar
+ * @param {{workWeek: number[], holidays: Object<string, string>}} calendar
+ * @param {DateTime} date - In the calendar's zone
+ * @returns {{reason: 'holiday'|'weekend', name: string}|null} - null on a working day
+ */
+function findClosedDay(calendar, date) {
+    const holiday = calendar.holidays[date.toISODate()];
+    if (holiday) return { reason: 'holiday', name: holiday };
+    if (!calendar.workWeek.includes(date.weekday)) return { reason: 'weekend', name: ISO_WEEKDAY_NAMES[date.weekday - 1] };
+    return null;
+}
+
+// Closed days for a lead location, for tools that schedule on the client
+app.get('/work-calendar', (req, res) => {
+    try {
+        const { location, from } = req.query;
+        if (!location || typeof location !== 'string' || !location.trim()) {
+            return res.status(400).json({ error: 'Please provide a location.' });
+        }
+        const days = req.query.days === undefined ? WORK_CALENDAR_DEFAULT_DAYS : Number(req.query.days);
+        if (!Number.isInteger(days) || days < 1 || days > WORK_CALENDAR_MAX_DAYS) {
+            return res.status(400).json({ error: `days must be a whole number between 1 and ${WORK_CALENDAR_MAX_DAYS}.` });
+        }
+        const resolved = resolveMeetingLocation(location);
+        if (resolved.status !== 'resolved') {
+            return res.status(400).json({ error: resolved.message, location: resolved });
+        }
+        const start = from ? DateTime.fromISO(String(from), { zone: resolved.zone }) : DateTime.now().setZone(resolved.zone);
+        if (!start.isValid) {
+            return res.status(400).json({ error: 'from must be a YYYY-MM-DD date.' });
+        }
+        const calendar = getWorkCalendar(resolved);
+        const closedDays = [];
+        for (let day = start.startOf('day'), i = 0; i < days; i++, day = day.plus({ days: 1 })) {
+            const closed = findClosedDay(calendar, day);
+            if (closed) closedDays.push({ date: day.toISODate(), weekday: ISO_WEEKDAY_NAMES[day.weekday - 1], ...closed });
+        }
+        const coverageWarning = findHolidayCoverageWarning(calendar, start.startOf('day'), start.startOf('day').plus({ days: days - 1 }));
+        res.json({
+            location: resolved,
+            calendar: describeWorkCalendar(calendar),
+            version: workCalendars.version,
+            from: start.toISODate(),
+            days,
+            closedDays,
+            warnings: coverageWarning ? [coverageWarning] : []
+        });
+    } catch (error) {
+        sendRouteError(res, '/work-calendar', error, 'Failed to load the work calendar.');
+    }
+});
+
+app.post('/find-meeting-slots', acceptUploads(calendarUpload.single('calendar'), CALENDAR_MAX_BYTES), async (req, res) => {
+    try {
+        const body = req.body || {};
+        const { userTimezone, leadLocations, callDuration, calendarIcs, busyFeedUrl } = body;
+        console.log('Received /find-meeting-slots:', { userTimezone, leadLocations, callDuration, calendarFile: req.file ? req.file.originalname : null, busyFeedUrl });
+        if (!userTimezone || typeof userTimezone !== 'string' || userTimezone.trim().length === 0) {
+            return res.status(400).json({ error: 'Please provide your timezone.' });
+        }
+        if (!DateTime.local().setZone(userTimezone).isValid) {
+            return res.status(400).json({ error: 'userTimezone must be an IANA time zone such as "Europe/Berlin".' });
+        }
+        const leadInputs = typeof leadLocations === 'string' || Array.isArray(leadLocations) ? splitMeetingLocations(leadLocations) : [];
+        if (leadInputs.length === 0) {
+            return res.status(400).json({ error: 'Please provide lead locations.' });
+        }
+        if (leadInputs.length > MEETING_MAX_LEAD_LOCATIONS) {
+            return res.status(400).json({ error: `Please provide at most ${MEETING_MAX_LEAD_LOCATIONS} lead locations.` });
+        }
+        // Multipart fields arrive as strings, JSON bodies may use numbers and booleans
+        const duration = callDuration === undefined || callDuration === '' ? 30 : Number(callDuration);
+        if (!Number.isInteger(duration) || duration < 5 || duration > 480) {
+            return res.status(400).json({ error: 'callDuration must be a whole number of minutes between 5 and 480.' });
+        }
+        const granularity = body.slotGranularity === undefined || body.slotGranularity === '' ? 30 : Number(body.slotGranularity);
+        if (!MEETING_SLOT_GRANULARITIES.includes(granularity)) {
+            return res.status(400).json({ error: `slotGranularity must be one of ${MEETING_SLOT_GRANULARITIES.join(', ')} minutes.` });
+        }
+        const horizonDays = body.horizonDays === undefined || body.horizonDays === '' ? MEETING_DEFAULT_HORIZON_DAYS : Number(body.horizonDays);
+        if (!Number.isInteger(horizonDays) || horizonDays < 1 || horizonDays > MEETING_MAX_HORIZON_DAYS) {
+            return res.status(400).json({ error: `horizonDays must be a whole number between 1 and ${MEETING_MAX_HORIZON_DAYS}.` });
+        }
+        const maxSlots = body.maxSlots === undefined || body.maxSlots === '' ? MEETING_DEFAULT_MAX_SLOTS : Number(body.maxSlots);
+        if (!Number.isInteger(maxSlots) || maxSlots < 1 || maxSlots > MEETING_MAX_SLOTS) {
+            return res.status(400).json({ error: `maxSlots must be a whole number between 1 and ${MEETING_MAX_SLOTS}.` });
+        }
+        const excludeWeekends = !(body.excludeWeekends === false || body.excludeWeekends === 'false');
+        const excludeHolidays = !(body.excludeHolidays === false || body.excludeHolidays === 'false');
+        const format = body.format || 'json';
+        if (!['json', 'html'].includes(format)) {
+            return res.status(400).json({ error: 'format must be "json" or "html".' });
+        }
+
+        const userWorkingHours = parseWorkingHours(body.userWorkingHours || MEETING_DEFAULT_WORKING_HOURS);
+        if (!userWorkingHours) {
+            return res.status(400).json({ error: 'userWorkingHours must look like "09:00-17:00".' });
+        }
+        // One range for every lead, or one per lead location in the same order
+        const leadHoursList = (Array.isArray(body.leadWorkingHours) ? body.leadWorkingHours : String(body.leadWorkingHours || MEETING_DEFAULT_WORKING_HOURS).split(','))
+            .map(hours => parseWorkingHours(String(hours)));
+        if (leadHoursList.some(hours => !hours) || (leadHoursList.length !== 1 && leadHoursList.length !== leadInputs.length)) {
+            return res.status(400).json({ error: 'leadWorkingHours must be one range like "09:00-17:00" or one range per lead location.' });
+        }
+        if (calendarIcs !== undefined && typeof calendarIcs !== 'string') {
+            return res.status(400).json({ error: 'calendarIcs must be iCalendar text.' });
+        }
+        if (busyFeedUrl !== undefined && busyFeedUrl !== '') {
+            const feedProblem = typeof busyFeedUrl === 'string' ? findFreeBusyFeedProblem(busyFeedUrl) : 'busyFeedUrl must be a URL.';
+            if (feedProblem) return res.status(400).json({ error: feedProblem });
+        }
+
+        // Each location is resolved on its own; ambiguous and unknown ones are reported and left out of the search
+        const locations = leadInputs.map(resolveMeetingLocation);
+        console.log('Resolved locations:', locations.map(l => `${l.input} → ${l.zone || l.status}`));
+        const leads = locations
+            .map((location, i) => ({ ...location, workingHours: leadHoursList[leadHoursList.length === 1 ? 0 : i] }))
+            .filter(location => location.status === 'resolved');
+        if (leads.length === 0) {
+            return res.status(400).json({ error: 'None of the lead locations could be matched to a time zone.', locations });
+        }
+
+        // Busy times from every calendar source supplied, limited to the search window
+        const windowStart = DateTime.now().setZone(userTimezone);
+        const windowEnd = windowStart.startOf('day').plus({ days: horizonDays });
+        const calendars = [];
+        if (req.file) calendars.push(req.file.buffer.toString('utf8'));
+        if (calendarIcs && calendarIcs.trim()) calendars.push(calendarIcs);
+        if (busyFeedUrl) {
+            try {
+                calendars.push(await fetchFreeBusyFeed(busyFeedUrl));
+            } catch (error) {
+                return res.status(502).json({ error: error.message, code: 'FREEBUSY_FEED_UNAVAILABLE' });
+            }
+        }
+        if (calendars.some(text => !/BEGIN:VCALENDAR/i.test(text))) {
+            return res.status(400).json({ error: 'Calendar data must be an iCalendar (.ics) file.' });
+        }
+        const busy = calendars.flatMap(text => parseIcsBusyIntervals(text, userTimezone, windowStart, windowEnd));
+        console.log('Busy intervals in window:', busy.length);
+
+        // The rep's office calendar comes from the country their time zone belongs to
+        const participants = [
+            { role: 'rep', label: 'You', timezone: userTimezone, workingHours: userWorkingHours, calendar: getWorkCalendar(resolveMeetingLocation(userTimezone)) },
+            ...leads.map(lead => ({
+                role: 'lead', input: lead.input, label: lead.label, timezone: lead.zone, workingHours: lead.workingHours, calendar: getWorkCalendar(lead)
+            }))
+        ];
+        const slots = findMeetingSlots({
+            participants: participants.map(p => ({ zone: p.timezone, workingHours: p.workingHours, calendar: p.calendar })),
+            busy, duration, granularity, horizonDays, excludeWeekends, excludeHolidays, maxSlots
+        });
+        // Public holidays inside the search window, so a missing day can be explained
+        const holidays = participants.flatMap(({ label, timezone, calendar }) => {
+            const days = [];
+            for (let day = windowStart.setZone(timezone).startOf('day'); day < windowEnd; day = day.plus({ days: 1 })) {
+                const closed = findClosedDay(calendar, day);
+                if (closed && closed.reason === 'holiday') days.push({ label, timezone, date: day.toISODate(), name: closed.name });
+            }
+            return days;
+        });
+        // Rep and leads often share a calendar, so each warning is listed once
+        const warnings = [...new Set(participants.map(({ timezone, calendar }) =>
+            findHolidayCoverageWarning(calendar, windowStart.setZone(timezone).startOf('day'), windowEnd.minus({ milliseconds: 1 }).setZone(timezone))
+        ).filter(Boolean))];
+        console.log('Number of slots found:', slots.length);
+        const result = {
+            timezone: userTimezone,
+            callDuration: duration,
+            slotGranularity: granularity,
+            horizonDays,
+            excludeWeekends,
+            excludeHolidays,
+            participants: participants.map(({ calendar, ...p }) => ({
+                ...p,
+                workingHours: formatWorkingHours(p.workingHours),
+                workCalendar: describeWorkCalendar(calendar)
+            })),
+            locations,
+            holidays,
+            warnings,
+            busyPeriodCount: calendars.length > 0 ? busy.length : null,
+            slots: slots.map(slot => ({
+                start: slot.start.toUTC().toISO({ suppressMilliseconds: true }),
+                end: slot.end.toUTC().toISO({ suppressMilliseconds: true }),
+                score: slot.score,
+                localTimes: participants.map(({ label, timezone }) => ({
+                    label,
+                    timezone,
+                    start: slot.start.setZone(timezone).toISO({ suppressMilliseconds: true }),
+                    end: slot.end.setZone(timezone).toISO({ suppressMilliseconds: true }),
+                    display: slot.start.setZone(timezone).toFormat('ccc, dd LLL yyyy HH:mm')
+                }))
+            }))
+        };
+        if (format === 'html') {
+            result.slotsTableHtml = renderMeetingSlotsHtml(result);
+        }
+        res.json(result);
+    } catch (error) {
+        sendRouteError(res, '/find-meeting-slots', error, 'Failed to find meeting slots. Please try again.');
+    }
+});
+
+/**
+ * Render a /find-meeting-slots result as a styled HTML table with location and calendar notes
+ * @param {object} result - The JSON response body
+ * @returns {string}
+ */
+function renderMeetingSlotsHtml(result) {
+    const { participants, slots, locations, holidays, warnings, horizonDays, busyPeriodCount } = result;
+    let html = '<table style="width:100%;border-collapse:collapse;background:#fff;color:#333;"><tr>';
+    participants.forEach(p => {
+        html += `<th style="padding:8px;border-bottom:1px solid #ccc;">${escapeHtml(p.role === 'rep' ? 'Your Time' : p.label)}</th>`;
+    });
+    html += '<th style="padding:8px;border-bottom:1px solid #ccc;">Fit</th></tr>';
+    if (slots.length === 0) {
+        html += `<tr><td colspan="${participants.length + 1}" style="padding:12px;color:#ff5252;text-align:center;">No overlapping slots found in the next ${horizonDays} day${horizonDays === 1 ? '' : 's'}.</td></tr>`;
+    }
+    slots.forEach(slot => {
+        html += '<tr>';
+        slot.localTimes.forEach(local => {
+            html += `<td style="padding:8px;border-bottom:1px solid #eee;">${escapeHtml(`${local.display} (${local.timezone})`)}</td>`;
+        });
+        html += `<td style="padding:8px;border-bottom:1px solid #eee;">${slot.score}%</td></tr>`;
+    });
+    html += '</table>';
+    locations.filter(location => location.status !== 'resolved').forEach(location => {
+        const options = (location.candidates || []).map(c => `${c.label} (${c.zone})`).join('; ');
+        html += `<div style="margin-top:8px;font-size:0.9em;color:#ff5252;">${escapeHtml(location.message)}${options ? ` Candidates: ${escapeHtml(options)}.` : ''}</div>`;
+    });
+    holidays.forEach(holiday => {
+        const date = DateTime.fromISO(holiday.date).toFormat('ccc, dd LLL yyyy');
+        html += `<div style="margin-top:8px;font-size:0.9em;color:#666;">${escapeHtml(`${date}: ${holiday.name} (${holiday.label})`)}${result.excludeHolidays ? ' – skipped' : ''}</div>`;
+    });
+    warnings.forEach(warning => {
+        html += `<div style="margin-top:8px;font-size:0.9em;color:#ff5252;">${escapeHtml(warning)}</div>`;
+    });
+    if (busyPeriodCount !== null) {
+        html += `<div style="margin-top:8px;font-size:0.9em;color:#666;">Checked against ${busyPeriodCount} busy period${busyPeriodCount === 1 ? '' : 's'} from your calendar.</div>`;
+    }
+    return html;
+}
+
+// Meeting invites: a downloadable iCalendar VEVENT for a chosen slot, with a VTIMEZONE for the organizer's zone so
+// calendar clients keep the meeting on the right local time across DST changes
+const MEETING_INVITE_MAX_ATTENDEES = 50;
+const meetingInviteSchema = {
+    type: 'object',
+    required: ['start', 'timezone'],
+    properties: {
+        start: { type: 'string', minLength: 1 },
+        end: { type: 'string', minLength: 1 },
+        duration: { type: 'integer', minimum: 5, maximum: 480 },
+        timezone: { type: 'string', minLength: 1 },
+        title: { type: 'string' },
+        description: { type: 'string' },
+        location: { type: 'string' },
+        organizer: {
+            type: 'object',
+            required: ['email'],
+            properties: { name: { type: 'string' }, email: { type: 'string', minLength: 1 } }
+        },
+        attendees: {
+            type: 'array',
+            maxItems: MEETING_INVITE_MAX_ATTENDEES,
+            items: {
+                type: 'object',
+                required: ['email'],
+                properties: { name: { type: 'string' }, email: { type: 'string', minLength: 1 }, timezone: { type: 'string' } }
+            }
+        }
+    }
+};
+
+/**
+ * Format a UTC offset in minutes as an iCalendar UTC-OFFSET ("+0530")
+ * @param {number} minutes
+ * @returns {string}
+ */
+function formatIcsOffset(minutes) {
+    const abs = Math.abs(minutes);
+    return `${minutes < 0 ? '-' : '+'}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+}
+
+/**
+ * VTIMEZONE lines for a zone, listing its actual offset transitions from a year before to a year after `around`
+ * @param {string} zone - IANA zone
+ * @param {DateTime} around
+ * @returns {string[]}
+ */
+function buildIcsTimezone(zone, around) {
+    const offsetAt = ms => DateTime.fromMillis(ms, { zone }).offset;
+    const transitions = [];
+    const last = around.plus({ years: 1 }).toMillis();
+    const day = 24 * 60 * 60 * 1000;
+    for (let ms = around.minus({ years: 1 }).toMillis(); ms < last; ms += day) {
+        if (offsetAt(ms) === offsetAt(ms + day)) continue;
+        // Narrow the change down to the millisecond; high ends on the first instant with the new offset
+        let [low, high] = [ms, ms + day];
+        while (high - low > 1) {
+            const mid = low + Math.floor((high - low) / 2);
+            if (offsetAt(mid) === offsetAt(low)) low = mid; else high = mid;
+        }
+        transitions.push(high);
+    }
+    const lines = ['BEGIN:VTIMEZONE', `TZID:${zone}`];
+    if (transitions.length === 0) {
+        const offset = formatIcsOffset(around.setZone(zone).offset);
+        lines.push('BEGIN:STANDARD', 'DTSTART:19700101T000000', `TZOFFSETFROM:${offset}`, `TZOFFSETTO:${offset}`,
+            `TZNAME:${around.setZone(zone).offsetNameShort}`, 'END:STANDARD');
+    }
+    transitions.forEach(ms => {
+        const after = DateTime.fromMillis(ms, { zone });
+        const before = offsetAt(ms - 60 * 1000);
+        const component = after.isInDST ? 'DAYLIGHT' : 'STANDARD';
+        // Onsets are written in the local time that was in effect before the change
+        lines.push(`BEGIN:${component}`, `DTSTART:${DateTime.fromMillis(ms, { zone: 'utc' }).plus({ minutes: before }).toFormat("yyyyMMdd'T'HHmmss")}`,
+            `TZOFFSETFROM:${formatIcsOffset(before)}`, `TZOFFSETTO:${formatIcsOffset(after.offset)}`, `TZNAME:${after.offsetNameShort}`, `END:${component}`);
+    });
+    lines.push('END:VTIMEZONE');
+    return lines;
+}
+
+/**
+ * Render a meeting invite as an iCalendar file. TEXT values and line folding follow the same rules as vCard 3.0.
+ * With attendees it is an iTIP request (METHOD:REQUEST), which needs the organizer, so calendar clients offer to
+ * accept or decline it; without attendees it is a plain event to add to the organizer's own calendar.
+ * @param {object} invite
+ * @param {DateTime} invite.start - In the organizer's zone
+ * @param {DateTime} invite.end
+ * @param {string} invite.title
+ * @param {string} invite.description
+ * @param {string} [invite.location]
+ * @param {{name?: string, email: string}} [invite.organizer] - Required when there are attendees
+ * @param {Array<{name?: string, email: string}>} invite.attendees
+ * @returns {string}
+ */
+function buildMeetingInvite({ start, end, title, description, location, organizer, attendees }) {
+    const zone = start.zoneName;
+    const local = dateTime => dateTime.setZone(zone).toFormat("yyyyMMdd'T'HHmmss");
+    const person = ({ name, email }) => `${name ? `;CN="${name.replace(/["\r\n]/g, '')}"` : ''}:mailto:${email}`;
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//AI Email Generator//Meeting Finder//EN',
+        'CALSCALE:GREGORIAN',
+        ...(attendees.length > 0 ? ['METHOD:REQUEST'] : []),
+        ...buildIcsTimezone(zone, start),
+        'BEGIN:VEVENT',
+        `UID:${crypto.randomUUID()}@meeting-finder`,
+        `DTSTAMP:${DateTime.utc().toFormat("yyyyMMdd'T'HHmmss'Z'")}`,
+        `DTSTART;TZID=${zone}:${local(start)}`,
+        `DTEND;TZID=${zone}:${local(end)}`,
+        `SUMMARY:${escapeVCardValue(title)}`,
+        `DESCRIPTION:${escapeVCardValue(description)}`
+    ];
+    if (location) lines.push(`LOCATION:${escapeVCardValue(location)}`);
+    if (organizer) lines.push(`ORGANIZER${person(organizer)}`);
+    attendees.forEach(attendee => {
+        lines.push(`ATTENDEE;ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=TRUE${person(attendee)}`);
+    });
+    lines.push('STATUS:CONFIRMED', 'SEQUENCE:0', 'TRANSP:OPAQUE', 'END:VEVENT', 'END:VCALENDAR');
+    return lines.map(foldVCardLine).join('\r\n') + '\r\n';
+}
+
+app.post('/meeting-invite', (req, res) => {
+    try {
+        const body = req.body || {};
+        const errors = validateAgainstSchema(body, meetingInviteSchema);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid meeting invite.', details: errors });
+        }
+        if (!DateTime.local().setZone(body.timezone).isValid) {
+            return res.status(400).json({ error: 'timezone must be an IANA time zone such as "Europe/Berlin".' });
+        }
+        // Slot times from /find-meeting-slots are ISO timestamps with an offset; they are shown in the organizer's zone
+        const start = DateTime.fromISO(body.start, { zone: body.timezone });
+        const end = body.end ? DateTime.fromISO(body.end, { zone: body.timezone }) : start.plus({ minutes: body.duration || 30 });
+        if (!start.isValid || !end.isValid) {
+            return res.status(400).json({ error: 'start and end must be ISO 8601 date-times.' });
+        }
+        if (end <= start || end.diff(start, 'minutes').minutes > 24 * 60) {
+            return res.status(400).json({ error: 'end must be after start and within 24 hours of it.' });
+        }
+        const people = [...(body.organizer ? [body.organizer] : []), ...(body.attendees || [])];
+        const invalidEmail = people.find(p => !normalizeEmail(p.email));
+        if (invalidEmail) {
+            return res.status(400).json({ error: `"${invalidEmail.email}" is not a valid email address.` });
+        }
+        if (!body.organizer && (body.attendees || []).length > 0) {
+            return res.status(400).json({ error: 'organizer is required when inviting attendees.' });
+        }
+        const invalidZone = (body.attendees || []).find(a => a.timezone && !DateTime.local().setZone(a.timezone).isValid);
+        if (invalidZone) {
+            return res.status(400).json({ error: `"${invalidZone.timezone}" is not a valid time zone.` });
+        }
+        const normalize = p => ({ name: (p.name || '').trim(), email: normalizeEmail(p.email) });
+
+        // Default description: the meeting time in the organizer's zone and in every attendee zone given
+        const zones = [...new Set([body.timezone, ...(body.attendees || []).map(a => a.timezone).filter(Boolean)])];
+        const description = body.description && body.description.trim()
+            ? body.description.trim()
+            : ['Meeting times:', ...zones.map(zone => `- ${start.setZone(zone).toFormat('ccc, dd LLL yyyy HH:mm')}–${end.setZone(zone).toFormat('HH:mm')} (${zone})`)].join('\n');
+        const ics = buildMeetingInvite({
+            start,
+            end,
+            title: (body.title || '').trim() || 'Meeting',
+            description,
+            location: (body.location || '').trim(),
+            organizer: body.organizer ? normalize(body.organizer) : null,
+            attendees: (body.attendees || []).map(normalize)
+        });
+        res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="meeting-${start.toFormat('yyyyMMdd-HHmm')}.ics"`);
+        res.send(ics);
+    } catch (error) {
+        sendRouteError(res, '/meeting-invite', error, 'Failed to create the meeting invite.');
+    }
+});
+
+// Sales Playbook Generator endpoint
+app.post('/generate-sales-playbook', async (req, res) => {
+    try {
+        const { productService, salesStrategy, targetMarket, keyObjections, companyProfileId, language, locale, formality } = req.body;
+        const { companyProfile, error: profileError } = resolveCompanyProfile(companyProfileId);
+        if (profileError) {
+            return res.status(404).json({ error: profileError });
+        }
+        const { outputLocale, error: localeError } = resolveOutputLocale(language, locale, formality);
+        if (localeError) {
+            return res.status(400).json({ error: localeError });
+        }
+        if (!companyProfile && (!productService || typeof productService !== 'string' || productService.trim().length === 0)) {
+            return res.status(400).json({ error: 'Please provide a product or service.' });
+        }
+        const product = (typeof productService === 'string' && productService.trim()) || summarizeCompanyProducts(companyProfile);
+        if (!salesStrategy || typeof salesStrategy !== 'string' || salesStrategy.trim().length === 0) {
+            return res.status(400).json({ error: 'Please provide a sales strategy.' });
+        }
+        if (!targetMarket || typeof targetMarket !== 'string' || targetMarket.trim().length === 0) {
+            return res.status(400).json({ error: 'Please provide a target market or ICP.' });
+        }
+        if (!keyObjections || typeof keyObjections !== 'string' || keyObjections.trim().length === 0) {
+            return res.status(400).json({ error: 'Please provide key objections.' });
+        }
+        // Streaming mode: forward Markdown tokens as they arrive, then a final event with the result
+        if (wantsEventStream(req)) {
+            const signal = startEventStream(res);
+            const result = await generateSalesPlaybookWithGemini(
+                product,
+                salesStrategy.trim(),
+                targetMarket.trim(),
+                keyObjections.trim(),
+                companyProfile,
+                outputLocale,
+                text => sendEvent(res, 'token', { text }),
+                signal
+            );
+            sendEvent(res, 'done', withGenerationId('/generate-sales-playbook', result));
+            return res.end();
+        }
+        const result = await generateSalesPlaybookWithGemini(
+            product,
+            salesStrategy.trim(),
+            targetMarket.trim(),
+            keyObjections.trim(),
+            companyProfile,
+            outputLocale
+        );
+        res.json(withGenerationId('/generate-sales-playbook', result));
+    } catch (error) {
+        sendRouteError(res, '/generate-sales-playbook', error, 'Failed to generate sales playbook.');
+    }
+});
+
+// Response schema for /generate-sales-playbook
+const salesPlaybookSchema = {
+    type: 'object',
+    required: ['playbookMarkdown'],
+    properties: {
+        playbookMarkdown: { type: 'string', minLength: 1 }
+    }
+};
+
+/**
+ * Generate sales playbook using the configured LLM
+ * @param {string} productService
+ * @param {string} salesStrategy
+ * @param {string} targetMarket
+ * @param {string} keyObjections
+ * @param {object|null} [companyProfile] - Company knowledge base merged into the prompt
+ * @param {object|null} [outputLocale] - Output language, formality and formats (see resolveOutputLocale)
+ * @param {function(string): void} [onToken] - When given, stream plain Markdown and call this with each chunk
+ * @param {AbortSignal} [signal] - Stops a streamed completion early
+ * @returns {Promise<{playbookMarkdown: string, promptVersion: string}>}
+ */
+async function generateSalesPlaybookWithGemini(productService, salesStrategy, targetMarket, keyObjections, companyProfile, outputLocale, onToken, signal) {
+    const generationConfig = {
+        temperature: 0.7,
+        topK: 40,
+        topP: 0.95,
+        maxOutputTokens: 1024,
+    };
+    // Streaming asks for raw Markdown so the client can render it progressively
+    const { prompt, promptVersion } = renderPrompt('generate-sales-playbook', {
+        productService, salesStrategy, targetMarket, keyObjections, stream: Boolean(onToken)
+    });
+    if (onToken) {
+        const text = await streamWithLLM('generate-sales-playbook-stream', withOutputLocale(withCompanyProfile(prompt, companyProfile), outputLocale), generationConfig, 60000, onToken, signal);
+        const playbookMarkdown = text.replace(/^```(?:markdown|md)?\s*|```\s*$/gi, '').trim();
+        const errors = validateAgainstSchema({ playbookMarkdown }, salesPlaybookSchema);
+        if (errors.length > 0) {
+            throw new LLMOutputValidationError('generate-sales-playbook', errors);
+        }
+        return { playbookMarkdown, promptVersion };
+    }
+    const result = await generateStructuredWithLLM('generate-sales-playbook', withOutputLocale(withCompanyProfile(prompt, companyProfile), outputLocale), salesPlaybookSchema, generationConfig, 60000);
+    return {
+        playbookMarkdown: result.playbookMarkdown,
+        promptVersion
+    };
+}
+
+app.post('/select-outreach-channels', async (req, res) => {
+    try {
+        const { leadRole, leadLocation, productService, outreachGoal, companyProfileId, language, locale, formality } = req.body;
+        const { companyProfile, error: profileError } = resolveCompanyProfile(companyProfileId);
+        if (profileError) {
+            return res.status(404).json({ error: profileError });
+        }
+        const { outputLocale, error: localeError } = resolveOutputLocale(language, locale, formality);
+        if (localeError) {
+            return res.status(400).json({ error: localeError });
+        }
+
+        if (!leadRole || (!productService && !companyProfile) || !outreachGoal) {
+            return res.status(400).json({ error: 'Missing required fields' });
+        }
+
+        const result = await selectOutreachChannelsWithGemini(
+            leadRole.trim(),
+            leadLocation?.trim() || '',
+            productService?.trim() || summarizeCompanyProducts(companyProfile),
+            outreachGoal.trim(),
+            companyProfile,
+            outputLocale
+        );
+
+        res.json(withGenerationId('/select-outreach-channels', result));
+    } catch (error) {
+        sendRouteError(res, '/select-outreach-channels', error, 'Failed to get channel recommendations.');
+    }
+});
+
+// Response schema for /select-outreach-channels
+const outreachChannelsSchema = {
+    type: 'object',
+    required: ['channels'],
+    properties: {
+        channels: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 3,
+            items: {
+                type: 'object',
+                required: ['name', 'reasoning', 'tips'],
+                properties: {
+                    name: { type: 'string', enum: ['Email', 'LinkedIn', 'Phone Call', 'Video Message', 'Twitter/Social DM'] },
+                    reasoning: { type: 'string', minLength: 1 },
+                    tips: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } }
+                }
+            }
+        }
+    }
+};
+
+async function selectOutreachChannelsWithGemini(leadRole, leadLocation, productService, outreachGoal, companyProfile, outputLocale) {
+    const { prompt, promptVersion } = renderPrompt('select-outreach-channels', { leadRole, leadLocation, productService, outreachGoal });
+
+    const generationConfig = {
+        temperature: 0.7,
+        topK: 40,
+        topP: 0.95,
+        maxOutputTokens: 1024,
+    };
+    const result = await generateStructuredWithLLM('select-outreach-channels', withOutputLocale(withCompanyProfile(prompt, companyProfile), outputLocale), outreachChannelsSchema, generationConfig, 60000);
+
+    return {
+        channels: result.channels,
+        promptVersion
+    };
+}
+
+app.post('/generate-linkedin-messages', async (req, res) => {
+    try {
+        const { leadPersona, outreachGoal, productService, personalizationHook, companyProfileId, leadLocation, language, locale, formality } = req.body;
+        const { companyProfile, error: profileError } = resolveCompanyProfile(companyProfileId);
+        if (profileError) {
+            return res.status(404).json({ error: profileError });
+        }
+        const { outputLocale, error: localeError } = resolveOutputLocale(language, locale, formality);
+        if (localeError) {
+            return res.status(400).json({ error: localeError });
+        }
+
+        if (!leadPersona || (!productService && !companyProfile) || !outreachGoal) {
+            return res.status(400).json({ error: 'Missing required fields' });
+        }
+        const locationProblem = findLeadLocationProblem(leadLocation);
+        if (locationProblem) {
+            return res.status(400).json({ error: locationProblem });
+        }
 
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true }));
+        const result = await generateLinkedInMessagesWithGemini(
+            leadPersona.trim(),
+            outreachGoal.trim(),
+            productService?.trim() || summarizeCompanyProducts(companyProfile),
+            personalizationHook?.trim() || '',
+            companyProfile,
+            outputLocale
+        );
+        const compliance = enforceCompliance(
+            '/generate-linkedin-messages',
+            'linkedin',
+            result.messages.map((message, i) => ({ label: `messages[${i}]`, fields: { text: message.text } })),
+            leadLocation,
+            companyProfile
+        );
 
-// Request logging middleware
-app.use((req, res, next) => {
-    console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
-    next();
+        res.json(withGenerationId('/generate-linkedin-messages', { ...result, compliance }));
+    } catch (error) {
+        sendRouteError(res, '/generate-linkedin-messages', error, 'Failed to generate LinkedIn messages.');
+    }
 });
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-    res.json({ 
-        status: 'OK', 
-        message: 'AI Email Generator API is running',
-        timestamp: new Date().toISOString()
+// LinkedIn's connection-request note limit
+const LINKEDIN_MESSAGE_MAX_CHARS = 300;
+
+// Response schema for /generate-linkedin-messages
+const linkedInMessagesSchema = {
+    type: 'object',
+    required: ['messages', 'tips'],
+    properties: {
+        messages: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['text'],
+                properties: {
+                    text: { type: 'string', minLength: 1 }
+                }
+            }
+        },
+        tips: { type: 'array', items: { type: 'string' } }
+    }
+};
+
+async function generateLinkedInMessagesWithGemini(leadPersona, outreachGoal, productService, personalizationHook, companyProfile, outputLocale) {
+    const { prompt, promptVersion } = renderPrompt('generate-linkedin-messages', { leadPersona, outreachGoal, productService, personalizationHook });
+
+    const generationConfig = {
+        temperature: 0.7,
+        topK: 40,
+        topP: 0.95,
+        maxOutputTokens: 1024,
+    };
+    // Translated messages tend to run longer than the English the prompt was tuned on, so a localized
+    // message over the limit goes back to the model to be shortened rather than being cut off mid-sentence
+    const checkLengths = outputLocale
+        ? parsed => parsed.messages
+            .map((message, i) => ({ field: `messages[${i}].text`, length: Array.from(message.text).length }))
+            .filter(({ length }) => length > LINKEDIN_MESSAGE_MAX_CHARS)
+            .map(({ field, length }) => ({ field, message: `is ${length} characters; rewrite it in at most ${LINKEDIN_MESSAGE_MAX_CHARS}` }))
+        : undefined;
+    const result = await generateStructuredWithLLM('generate-linkedin-messages', withOutputLocale(withCompanyProfile(prompt, companyProfile), outputLocale), linkedInMessagesSchema, generationConfig, 60000, checkLengths);
+
+    // Validate message lengths for LinkedIn's limit (in characters, so emoji and CJK count once)
+    result.messages = result.messages.map(message => {
+        const characters = Array.from(message.text);
+        return {
+            text: characters.length > LINKEDIN_MESSAGE_MAX_CHARS
+                ? characters.slice(0, LINKEDIN_MESSAGE_MAX_CHARS - 3).join('') + '...'
+                : message.text
+        };
     });
-});
 
-// Main email generation endpoint
-app.post('/generate-mail', async (req, res) => {
+    return { ...result, promptVersion };
+}
+
+// Cold Email Sequence Generator endpoint
+app.post('/generate-sequence', async (req, res) => {
     try {
-        const { userPrompt } = req.body;
+        const { leadPersona, persona, painPoints, productService, goal, touches, companyProfileId, leadLocation, language, locale, formality } = req.body;
+        const hasPersonaText = typeof leadPersona === 'string' && leadPersona.trim().length > 0;
+        const hasPersonaObject = persona && typeof persona === 'object' && !Array.isArray(persona);
+        if (!hasPersonaText && !hasPersonaObject) {
+            return res.status(400).json({ error: 'Please provide the lead persona.' });
+        }
+        const { companyProfile, error: profileError } = resolveCompanyProfile(companyProfileId);
+        if (profileError) {
+            return res.status(404).json({ error: profileError });
+        }
+        const { outputLocale, error: localeError } = resolveOutputLocale(language, locale, formality);
+        if (localeError) {
+            return res.status(400).json({ error: localeError });
+        }
+        if (!companyProfile && (!productService || typeof productService !== 'string' || productService.trim().length === 0)) {
+            return res.status(400).json({ error: 'Please provide a product or service.' });
+        }
+        if (!goal || typeof goal !== 'string' || goal.trim().length === 0) {
+            return res.status(400).json({ error: 'Please provide the sequence goal.' });
+        }
+        const touchCount = touches === undefined ? 4 : parseInt(touches, 10);
+        if (!Number.isInteger(touchCount) || touchCount < 2 || touchCount > 8) {
+            return res.status(400).json({ error: 'Number of touches must be between 2 and 8.' });
+        }
+        if (painPoints !== undefined && typeof painPoints !== 'string' && !Array.isArray(painPoints)) {
+            return res.status(400).json({ error: 'Pain points must be a string or an array.' });
+        }
+        const locationProblem = findLeadLocationProblem(leadLocation);
+        if (locationProblem) {
+            return res.status(400).json({ error: locationProblem });
+        }
+        const result = await generateSequenceWithGemini(
+            hasPersonaObject ? describePersona(persona) : leadPersona.trim(),
+            describePainPoints(painPoints),
+            (typeof productService === 'string' && productService.trim()) || summarizeCompanyProducts(companyProfile),
+            goal.trim(),
+            touchCount,
+            companyProfile,
+            outputLocale
+        );
+        const compliance = enforceCompliance(
+            '/generate-sequence',
+            'sequence',
+            result.steps.map((step, i) => ({ label: `steps[${i}]`, fields: { subject: step.subject, body: step.body } })),
+            leadLocation,
+            companyProfile
+        );
+        res.json(withGenerationId('/generate-sequence', { ...result, compliance }));
+    } catch (error) {
+        sendRouteError(res, '/generate-sequence', error, 'Failed to generate email sequence.');
+    }
+});
 
-        // Validate input
-        if (!userPrompt || typeof userPrompt !== 'string') {
-            return res.status(400).json({
-                error: 'Invalid input. Please provide a userPrompt string.'
-            });
+/**
+ * Flatten a persona object as returned by /generate-icp-persona into prompt text
+ * @param {{nameBackground?: string, painPoints?: string[], goals?: string[], objections?: string[], communicationPreferences?: string, toneStyle?: string}} persona
+ * @returns {string}
+ */
+function describePersona(persona) {
+    const lines = [];
+    if (persona.nameBackground) lines.push(persona.nameBackground);
+    if (Array.isArray(persona.goals) && persona.goals.length) lines.push(`Goals: ${persona.goals.join('; ')}`);
+    if (Array.isArray(persona.painPoints) && persona.painPoints.length) lines.push(`Pain points: ${persona.painPoints.join('; ')}`);
+    if (Array.isArray(persona.objections) && persona.objections.length) lines.push(`Likely objections: ${persona.objections.join('; ')}`);
+    if (persona.communicationPreferences) lines.push(`Communication preferences: ${persona.communicationPreferences}`);
+    if (persona.toneStyle) lines.push(`Preferred tone: ${persona.toneStyle}`);
+    return lines.join('\n  ');
+}
+
+/**
+ * Flatten pain points (free text, strings, or /identify-pain-points items) into prompt text
+ * @param {string|Array<string|{title: string, type?: string, narrative?: string}>} [painPoints]
+ * @returns {string}
+ */
+function describePainPoints(painPoints) {
+    if (!painPoints) return '';
+    if (typeof painPoints === 'string') return painPoints.trim();
+    return painPoints
+        .map(p => typeof p === 'string' ? p : [p.title, p.narrative].filter(Boolean).join(': '))
+        .filter(Boolean)
+        .join('; ');
+}
+
+/**
+ * Quote a value for CSV output. Text that a spreadsheet would run as a formula (starting with =, +, -, @, tab or CR)
+ * gets a leading apostrophe; plain numbers and phone numbers such as "+14155551234" are left as they are.
+ * @param {*} value
+ * @returns {string}
+ */
+function toCsvValue(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?[\d\s().-]*\d[\d\s().-]*$/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Parse delimited text (RFC 4180 quoting) into rows of fields
+ * @param {string} text
+ * @param {string} [delimiter=',']
+ * @returns {string[][]}
+ */
+function parseCsv(text, delimiter = ',') {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < input.length; i++) {
+        const ch = input[i];
+        if (inQuotes) {
+            if (ch === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"' && field.length === 0) {
+            inQuotes = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
         }
+    }
+    if (field.length > 0 || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    // Drop blank lines
+    return rows.filter(r => r.some(value => value.trim().length > 0));
+}
 
-        if (userPrompt.trim().length === 0) {
-            return res.status(400).json({
-                error: 'Email prompt cannot be empty.'
-            });
+/**
+ * Build the response schema for a sequence of the requested length
+ * @param {number} touches
+ * @returns {object}
+ */
+function buildSequenceSchema(touches) {
+    return {
+        type: 'object',
+        required: ['steps'],
+        properties: {
+            steps: {
+                type: 'array',
+                minItems: touches,
+                maxItems: touches,
+                items: {
+                    type: 'object',
+                    required: ['step', 'dayOffset', 'angle', 'subject', 'body'],
+                    properties: {
+                        step: { type: 'integer', minimum: 1, maximum: touches },
+                        dayOffset: { type: 'integer', minimum: 0, maximum: 90 },
+                        angle: { type: 'string', minLength: 1 },
+                        subject: { type: 'string', minLength: 1 },
+                        body: { type: 'string', minLength: 1 },
+                        referencesSteps: { type: 'array', items: { type: 'integer', minimum: 1 } }
+                    }
+                }
+            }
         }
+    };
+}
 
-        if (userPrompt.length > 2000) {
-            return res.status(400).json({
-                error: 'Email prompt is too long. Please keep it under 2000 characters.'
-            });
+/**
+ * Ordering checks the schema cannot express: each step number used once, and day offsets strictly increasing in step order
+ * @param {{steps: Array<{step: number, dayOffset: number}>}} parsed - Already valid against buildSequenceSchema
+ * @returns {Array<{field: string, message: string}>}
+ */
+function findSequenceOrderProblems(parsed) {
+    const errors = [];
+    const seen = new Set();
+    parsed.steps.forEach((s, i) => {
+        if (seen.has(s.step)) errors.push({ field: `steps[${i}].step`, message: `step ${s.step} appears more than once; number the steps 1 to ${parsed.steps.length}` });
+        seen.add(s.step);
+    });
+    const ordered = parsed.steps.slice().sort((a, b) => a.step - b.step);
+    ordered.slice(1).forEach((s, i) => {
+        if (s.dayOffset <= ordered[i].dayOffset) {
+            errors.push({ field: `steps[${parsed.steps.indexOf(s)}].dayOffset`, message: `step ${s.step} is on day ${s.dayOffset}, not after step ${ordered[i].step} (day ${ordered[i].dayOffset})` });
         }
+    });
+    return errors;
+}
 
-        console.log('Generating email for prompt:', userPrompt.substring(0, 100) + '...');
+/**
+ * Generate a multi-step cold email sequence using the configured LLM
+ * @param {string} leadPersona
+ * @param {string} painPoints
+ * @param {string} productService
+ * @param {string} goal
+ * @param {number} touches - Total number of emails, including the initial one
+ * @param {object|null} [companyProfile] - Company knowledge base merged into the prompt
+ * @param {object|null} [outputLocale] - Output language, formality and formats (see resolveOutputLocale)
+ * @returns {Promise<{steps: Array<{step: number, dayOffset: number, angle: string, subject: string, body: string, referencesSteps: number[]}>, sequenceCsv: string, promptVersion: string}>}
+ */
+async function generateSequenceWithGemini(leadPersona, painPoints, productService, goal, touches, companyProfile, outputLocale) {
+    const { prompt, promptVersion } = renderPrompt('generate-sequence', { leadPersona, painPoints, productService, goal, touches, followUps: touches - 1 });
 
-        // Generate email using Gemini API
-        const generatedEmail = await generateEmailWithGemini(userPrompt.trim());
+    const generationConfig = {
+        temperature: 0.7,
+        topK: 40,
+        topP: 0.95,
+        maxOutputTokens: 2048,
+    };
+    const result = await generateStructuredWithLLM('generate-sequence', withOutputLocale(withCompanyProfile(prompt, companyProfile), outputLocale), buildSequenceSchema(touches), generationConfig, 60000, findSequenceOrderProblems);
 
-        // Return successful response
-        res.json({
-            generatedEmail,
-            timestamp: new Date().toISOString(),
-            success: true
-        });
+    const steps = result.steps
+        .slice()
+        .sort((a, b) => a.step - b.step)
+        .map(s => ({
+            step: s.step,
+            dayOffset: s.dayOffset,
+            angle: s.angle,
+            subject: s.subject,
+            body: s.body,
+            referencesSteps: Array.isArray(s.referencesSteps) ? s.referencesSteps.filter(n => n < s.step) : []
+        }));
 
-    } catch (error) {
-        console.error('Error in /generate-mail endpoint:', error);
-        
-        // Handle different types of errors
-        if (error.message.includes('API key')) {
-            return res.status(500).json({
-                error: 'API configuration error. Please check server settings.'
-            });
+    // Export in a generic step/day/subject/body layout that sequencing tools accept on paste or import
+    const sequenceCsv = [
+        ['Step', 'Day', 'Angle', 'Subject', 'Body'].join(','),
+        ...steps.map(s => [s.step, s.dayOffset, s.angle, s.subject, s.body].map(toCsvValue).join(','))
+    ].join('\n');
+
+    return { steps, sequenceCsv, promptVersion };
+}
+
+// Bulk email personalization jobs (in-memory; jobs expire after BATCH_JOB_TTL_MS)
+const BATCH_MAX_ROWS = parseInt(process.env.BATCH_MAX_ROWS, 10) || 500;
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY, 10) || 3;
+const BATCH_JOB_TTL_MS = 24 * 60 * 60 * 1000;
+const batchJobs = new Map();
+
+app.post('/generate-mail-batch', async (req, res) => {
+    try {
+        const { leadsCsv, brief, concurrency, companyProfileId, language, locale, formality } = req.body;
+        if (!leadsCsv || typeof leadsCsv !== 'string' || leadsCsv.trim().length === 0) {
+            return res.status(400).json({ error: 'Please provide the leads as CSV.' });
         }
-        
-        if (error.message.includes('rate limit') || error.message.includes('quota')) {
-            return res.status(429).json({
-                error: 'Service temporarily unavailable due to high demand. Please try again later.'
-            });
+        if (!brief || typeof brief !== 'string' || brief.trim().length === 0) {
+            return res.status(400).json({ error: 'Please provide a base email brief.' });
         }
-
-        if (error.message.includes('network') || error.message.includes('timeout')) {
-            return res.status(503).json({
-                error: 'Service temporarily unavailable. Please try again in a moment.'
-            });
+        if (brief.length > 2000) {
+            return res.status(400).json({ error: 'Email brief is too long. Please keep it under 2000 characters.' });
+        }
+        const rows = parseCsv(leadsCsv.trim());
+        if (rows.length < 2) {
+            return res.status(400).json({ error: 'The CSV must contain a header row and at least one lead.' });
         }
+        const [headers, ...leadRows] = rows;
+        if (leadRows.length > BATCH_MAX_ROWS) {
+            return res.status(400).json({ error: `Too many leads. Please keep batches under ${BATCH_MAX_ROWS} rows.` });
+        }
+        const limit = Math.min(Math.max(parseInt(concurrency, 10) || BATCH_CONCURRENCY, 1), 10);
+        const { companyProfile, error: profileError } = resolveCompanyProfile(companyProfileId);
+        if (profileError) {
+            return res.status(404).json({ error: profileError });
+        }
+        const { outputLocale, error: localeError } = resolveOutputLocale(language, locale, formality);
+        if (localeError) {
+            return res.status(400).json({ error: localeError });
+        }
+
+        const job = {
+            jobId: crypto.randomUUID(),
+            status: 'running',
+            brief: brief.trim(),
+            companyProfile,
+            outputLocale,
+            headers: headers.map(h => h.trim()),
+            rows: leadRows.map(values => ({ values, subject: '', body: '', promptVersion: '', generationId: '', compliance: '', status: 'pending', error: '' })),
+            completed: 0,
+            failed: 0,
+            createdAt: new Date().toISOString(),
+            finishedAt: null
+        };
+        batchJobs.set(job.jobId, job);
+        setTimeout(() => batchJobs.delete(job.jobId), BATCH_JOB_TTL_MS).unref();
 
-        // Generic error response
-        res.status(500).json({
-            error: 'Failed to generate email. Please try again.',
-            timestamp: new Date().toISOString()
+        runBatchJob(job, limit).catch(error => {
+            console.error(`Batch job ${job.jobId} failed:`, error);
+            job.status = 'failed';
+            job.finishedAt = new Date().toISOString();
         });
+
+        res.status(202).json(describeBatchJob(job));
+    } catch (error) {
+        sendRouteError(res, '/generate-mail-batch', error, 'Failed to start batch job.');
+    }
+});
+
+app.get('/generate-mail-batch/:jobId', (req, res) => {
+    const job = batchJobs.get(req.params.jobId);
+    if (!job) {
+        return res.status(404).json({ error: 'Batch job not found.' });
+    }
+    res.json(describeBatchJob(job));
+});
+
+app.get('/generate-mail-batch/:jobId/download', (req, res) => {
+    const job = batchJobs.get(req.params.jobId);
+    if (!job) {
+        return res.status(404).json({ error: 'Batch job not found.' });
+    }
+    if (job.status === 'running') {
+        return res.status(409).json({ error: 'Batch job is still running.', ...describeBatchJob(job) });
     }
+    const lines = [
+        [...job.headers, 'Generated Subject', 'Generated Body', 'Prompt Version', 'Generation ID', 'Compliance', 'Generation Status', 'Generation Error'].map(toCsvValue).join(','),
+        ...job.rows.map(row => [...row.values, row.subject, row.body, row.promptVersion, row.generationId, row.compliance, row.status, row.error].map(toCsvValue).join(','))
+    ];
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="emails-${job.jobId}.csv"`);
+    res.send(lines.join('\n'));
 });
 
 /**
- * Generate email using Gemini API
- * @param {string} userPrompt - The user's email brief/topic
- * @returns {Promise<string>} - Generated email content
+ * Public view of a batch job's progress
+ * @param {object} job
+ * @returns {{jobId: string, status: string, total: number, completed: number, failed: number, progress: number, createdAt: string, finishedAt: string|null, statusUrl: string, downloadUrl: string}}
  */
-async function generateEmailWithGemini(userPrompt) {
-    try {
-        // Construct the prompt for email generation
-        const emailPrompt = `You are a professional email writing assistant. Based on the following brief/topic, write a clear, professional, and well-structured email.
-
-Email Brief: ${userPrompt}
+function describeBatchJob(job) {
+    const total = job.rows.length;
+    return {
+        jobId: job.jobId,
+        status: job.status,
+        total,
+        completed: job.completed,
+        failed: job.failed,
+        progress: total === 0 ? 1 : Number(((job.completed + job.failed) / total).toFixed(3)),
+        createdAt: job.createdAt,
+        finishedAt: job.finishedAt,
+        statusUrl: `/generate-mail-batch/${job.jobId}`,
+        downloadUrl: `/generate-mail-batch/${job.jobId}/download`
+    };
+}
 
-Requirements:
-1. Write a complete email with appropriate subject line
-2. Use professional yet friendly tone
-3. Keep it concise but comprehensive
-4. Include proper email structure (greeting, body, closing)
-5. Make sure the content is relevant to the brief provided
-6. Do not include placeholder text like [Your Name] or [Company Name] - use generic professional signatures
+/**
+ * Run async work over items with at most `limit` in flight
+ * @param {Array} items
+ * @param {number} limit
+ * @param {function(*, number): Promise<void>} worker
+ * @returns {Promise<void>}
+ */
+async function runWithConcurrency(items, limit, worker) {
+    let next = 0;
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            await worker(items[index], index);
+        }
+    });
+    await Promise.all(runners);
+}
 
-Format the response as a complete email that can be sent directly.`;
+/**
+ * Generate a personalized email for every row of a batch job
+ * @param {object} job
+ * @param {number} limit - Max concurrent LLM requests
+ * @returns {Promise<void>}
+ */
+async function runBatchJob(job, limit) {
+    await runWithConcurrency(job.rows, limit, async (row) => {
+        const leadDetails = job.headers
+            .map((header, i) => [header, (row.values[i] || '').trim()])
+            .filter(([header, value]) => header && value)
+            .map(([header, value]) => `- ${header}: ${value}`)
+            .join('\n');
+        const userPrompt = `${job.brief}
 
-        const requestBody = {
-            contents: [{
-                parts: [{
-                    text: emailPrompt
-                }]
-            }],
-            generationConfig: {
-                temperature: 0.7,
-                topK: 40,
-                topP: 0.95,
-                maxOutputTokens: 1024,
+Personalize the email for this lead, using their details naturally:
+${leadDetails}`;
+        const leadLocation = job.headers
+            .map((header, i) => (LEAD_LOCATION_HEADER_PATTERN.test(header) ? (row.values[i] || '').trim() : ''))
+            .filter(Boolean)
+            .join(', ');
+        try {
+            const result = await generateStructuredEmailWithGemini(userPrompt, false, 1, job.companyProfile, [], job.outputLocale);
+            row.compliance = describeComplianceCheck(enforceCompliance('/generate-mail-batch', 'email', [emailComplianceItem(result.email)], leadLocation || null, job.companyProfile));
+            row.subject = result.email.subjectLines[0];
+            row.body = `${result.email.body.trim()}\n\n${result.email.signature.trim()}`;
+            row.promptVersion = result.promptVersion;
+            row.generationId = feedbackStore.recordGeneration('/generate-mail-batch', result.promptVersion);
+            row.status = 'ok';
+            job.completed++;
+        } catch (error) {
+            if (error instanceof ComplianceBlockedError) {
+                row.compliance = describeComplianceCheck(error.compliance);
+                row.status = 'blocked';
+                row.error = error.message;
+                job.failed++;
+                return;
             }
-        };
-
-        console.log('Making request to Gemini API...');
-        
-        const response = await axios.post(
-            `${GEMINI_API_URL}?key=${GEMINI_API_KEY}`,
-            requestBody,
-            {
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                timeout: 30000 // 30 second timeout
+            // Once the key's token quota runs out every remaining row fails here without calling the LLM
+            if (error.code !== 'API_QUOTA_EXCEEDED') {
+                console.error(`Batch job ${job.jobId} row failed:`, error.message);
             }
+            row.status = 'error';
+            row.error = error.message;
+            job.failed++;
+        }
+    });
+    job.status = 'completed';
+    job.finishedAt = new Date().toISOString();
+}
+
+// Workspace: saved generations with their inputs and tags (SQLite file, or ':memory:')
+const WORKSPACE_DB_PATH = process.env.WORKSPACE_DB_PATH || path.join(__dirname, 'data', 'workspace.sqlite');
+const WORKSPACE_MAX_ASSET_BYTES = 1024 * 1024;
+const WORKSPACE_ASSET_TYPES = [
+    'generate-mail', 'generate-sequence', 'analyze-value-prop', 'generate-call-opener', 'identify-pain-points',
+    'generate-icp-persona', 'generate-objection-handling', 'generate-sales-script', 'generate-sales-playbook',
+    'select-outreach-channels', 'generate-linkedin-messages', 'find-meeting-slots', 'format-lead-list'
+];
+
+const workspaceDb = openWorkspaceDatabase(WORKSPACE_DB_PATH);
+const workspaceStore = createWorkspaceStore(workspaceDb);
+const companyProfileStore = createCompanyProfileStore(workspaceDb);
+
+/**
+ * Open (creating if needed) the workspace SQLite database
+ * @param {string} dbPath
+ * @returns {Database}
+ */
+function openWorkspaceDatabase(dbPath) {
+    if (dbPath !== ':memory:') {
+        fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    }
+    const db = new Database(dbPath);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+    return db;
+}
+
+/**
+ * Saved-asset operations on the workspace database
+ * @param {Database} db
+ * @returns {{create: function, list: function, get: function, update: function, remove: function}}
+ */
+function createWorkspaceStore(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS assets (
+            id TEXT PRIMARY KEY,
+            type TEXT NOT NULL,
+            title TEXT NOT NULL,
+            inputs TEXT NOT NULL,
+            output TEXT NOT NULL,
+            created_at TEXT NOT NULL,
+            updated_at TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS assets_type_created ON assets (type, created_at);
+        CREATE TABLE IF NOT EXISTS asset_tags (
+            asset_id TEXT NOT NULL REFERENCES assets (id) ON DELETE CASCADE,
+            tag TEXT NOT NULL,
+            PRIMARY KEY (asset_id, tag)
         );
+        CREATE INDEX IF NOT EXISTS asset_tags_tag ON asset_tags (tag);
+    `);
 
-        // Extract the generated text from Gemini response
-        if (!response.data || !response.data.candidates || response.data.candidates.length === 0) {
-            throw new Error('Invalid response from Gemini API');
+    const insertAsset = db.prepare('INSERT INTO assets (id, type, title, inputs, output, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?)');
+    const insertTag = db.prepare('INSERT OR IGNORE INTO asset_tags (asset_id, tag) VALUES (?, ?)');
+    const deleteTags = db.prepare('DELETE FROM asset_tags WHERE asset_id = ?');
+    const updateAsset = db.prepare('UPDATE assets SET title = ?, output = ?, updated_at = ? WHERE id = ?');
+    const selectAsset = db.prepare('SELECT * FROM assets WHERE id = ?');
+    const selectTags = db.prepare('SELECT tag FROM asset_tags WHERE asset_id = ? ORDER BY tag');
+    const deleteAsset = db.prepare('DELETE FROM assets WHERE id = ?');
+
+    const toAsset = (row, full) => ({
+        id: row.id,
+        type: row.type,
+        title: row.title,
+        tags: selectTags.all(row.id).map(t => t.tag),
+        ...(full ? { inputs: JSON.parse(row.inputs), output: JSON.parse(row.output) } : {}),
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    });
+
+    const get = id => {
+        const row = selectAsset.get(id);
+        return row ? toAsset(row, true) : null;
+    };
+
+    const create = db.transaction(({ type, title, inputs, output, tags }) => {
+        const id = crypto.randomUUID();
+        const now = new Date().toISOString();
+        insertAsset.run(id, type, title, JSON.stringify(inputs), JSON.stringify(output), now, now);
+        tags.forEach(tag => insertTag.run(id, tag));
+        return get(id);
+    });
+
+    const update = db.transaction((id, changes) => {
+        const row = selectAsset.get(id);
+        if (!row) return null;
+        updateAsset.run(
+            changes.title !== undefined ? changes.title : row.title,
+            changes.output !== undefined ? JSON.stringify(changes.output) : row.output,
+            new Date().toISOString(),
+            id
+        );
+        if (changes.tags !== undefined) {
+            deleteTags.run(id);
+            changes.tags.forEach(tag => insertTag.run(id, tag));
         }
+        return get(id);
+    });
 
-        const candidate = response.data.candidates[0];
-        
-        if (!candidate.content || !candidate.content.parts || candidate.content.parts.length === 0) {
-            throw new Error('No content generated by Gemini API');
+    const list = ({ type, tags = [], query, limit, offset }) => {
+        const where = [];
+        const params = [];
+        if (type) {
+            where.push('type = ?');
+            params.push(type);
+        }
+        if (query) {
+            const pattern = `%${query.replace(/[\\%_]/g, ch => `\\${ch}`)}%`;
+            where.push("(title LIKE ? ESCAPE '\\' OR inputs LIKE ? ESCAPE '\\' OR output LIKE ? ESCAPE '\\')");
+            params.push(pattern, pattern, pattern);
+        }
+        if (tags.length > 0) {
+            // Assets carrying every requested tag
+            where.push(`id IN (SELECT asset_id FROM asset_tags WHERE tag IN (${tags.map(() => '?').join(', ')}) GROUP BY asset_id HAVING COUNT(*) = ?)`);
+            params.push(...tags, tags.length);
+        }
+        const clause = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+        const total = db.prepare(`SELECT COUNT(*) AS total FROM assets ${clause}`).get(...params).total;
+        const rows = db.prepare(`SELECT * FROM assets ${clause} ORDER BY created_at DESC LIMIT ? OFFSET ?`).all(...params, limit, offset);
+        return { assets: rows.map(row => toAsset(row, false)), total };
+    };
+
+    const remove = id => deleteAsset.run(id).changes > 0;
+
+    return { create, list, get, update, remove };
+}
+
+/**
+ * Company profile (knowledge base) operations on the workspace database
+ * @param {Database} db
+ * @returns {{create: function, list: function, get: function, replace: function, remove: function}}
+ */
+function createCompanyProfileStore(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS company_profiles (
+            id TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            profile TEXT NOT NULL,
+            created_at TEXT NOT NULL,
+            updated_at TEXT NOT NULL
+        );
+    `);
+    const insertProfile = db.prepare('INSERT INTO company_profiles (id, name, profile, created_at, updated_at) VALUES (?, ?, ?, ?, ?)');
+    const updateProfile = db.prepare('UPDATE company_profiles SET name = ?, profile = ?, updated_at = ? WHERE id = ?');
+    const selectProfile = db.prepare('SELECT * FROM company_profiles WHERE id = ?');
+    const selectProfiles = db.prepare('SELECT * FROM company_profiles ORDER BY name COLLATE NOCASE');
+    const deleteProfile = db.prepare('DELETE FROM company_profiles WHERE id = ?');
+
+    const toProfile = row => ({ id: row.id, ...JSON.parse(row.profile), createdAt: row.created_at, updatedAt: row.updated_at });
+
+    const get = id => {
+        const row = selectProfile.get(id);
+        return row ? toProfile(row) : null;
+    };
+
+    return {
+        get,
+        list: () => selectProfiles.all().map(toProfile),
+        create: profile => {
+            const id = crypto.randomUUID();
+            const now = new Date().toISOString();
+            insertProfile.run(id, profile.name, JSON.stringify(profile), now, now);
+            return get(id);
+        },
+        replace: (id, profile) => (updateProfile.run(profile.name, JSON.stringify(profile), new Date().toISOString(), id).changes > 0 ? get(id) : null),
+        remove: id => deleteProfile.run(id).changes > 0
+    };
+}
+
+/**
+ * Normalize tags from an array or comma-separated string
+ * @param {string[]|string} value
+ * @returns {string[]|null} - Lower-cased unique tags, or null when invalid
+ */
+function normalizeTags(value) {
+    const raw = typeof value === 'string' ? value.split(',') : value;
+    if (!Array.isArray(raw) || raw.some(tag => typeof tag !== 'string')) return null;
+    const tags = [...new Set(raw.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+    if (tags.length > 20 || tags.some(tag => tag.length > 40)) return null;
+    return tags;
+}
+
+/**
+ * Default title for a saved asset: the first text input, shortened
+ * @param {string} type
+ * @param {object} inputs
+ * @returns {string}
+ */
+function defaultAssetTitle(type, inputs) {
+    const text = Object.values(inputs).find(v => typeof v === 'string' && v.trim().length > 0);
+    if (!text) return type;
+    const singleLine = text.trim().replace(/\s+/g, ' ');
+    return singleLine.length > 80 ? `${singleLine.slice(0, 77)}...` : singleLine;
+}
+
+app.post('/assets', (req, res) => {
+    try {
+        const { type, title, inputs = {}, output, tags = [] } = req.body;
+        if (!WORKSPACE_ASSET_TYPES.includes(type)) {
+            return res.status(400).json({ error: `Asset type must be one of: ${WORKSPACE_ASSET_TYPES.join(', ')}.` });
+        }
+        if (!inputs || typeof inputs !== 'object' || Array.isArray(inputs)) {
+            return res.status(400).json({ error: 'Inputs must be an object of the fields that produced the output.' });
+        }
+        if (output === undefined || output === null) {
+            return res.status(400).json({ error: 'Please provide the generated output to save.' });
+        }
+        if (title !== undefined && (typeof title !== 'string' || title.trim().length === 0 || title.length > 200)) {
+            return res.status(400).json({ error: 'Title must be a non-empty string under 200 characters.' });
+        }
+        const normalizedTags = normalizeTags(tags);
+        if (!normalizedTags) {
+            return res.status(400).json({ error: 'Tags must be up to 20 strings of at most 40 characters.' });
         }
+        if (Buffer.byteLength(JSON.stringify({ inputs, output })) > WORKSPACE_MAX_ASSET_BYTES) {
+            return res.status(400).json({ error: 'Asset is too large to save.' });
+        }
+        const asset = workspaceStore.create({
+            type,
+            title: title ? title.trim() : defaultAssetTitle(type, inputs),
+            inputs,
+            output,
+            tags: normalizedTags
+        });
+        res.status(201).json(asset);
+    } catch (error) {
+        sendRouteError(res, 'POST /assets', error, 'Failed to save asset.');
+    }
+});
+
+app.get('/assets', (req, res) => {
+    try {
+        const { type, tag, q } = req.query;
+        if (type !== undefined && !WORKSPACE_ASSET_TYPES.includes(type)) {
+            return res.status(400).json({ error: `Asset type must be one of: ${WORKSPACE_ASSET_TYPES.join(', ')}.` });
+        }
+        const tags = tag !== undefined ? normalizeTags(Array.isArray(tag) ? tag.join(',') : String(tag)) : [];
+        if (!tags) {
+            return res.status(400).json({ error: 'Invalid tag filter.' });
+        }
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+        const query = typeof q === 'string' && q.trim().length > 0 ? q.trim() : undefined;
+        const { assets, total } = workspaceStore.list({ type, tags, query, limit, offset });
+        res.json({ assets, total, limit, offset });
+    } catch (error) {
+        sendRouteError(res, 'GET /assets', error, 'Failed to list assets.');
+    }
+});
 
-        const generatedText = candidate.content.parts[0].text;
-        
-        if (!generatedText || generatedText.trim().length === 0) {
-            throw new Error('Empty response from Gemini API');
+app.get('/assets/:id', (req, res) => {
+    const asset = workspaceStore.get(req.params.id);
+    if (!asset) {
+        return res.status(404).json({ error: 'Asset not found.' });
+    }
+    res.json(asset);
+});
+
+app.patch('/assets/:id', (req, res) => {
+    try {
+        const { title, tags, output } = req.body || {};
+        if (title !== undefined && (typeof title !== 'string' || title.trim().length === 0 || title.length > 200)) {
+            return res.status(400).json({ error: 'Title must be a non-empty string under 200 characters.' });
         }
+        const normalizedTags = tags !== undefined ? normalizeTags(tags) : undefined;
+        if (normalizedTags === null) {
+            return res.status(400).json({ error: 'Tags must be up to 20 strings of at most 40 characters.' });
+        }
+        if (output === null || (output !== undefined && Buffer.byteLength(JSON.stringify(output)) > WORKSPACE_MAX_ASSET_BYTES)) {
+            return res.status(400).json({ error: 'Output must be present and small enough to save.' });
+        }
+        const asset = workspaceStore.update(req.params.id, {
+            title: title !== undefined ? title.trim() : undefined,
+            tags: normalizedTags,
+            output
+        });
+        if (!asset) {
+            return res.status(404).json({ error: 'Asset not found.' });
+        }
+        res.json(asset);
+    } catch (error) {
+        sendRouteError(res, 'PATCH /assets', error, 'Failed to update asset.');
+    }
+});
+
+app.delete('/assets/:id', (req, res) => {
+    if (!workspaceStore.remove(req.params.id)) {
+        return res.status(404).json({ error: 'Asset not found.' });
+    }
+    res.status(204).end();
+});
+
+// Company knowledge base: positioning stored once and referenced by companyProfileId in generator requests
+const companyProfileSchema = {
+    type: 'object',
+    required: ['name', 'products'],
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        products: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 20,
+            items: {
+                type: 'object',
+                required: ['name', 'description'],
+                properties: {
+                    name: { type: 'string', minLength: 1 },
+                    description: { type: 'string', minLength: 1 }
+                }
+            }
+        },
+        differentiators: { type: 'array', maxItems: 20, items: { type: 'string', minLength: 1 } },
+        caseStudies: {
+            type: 'array',
+            maxItems: 20,
+            items: {
+                type: 'object',
+                required: ['customer', 'summary'],
+                properties: {
+                    customer: { type: 'string', minLength: 1 },
+                    summary: { type: 'string', minLength: 1 },
+                    result: { type: 'string' }
+                }
+            }
+        },
+        proofPoints: { type: 'array', maxItems: 30, items: { type: 'string', minLength: 1 } },
+        bannedClaims: { type: 'array', maxItems: 30, items: { type: 'string', minLength: 1 } }
+    }
+};
+
+/**
+ * Keep only the known company profile fields, trimmed
+ * @param {object} body
+ * @returns {object}
+ */
+function pickCompanyProfile(body) {
+    const trimList = list => (Array.isArray(list) ? list.map(v => (typeof v === 'string' ? v.trim() : v)).filter(Boolean) : []);
+    return {
+        name: typeof body.name === 'string' ? body.name.trim() : body.name,
+        products: Array.isArray(body.products)
+            ? body.products.map(p => (p && typeof p === 'object' ? { name: String(p.name || '').trim(), description: String(p.description || '').trim() } : p))
+            : body.products,
+        differentiators: trimList(body.differentiators),
+        caseStudies: Array.isArray(body.caseStudies)
+            ? body.caseStudies.map(c => (c && typeof c === 'object'
+                ? { customer: String(c.customer || '').trim(), summary: String(c.summary || '').trim(), result: String(c.result || '').trim() }
+                : c))
+            : [],
+        proofPoints: trimList(body.proofPoints),
+        bannedClaims: trimList(body.bannedClaims)
+    };
+}
+
+/**
+ * Look up the company profile named in a generator request
+ * @param {*} companyProfileId - Value of req.body.companyProfileId
+ * @returns {{companyProfile: object|null, error?: string}} - error is set when an ID was given but not found
+ */
+function resolveCompanyProfile(companyProfileId) {
+    if (companyProfileId === undefined || companyProfileId === null || companyProfileId === '') {
+        return { companyProfile: null };
+    }
+    const companyProfile = typeof companyProfileId === 'string' ? companyProfileStore.get(companyProfileId) : null;
+    return companyProfile ? { companyProfile } : { companyProfile: null, error: 'Company profile not found.' };
+}
+
+/**
+ * One-line product summary used when a request leaves its product field empty
+ * @param {object|null} companyProfile
+ * @returns {string}
+ */
+function summarizeCompanyProducts(companyProfile) {
+    if (!companyProfile) return '';
+    return `${companyProfile.name}: ${companyProfile.products.map(p => `${p.name} (${p.description})`).join('; ')}`;
+}
 
-        console.log('Email generated successfully');
-        return generatedText.trim();
+/**
+ * Prefix a generation prompt with the company knowledge base, when one was referenced
+ * @param {string} prompt
+ * @param {object|null} companyProfile
+ * @returns {string}
+ */
+function withCompanyProfile(prompt, companyProfile) {
+    if (!companyProfile) return prompt;
+    const section = (title, items) => (items.length > 0 ? `\n${title}:\n${items.map(i => `- ${i}`).join('\n')}\n` : '');
+    return `COMPANY KNOWLEDGE BASE for ${companyProfile.name}. Treat it as the source of truth about what we sell; never contradict it.
+${section('Products', companyProfile.products.map(p => `${p.name}: ${p.description}`))}${section('Differentiators', companyProfile.differentiators)}${section('Case studies', companyProfile.caseStudies.map(c => `${c.customer}: ${c.summary}${c.result ? ` Result: ${c.result}` : ''}`))}${section('Approved proof points (the only numbers and customer claims you may cite)', companyProfile.proofPoints)}${section('Banned claims (never state or imply these)', companyProfile.bannedClaims)}
+---
 
-    } catch (error) {
-        console.error('Gemini API Error:', error.response?.data || error.message);
-        
-        if (error.response) {
-            // API returned an error response
-            const status = error.response.status;
-            const errorMessage = error.response.data?.error?.message || 'Unknown API error';
-            
-            if (status === 400) {
-                throw new Error(`Invalid request to AI service: ${errorMessage}`);
-            } else if (status === 401 || status === 403) {
-                throw new Error('API key authentication failed');
-            } else if (status === 429) {
-                throw new Error('Rate limit exceeded for AI service');
-            } else {
-                throw new Error(`AI service error (${status}): ${errorMessage}`);
-            }
-        } else if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
-            throw new Error('Network error: Unable to connect to AI service');
-        } else if (error.code === 'ETIMEDOUT') {
-            throw new Error('Request timeout: AI service took too long to respond');
-        } else {
-            throw new Error(`Unexpected error: ${error.message}`);
-        }
-    }
+${prompt}`;
 }
 
-// Value Proposition Clarity Checker endpoint
-app.post('/analyze-value-prop', async (req, res) => {
+app.post('/company-profiles', (req, res) => {
     try {
-        const { valueProp, icp } = req.body;
-        if (!valueProp || typeof valueProp !== 'string' || valueProp.trim().length === 0) {
-            return res.status(400).json({ error: 'Please provide a value proposition.' });
+        const profile = pickCompanyProfile(req.body || {});
+        const errors = validateAgainstSchema(profile, companyProfileSchema);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid company profile.', details: errors });
         }
-        if (!icp || typeof icp !== 'string' || icp.trim().length === 0) {
-            return res.status(400).json({ error: 'Please provide an Ideal Customer Profile (ICP).' });
-        }
-        const analysis = await analyzeValuePropWithGemini(valueProp.trim(), icp.trim());
-        res.json(analysis);
+        res.status(201).json(companyProfileStore.create(profile));
     } catch (error) {
-        console.error('Error in /analyze-value-prop:', error);
-        res.status(500).json({ error: 'Failed to analyze value proposition.' });
+        sendRouteError(res, 'POST /company-profiles', error, 'Failed to save company profile.');
     }
 });
 
-/**
- * Analyze value proposition using Gemini LLM
- * @param {string} valueProp
- * @param {string} icp
- * @returns {Promise<{clarityScore:number, jargonPhrases:string[], rewrittenValueProp:string, taglines:string[]}>}
- */
-async function analyzeValuePropWithGemini(valueProp, icp) {
-    const prompt = `You are a startup messaging expert. Analyze the following value proposition for clarity, uniqueness, and relevance to the Ideal Customer Profile (ICP) provided. Return your response as a JSON object with these fields:\n\n1. clarityScore (0-100, integer)\n2. jargonPhrases (array of jargon/vague phrases, or empty array if none)\n3. rewrittenValueProp (improved, clearer version tailored to the ICP)\n4. taglines (2-3 concise, catchy one-liners for the ICP)\n\nValue Proposition: ${valueProp}\nICP: ${icp}\n\nRespond ONLY with a valid JSON object.`;
-    const requestBody = {
-        contents: [{ parts: [{ text: prompt }] }],
-        generationConfig: {
-            temperature: 0.6,
-            topK: 40,
-            topP: 0.95,
-            maxOutputTokens: 512,
-        }
-    };
-    const response = await axios.post(
-        `${GEMINI_API_URL}?key=${GEMINI_API_KEY}`,
-        requestBody,
-        { headers: { 'Content-Type': 'application/json' }, timeout: 30000 }
-    );
-    if (!response.data || !response.data.candidates || response.data.candidates.length === 0) {
-        throw new Error('Invalid response from Gemini API');
-    }
-    const candidate = response.data.candidates[0];
-    if (!candidate.content || !candidate.content.parts || candidate.content.parts.length === 0) {
-        throw new Error('No content generated by Gemini API');
-    }
-    // Parse the JSON from Gemini's response
-    let analysis;
-    try {
-        const text = candidate.content.parts[0].text;
-        const match = text.match(/{[\s\S]*}/);
-        if (!match) throw new Error('No JSON object found in Gemini response.');
-        analysis = JSON.parse(match[0]);
-    } catch (e) {
-        throw new Error('Failed to parse Gemini response as JSON.');
+app.get('/company-profiles', (req, res) => {
+    res.json({ profiles: companyProfileStore.list() });
+});
+
+app.get('/company-profiles/:id', (req, res) => {
+    const profile = companyProfileStore.get(req.params.id);
+    if (!profile) {
+        return res.status(404).json({ error: 'Company profile not found.' });
     }
-    // Validate fields
-    return {
-        clarityScore: typeof analysis.clarityScore === 'number' ? analysis.clarityScore : 0,
-        jargonPhrases: Array.isArray(analysis.jargonPhrases) ? analysis.jargonPhrases : [],
-        rewrittenValueProp: analysis.rewrittenValueProp || '',
-        taglines: Array.isArray(analysis.taglines) ? analysis.taglines : []
-    };
-}
+    res.json(profile);
+});
 
-// Sales Call Opener Generator endpoint
-app.post('/generate-call-opener', async (req, res) => {
+app.put('/company-profiles/:id', (req, res) => {
     try {
-        const { leadRole, companyIndustry, context, extraContext } = req.body;
-        if (!leadRole || typeof leadRole !== 'string' || leadRole.trim().length === 0) {
-            return res.status(400).json({ error: 'Please provide the lead’s role or title.' });
-        }
-        if (!companyIndustry || typeof companyIndustry !== 'string' || companyIndustry.trim().length === 0) {
-            return res.status(400).json({ error: 'Please provide the company or industry.' });
+        const profile = pickCompanyProfile(req.body || {});
+        const errors = validateAgainstSchema(profile, companyProfileSchema);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid company profile.', details: errors });
         }
-        if (!context || typeof context !== 'string' || !['cold','follow-up','referral'].includes(context)) {
-            return res.status(400).json({ error: 'Please provide a valid context.' });
+        const saved = companyProfileStore.replace(req.params.id, profile);
+        if (!saved) {
+            return res.status(404).json({ error: 'Company profile not found.' });
         }
-        const result = await generateCallOpenerWithGemini(leadRole.trim(), companyIndustry.trim(), context, (typeof extraContext === 'string' ? extraContext.trim() : ''));
-        res.json(result);
+        res.json(saved);
     } catch (error) {
-        console.error('Error in /generate-call-opener:', error);
-        res.status(500).json({ error: 'Failed to generate call openers.' });
+        sendRouteError(res, 'PUT /company-profiles', error, 'Failed to update company profile.');
     }
 });
 
-/**
- * Generate sales call openers using Gemini LLM
- * @param {string} leadRole
- * @param {string} companyIndustry
- * @param {string} context
- * @param {string} extraContext
- * @returns {Promise<{scripts:string[], patternInterrupt?:string}>}
- */
-async function generateCallOpenerWithGemini(leadRole, companyIndustry, context, extraContext) {
-    let prompt = `You are a world-class sales coach. Generate 2-3 engaging, non-generic opening scripts for a sales call, tailored to the following:
- - Lead’s role/title: ${leadRole}
- - Company or industry: ${companyIndustry}
- - Context: ${context} (cold, follow-up, or referral)`;
-    if (extraContext && extraContext.length > 0) {
-        prompt += `\n- Additional context: ${extraContext}`;
-    }
-    prompt += `\nAlso include an optional 'anti-cringe' or 'pattern interrupt' version if possible.\nRespond ONLY with a valid JSON object with these fields:\n1. scripts (array of 2-3 strings)\n2. patternInterrupt (string, optional)\n`;
-    const requestBody = {
-        contents: [{ parts: [{ text: prompt }] }],
-        generationConfig: {
-            temperature: 0.7,
-            topK: 40,
-            topP: 0.95,
-            maxOutputTokens: 512,
-        }
-    };
-    const response = await axios.post(
-        `${GEMINI_API_URL}?key=${GEMINI_API_KEY}`,
-        requestBody,
-        { headers: { 'Content-Type': 'application/json' }, timeout: 30000 }
-    );
-    if (!response.data || !response.data.candidates || response.data.candidates.length === 0) {
-        throw new Error('Invalid response from Gemini API');
-    }
-    const candidate = response.data.candidates[0];
-    if (!candidate.content || !candidate.content.parts || candidate.content.parts.length === 0) {
-        throw new Error('No content generated by Gemini API');
-    }
-    // Parse the JSON from Gemini's response
-    let result;
-    try {
-        const text = candidate.content.parts[0].text;
-        const match = text.match(/{[\s\S]*}/);
-        if (!match) throw new Error('No JSON object found in Gemini response.');
-        result = JSON.parse(match[0]);
-    } catch (e) {
-        throw new Error('Failed to parse Gemini response as JSON.');
+app.delete('/company-profiles/:id', (req, res) => {
+    if (!companyProfileStore.remove(req.params.id)) {
+        return res.status(404).json({ error: 'Company profile not found.' });
     }
+    res.status(204).end();
+});
+
+// Retrieval over uploaded case studies and call notes: chunks live in the workspace database, BM25 index in memory
+const KNOWLEDGE_MAX_FILE_BYTES = 1024 * 1024;
+const KNOWLEDGE_MAX_FILES = 50;
+const KNOWLEDGE_CHUNK_WORDS = 180;
+const KNOWLEDGE_TOP_K = parseInt(process.env.KNOWLEDGE_TOP_K, 10) || 3;
+const knowledgeUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: KNOWLEDGE_MAX_FILE_BYTES, files: KNOWLEDGE_MAX_FILES } });
+const KNOWLEDGE_STOPWORDS = new Set(('a an and are as at be been but by for from has have he her his i if in into is it its me my no not of on or our '
+    + 'she so that the their them they this to us was we were what when which who will with you your').split(' '));
+
+const knowledgeStore = createKnowledgeStore(workspaceDb);
+let knowledgeIndex = buildBm25Index(knowledgeStore.allChunks());
+
+/**
+ * Knowledge document and chunk operations on the workspace database
+ * @param {Database} db
+ * @returns {{add: function, list: function, remove: function, allChunks: function}}
+ */
+function createKnowledgeStore(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS knowledge_documents (
+            id TEXT PRIMARY KEY,
+            title TEXT NOT NULL,
+            filename TEXT NOT NULL,
+            created_at TEXT NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS knowledge_chunks (
+            document_id TEXT NOT NULL REFERENCES knowledge_documents (id) ON DELETE CASCADE,
+            chunk_index INTEGER NOT NULL,
+            heading TEXT NOT NULL,
+            text TEXT NOT NULL,
+            PRIMARY KEY (document_id, chunk_index)
+        );
+    `);
+    const insertDocument = db.prepare('INSERT INTO knowledge_documents (id, title, filename, created_at) VALUES (?, ?, ?, ?)');
+    const insertChunk = db.prepare('INSERT INTO knowledge_chunks (document_id, chunk_index, heading, text) VALUES (?, ?, ?, ?)');
+    const selectDocuments = db.prepare(`
+        SELECT d.*, COUNT(c.chunk_index) AS chunk_count FROM knowledge_documents d
+        LEFT JOIN knowledge_chunks c ON c.document_id = d.id GROUP BY d.id ORDER BY d.created_at DESC
+    `);
+    const selectChunks = db.prepare(`
+        SELECT c.document_id, c.chunk_index, c.heading, c.text, d.title FROM knowledge_chunks c
+        JOIN knowledge_documents d ON d.id = c.document_id ORDER BY c.document_id, c.chunk_index
+    `);
+    const deleteDocument = db.prepare('DELETE FROM knowledge_documents WHERE id = ?');
+
     return {
-        scripts: Array.isArray(result.scripts) ? result.scripts : [],
-        patternInterrupt: result.patternInterrupt || ''
+        add: db.transaction(({ title, filename, chunks }) => {
+            const id = crypto.randomUUID();
+            insertDocument.run(id, title, filename, new Date().toISOString());
+            chunks.forEach((chunk, i) => insertChunk.run(id, i, chunk.heading, chunk.text));
+            return { id, title, filename, chunks: chunks.length };
+        }),
+        list: () => selectDocuments.all().map(row => ({
+            id: row.id,
+            title: row.title,
+            filename: row.filename,
+            chunks: row.chunk_count,
+            createdAt: row.created_at
+        })),
+        remove: id => deleteDocument.run(id).changes > 0,
+        allChunks: () => selectChunks.all().map(row => ({
+            documentId: row.document_id,
+            chunkIndex: row.chunk_index,
+            title: row.title,
+            heading: row.heading,
+            text: row.text
+        }))
     };
 }
 
-// Pain Point Identifier endpoint
-app.post('/identify-pain-points', async (req, res) => {
-    try {
-        const { productType, targetAudience } = req.body;
-        if (!productType || typeof productType !== 'string' || productType.trim().length === 0) {
-            return res.status(400).json({ error: 'Please provide the product type.' });
+/**
+ * Split Markdown/plain text into ~KNOWLEDGE_CHUNK_WORDS-word chunks along paragraph boundaries,
+ * remembering the nearest heading so a snippet keeps its context
+ * @param {string} text
+ * @returns {Array<{heading: string, text: string}>}
+ */
+function chunkKnowledgeText(text) {
+    const chunks = [];
+    let heading = '';
+    let current = [];
+    let words = 0;
+    const flush = () => {
+        if (current.length > 0) chunks.push({ heading, text: current.join('\n\n') });
+        current = [];
+        words = 0;
+    };
+    const addParagraph = paragraph => {
+        const paragraphWords = paragraph.split(/\s+/);
+        // Very long paragraphs are split on word count so one chunk never dominates
+        for (let i = 0; i < paragraphWords.length; i += KNOWLEDGE_CHUNK_WORDS) {
+            const piece = paragraphWords.slice(i, i + KNOWLEDGE_CHUNK_WORDS);
+            if (words + piece.length > KNOWLEDGE_CHUNK_WORDS) flush();
+            current.push(piece.join(' '));
+            words += piece.length;
         }
-        if (!targetAudience || typeof targetAudience !== 'string' || targetAudience.trim().length === 0) {
-            return res.status(400).json({ error: 'Please provide the target audience.' });
+    };
+    let paragraph = [];
+    text.replace(/\r\n/g, '\n').split('\n').concat('').forEach(line => {
+        const headingMatch = line.match(/^#{1,6}\s+(.+)$/);
+        if (headingMatch || line.trim() === '') {
+            if (paragraph.length > 0) addParagraph(paragraph.join(' '));
+            paragraph = [];
         }
-        const result = await identifyPainPointsWithGemini(productType.trim(), targetAudience.trim());
-        res.json(result);
-    } catch (error) {
-        console.error('Error in /identify-pain-points:', error);
-        res.status(500).json({ error: 'Failed to identify pain points.' });
-    }
-});
+        if (headingMatch) {
+            // Each section starts its own chunk so snippets don't straddle headings
+            flush();
+            heading = headingMatch[1].trim();
+        } else if (line.trim()) {
+            paragraph.push(line.trim());
+        }
+    });
+    flush();
+    return chunks;
+}
 
 /**
- * Identify pain points using Gemini LLM
- * @param {string} productType
- * @param {string} targetAudience
- * @returns {Promise<{painPoints: Array<{title: string, type: string, narrative: string}>}>}
- */
-async function identifyPainPointsWithGemini(productType, targetAudience) {
-    const prompt = `You are a B2B sales strategist. Suggest the top 3-5 likely pain points for a product of this type: ${productType}, targeting this audience: ${targetAudience}.
-For each pain point, provide:
-- title (short phrase)
-- type ("emotional" or "rational")
-- narrative (a 1-2 sentence use-case story showing the pain in action)
-Respond ONLY with a valid JSON object with a 'painPoints' array, each item an object with title, type, and narrative.`;
-    const requestBody = {
-        contents: [{ parts: [{ text: prompt }] }],
-        generationConfig: {
-            temperature: 0.7,
-            topK: 40,
-            topP: 0.95,
-            maxOutputTokens: 512,
-        }
-    };
-    const response = await axios.post(
-        `${GEMINI_API_URL}?key=${GEMINI_API_KEY}`,
-        requestBody,
-        { headers: { 'Content-Type': 'application/json' }, timeout: 30000 }
-    );
-    if (!response.data || !response.data.candidates || response.data.candidates.length === 0) {
-        throw new Error('Invalid response from Gemini API');
-    }
-    const candidate = response.data.candidates[0];
-    if (!candidate.content || !candidate.content.parts || candidate.content.parts.length === 0) {
-        throw new Error('No content generated by Gemini API');
-    }
-    // Parse the JSON from Gemini's response
-    let result;
-    try {
-        const text = candidate.content.parts[0].text;
-        const match = text.match(/{[\s\S]*}/);
-        if (!match) throw new Error('No JSON object found in Gemini response.');
-        result = JSON.parse(match[0]);
-    } catch (e) {
-        throw new Error('Failed to parse Gemini response as JSON.');
-    }
-    return {
-        painPoints: Array.isArray(result.painPoints) ? result.painPoints : []
-    };
+ * Lower-case word tokens without stopwords, with plural "s" stripped
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenizeForSearch(text) {
+    return (text.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').match(/[a-z0-9]+/g) || [])
+        .filter(token => !KNOWLEDGE_STOPWORDS.has(token))
+        .map(token => (token.length > 3 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token));
 }
 
-// ICP Persona Generator endpoint
-app.post('/generate-icp-persona', async (req, res) => {
+/**
+ * Build an Okapi BM25 index over knowledge chunks
+ * @param {object[]} chunks
+ * @returns {{chunks: object[], termFrequencies: Array<Map<string, number>>, lengths: number[], documentFrequency: Map<string, number>, averageLength: number}}
+ */
+function buildBm25Index(chunks) {
+    const documentFrequency = new Map();
+    const termFrequencies = chunks.map(chunk => {
+        const frequencies = new Map();
+        tokenizeForSearch(`${chunk.title} ${chunk.heading} ${chunk.text}`).forEach(token => {
+            frequencies.set(token, (frequencies.get(token) || 0) + 1);
+        });
+        frequencies.forEach((count, token) => documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1));
+        return frequencies;
+    });
+    const lengths = termFrequencies.map(f => [...f.values()].reduce((sum, n) => sum + n, 0));
+    const averageLength = lengths.length ? lengths.reduce((sum, n) => sum + n, 0) / lengths.length : 0;
+    return { chunks, termFrequencies, lengths, documentFrequency, averageLength };
+}
+
+/**
+ * Rank knowledge chunks for a query with BM25 (k1 = 1.2, b = 0.75)
+ * @param {string} query
+ * @param {number} [limit=KNOWLEDGE_TOP_K]
+ * @returns {Array<{id: string, documentId: string, title: string, heading: string, chunkIndex: number, snippet: string, score: number}>}
+ */
+function searchKnowledge(query, limit = KNOWLEDGE_TOP_K) {
+    const index = knowledgeIndex;
+    const terms = [...new Set(tokenizeForSearch(query))];
+    if (index.chunks.length === 0 || terms.length === 0) return [];
+    const k1 = 1.2;
+    const b = 0.75;
+    const total = index.chunks.length;
+    return index.chunks
+        .map((chunk, i) => {
+            const score = terms.reduce((sum, term) => {
+                const frequency = index.termFrequencies[i].get(term);
+                if (!frequency) return sum;
+                const df = index.documentFrequency.get(term);
+                const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+                return sum + idf * (frequency * (k1 + 1)) / (frequency + k1 * (1 - b + b * index.lengths[i] / index.averageLength));
+            }, 0);
+            return { chunk, score };
+        })
+        .filter(hit => hit.score > 0)
+        .sort((x, y) => y.score - x.score)
+        .slice(0, limit)
+        .map((hit, i) => ({
+            id: `S${i + 1}`,
+            documentId: hit.chunk.documentId,
+            title: hit.chunk.title,
+            heading: hit.chunk.heading,
+            chunkIndex: hit.chunk.chunkIndex,
+            snippet: hit.chunk.text,
+            score: Number(hit.score.toFixed(3))
+        }));
+}
+
+/**
+ * Retrieve supporting snippets for a generator request, unless the caller opted out
+ * @param {string} query
+ * @param {*} useKnowledge - Value of req.body.useKnowledge; only false disables retrieval
+ * @returns {object[]}
+ */
+function retrieveSources(query, useKnowledge) {
+    return useKnowledge === false ? [] : searchKnowledge(query);
+}
+
+/**
+ * Append retrieved snippets to a generation prompt so the model grounds its proof in them
+ * @param {string} prompt
+ * @param {object[]} sources - From searchKnowledge
+ * @returns {string}
+ */
+function withRetrievedSources(prompt, sources) {
+    if (!sources || sources.length === 0) return prompt;
+    return `${prompt}
+
+RELEVANT EXCERPTS FROM OUR WON-DEAL NOTES AND CASE STUDIES. Ground any proof, customer example or number in these excerpts only; do not invent others. Do not mention the excerpt labels in your answer.
+${sources.map(source => `[${source.id}] ${source.title}${source.heading ? ` - ${source.heading}` : ''}:\n${source.snippet}`).join('\n\n')}`;
+}
+
+app.post('/knowledge-documents', acceptUploads(knowledgeUpload.array('files', KNOWLEDGE_MAX_FILES), KNOWLEDGE_MAX_FILE_BYTES), (req, res) => {
     try {
-        const { productDescription, existingCustomers, industry, companySize, jobTitles } = req.body;
-        if (!productDescription || typeof productDescription !== 'string' || productDescription.trim().length === 0) {
-            return res.status(400).json({ error: 'Please provide a product description.' });
-        }
-        if (!industry || typeof industry !== 'string' || industry.trim().length === 0) {
-            return res.status(400).json({ error: 'Please provide the industry.' });
-        }
-        if (!companySize || typeof companySize !== 'string' || companySize.trim().length === 0) {
-            return res.status(400).json({ error: 'Please provide the company size.' });
+        const files = req.files || [];
+        if (files.length === 0) {
+            return res.status(400).json({ error: 'Please upload at least one Markdown or text file in the "files" field.' });
         }
-        if (!jobTitles || typeof jobTitles !== 'string' || jobTitles.trim().length === 0) {
-            return res.status(400).json({ error: 'Please provide job titles.' });
+        const unsupported = files.filter(f => !['.md', '.markdown', '.txt'].includes(path.extname(f.originalname).toLowerCase()));
+        if (unsupported.length > 0) {
+            return res.status(400).json({ error: `Only .md and .txt files are supported: ${unsupported.map(f => f.originalname).join(', ')}` });
         }
-        const result = await generateIcpPersonaWithGemini(
-            productDescription.trim(),
-            (typeof existingCustomers === 'string' ? existingCustomers.trim() : ''),
-            industry.trim(),
-            companySize.trim(),
-            jobTitles.trim()
-        );
-        res.json(result);
+        const documents = [];
+        const skipped = [];
+        files.forEach(file => {
+            const text = file.buffer.toString('utf8').replace(/^\uFEFF/, '');
+            const chunks = chunkKnowledgeText(text);
+            if (chunks.length === 0) {
+                skipped.push({ filename: file.originalname, reason: 'empty' });
+                return;
+            }
+            // Title: first Markdown heading, else the file name without extension
+            const headingMatch = text.match(/^#\s+(.+)$/m);
+            const title = headingMatch ? headingMatch[1].trim() : path.basename(file.originalname, path.extname(file.originalname));
+            documents.push(knowledgeStore.add({ title, filename: file.originalname, chunks }));
+        });
+        knowledgeIndex = buildBm25Index(knowledgeStore.allChunks());
+        res.status(201).json({ documents, skipped });
     } catch (error) {
-        console.error('Error in /generate-icp-persona:', error);
-        res.status(500).json({ error: 'Failed to generate ICP persona.' });
+        sendRouteError(res, 'POST /knowledge-documents', error, 'Failed to index documents.');
     }
 });
 
-/**
- * Generate ICP persona using Gemini LLM
- * @param {string} productDescription
- * @param {string} existingCustomers
- * @param {string} industry
- * @param {string} companySize
- * @param {string} jobTitles
- * @returns {Promise<{persona: {nameBackground: string, painPoints: string[], goals: string[], objections: string[], communicationPreferences: string, toneStyle: string}}>} 
- */
-async function generateIcpPersonaWithGemini(productDescription, existingCustomers, industry, companySize, jobTitles) {
-    let prompt = `You are a B2B marketing strategist. Generate a detailed fictional Ideal Customer Persona (ICP) for a business with the following:
-- Product: ${productDescription}
-- Industry: ${industry}
-- Company size: ${companySize}
-- Job titles: ${jobTitles}`;
-    if (existingCustomers && existingCustomers.length > 0) {
-        prompt += `\n- Existing customers: ${existingCustomers}`;
-    }
-    prompt += `\nRespond ONLY with a valid JSON object with a 'persona' field containing:
-- nameBackground (name and short background story)
-- painPoints (array)
-- goals (array)
-- objections (array)
-- communicationPreferences (string)
-- toneStyle (string)`;
-    const requestBody = {
-        contents: [{ parts: [{ text: prompt }] }],
-        generationConfig: {
-            temperature: 0.7,
-            topK: 40,
-            topP: 0.95,
-            maxOutputTokens: 768,
-        }
-    };
-    const response = await axios.post(
-        `${GEMINI_API_URL}?key=${GEMINI_API_KEY}`,
-        requestBody,
-        { headers: { 'Content-Type': 'application/json' }, timeout: 30000 }
-    );
-    if (!response.data || !response.data.candidates || response.data.candidates.length === 0) {
-        throw new Error('Invalid response from Gemini API');
+app.get('/knowledge-documents', (req, res) => {
+    res.json({ documents: knowledgeStore.list() });
+});
+
+app.delete('/knowledge-documents/:id', (req, res) => {
+    if (!knowledgeStore.remove(req.params.id)) {
+        return res.status(404).json({ error: 'Document not found.' });
     }
-    const candidate = response.data.candidates[0];
-    if (!candidate.content || !candidate.content.parts || candidate.content.parts.length === 0) {
-        throw new Error('No content generated by Gemini API');
+    knowledgeIndex = buildBm25Index(knowledgeStore.allChunks());
+    res.status(204).end();
+});
+
+app.get('/knowledge-search', (req, res) => {
+    const { q } = req.query;
+    if (typeof q !== 'string' || q.trim().length === 0) {
+        return res.status(400).json({ error: 'Please provide a search query in "q".' });
     }
-    // Parse the JSON from Gemini's response
-    let result;
-    try {
-        const text = candidate.content.parts[0].text;
-        const match = text.match(/{[\s\S]*}/);
-        if (!match) throw new Error('No JSON object found in Gemini response.');
-        result = JSON.parse(match[0]);
-    } catch (e) {
-        throw new Error('Failed to parse Gemini response as JSON.');
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || KNOWLEDGE_TOP_K, 1), 20);
+    res.json({ query: q.trim(), sources: searchKnowledge(q.trim(), limit) });
+});
+
+// API keys: issued through the ADMIN_TOKEN-protected /api-keys routes and stored only as SHA-256 hashes.
+// Every write request (POST/PUT/PATCH/DELETE) must carry one, and is metered against the key's limits.
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+const API_AUTH_DISABLED = process.env.API_AUTH_DISABLED === 'true';
+const API_KEY_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+// Admin routes authenticate with the admin token instead of an API key
+const ADMIN_ROUTE_PREFIXES = ['/api-keys', '/send-time-benchmarks'];
+const API_KEY_DEFAULT_LIMITS = {
+    rateLimitPerMinute: parseInt(process.env.API_KEY_RATE_LIMIT_PER_MINUTE, 10) || 30,
+    dailyRequestQuota: parseInt(process.env.API_KEY_DAILY_REQUEST_QUOTA, 10) || 500,
+    dailyTokenQuota: parseInt(process.env.API_KEY_DAILY_TOKEN_QUOTA, 10) || 500000
+};
+const API_USAGE_MAX_DAYS = 90;
+
+const apiKeyStore = createApiKeyStore(workspaceDb);
+// Request counts per key for the current one-minute window
+const apiKeyRateWindows = new Map();
+// Key and route of the request being served, so LLM calls (including background batch work) are metered to it
+const apiUsageContext = new AsyncLocalStorage();
+
+// Schema for POST /api-keys
+const apiKeySchema = {
+    type: 'object',
+    required: ['name'],
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        rateLimitPerMinute: { type: 'integer', minimum: 1, maximum: 10000 },
+        dailyRequestQuota: { type: 'integer', minimum: 1 },
+        dailyTokenQuota: { type: 'integer', minimum: 1 }
     }
+};
+
+/**
+ * API key and usage operations on the workspace database
+ * @param {Database} db
+ * @returns {{create: function, findByKey: function, list: function, revoke: function, recordUsage: function, totalsForDay: function, usageSince: function}}
+ */
+function createApiKeyStore(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS api_keys (
+            id TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            key_hash TEXT NOT NULL UNIQUE,
+            key_prefix TEXT NOT NULL,
+            rate_limit_per_minute INTEGER NOT NULL,
+            daily_request_quota INTEGER NOT NULL,
+            daily_token_quota INTEGER NOT NULL,
+            created_at TEXT NOT NULL,
+            revoked_at TEXT
+        );
+        CREATE TABLE IF NOT EXISTS api_usage (
+            api_key_id TEXT NOT NULL REFERENCES api_keys (id) ON DELETE CASCADE,
+            day TEXT NOT NULL,
+            route TEXT NOT NULL,
+            requests INTEGER NOT NULL DEFAULT 0,
+            estimated_tokens INTEGER NOT NULL DEFAULT 0,
+            PRIMARY KEY (api_key_id, day, route)
+        );
+    `);
+
+    const insertKey = db.prepare(`
+        INSERT INTO api_keys (id, name, key_hash, key_prefix, rate_limit_per_minute, daily_request_quota, daily_token_quota, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const selectKey = db.prepare('SELECT * FROM api_keys WHERE id = ?');
+    const selectByHash = db.prepare('SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL');
+    const selectKeys = db.prepare('SELECT * FROM api_keys ORDER BY created_at DESC');
+    const revokeKey = db.prepare('UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL');
+    const upsertUsage = db.prepare(`
+        INSERT INTO api_usage (api_key_id, day, route, requests, estimated_tokens) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (api_key_id, day, route) DO UPDATE SET
+            requests = requests + excluded.requests,
+            estimated_tokens = estimated_tokens + excluded.estimated_tokens
+    `);
+    const selectDayTotals = db.prepare(`
+        SELECT COALESCE(SUM(requests), 0) AS requests, COALESCE(SUM(estimated_tokens), 0) AS tokens
+        FROM api_usage WHERE api_key_id = ? AND day = ?
+    `);
+    const selectUsageSince = db.prepare(`
+        SELECT api_key_id, route, SUM(requests) AS requests, SUM(estimated_tokens) AS tokens
+        FROM api_usage WHERE day >= ? GROUP BY api_key_id, route ORDER BY api_key_id, route
+    `);
+
+    const toApiKey = row => ({
+        id: row.id,
+        name: row.name,
+        keyPrefix: row.key_prefix,
+        rateLimitPerMinute: row.rate_limit_per_minute,
+        dailyRequestQuota: row.daily_request_quota,
+        dailyTokenQuota: row.daily_token_quota,
+        createdAt: row.created_at,
+        revokedAt: row.revoked_at
+    });
+
     return {
-        persona: result.persona || {}
+        // The plain key is returned once here and never stored
+        create: ({ name, rateLimitPerMinute, dailyRequestQuota, dailyTokenQuota }) => {
+            const id = crypto.randomUUID();
+            const key = `stk_${crypto.randomBytes(24).toString('base64url')}`;
+            insertKey.run(id, name, hashApiKey(key), key.slice(0, 8), rateLimitPerMinute, dailyRequestQuota, dailyTokenQuota, new Date().toISOString());
+            return { ...toApiKey(selectKey.get(id)), key };
+        },
+        findByKey: key => {
+            const row = key ? selectByHash.get(hashApiKey(key)) : null;
+            return row ? toApiKey(row) : null;
+        },
+        list: () => selectKeys.all().map(toApiKey),
+        revoke: id => revokeKey.run(new Date().toISOString(), id).changes > 0,
+        recordUsage: (apiKeyId, route, requests, tokens) => upsertUsage.run(apiKeyId, usageDay(), route, requests, tokens),
+        totalsForDay: (apiKeyId, day) => {
+            const row = selectDayTotals.get(apiKeyId, day);
+            return { requests: row.requests, estimatedTokens: row.tokens };
+        },
+        usageSince: day => selectUsageSince.all(day).map(row => ({
+            apiKeyId: row.api_key_id,
+            route: row.route,
+            requests: row.requests,
+            estimatedTokens: row.tokens
+        }))
     };
 }
 
-// Objection Handling Prompt Generator endpoint
-app.post('/generate-objection-handling', async (req, res) => {
-    try {
-        const { objectionText, productType, buyerPersona } = req.body;
-        if (!objectionText || typeof objectionText !== 'string' || objectionText.trim().length === 0) {
-            return res.status(400).json({ error: 'Please provide the objection type or text.' });
-        }
-        if (!productType || typeof productType !== 'string' || productType.trim().length === 0) {
-            return res.status(400).json({ error: 'Please provide the product type.' });
-        }
-        if (!buyerPersona || typeof buyerPersona !== 'string' || buyerPersona.trim().length === 0) {
-            return res.status(400).json({ error: 'Please provide the buyer persona.' });
-        }
-        const result = await generateObjectionHandlingWithGemini(
-            objectionText.trim(),
-            productType.trim(),
-            buyerPersona.trim()
-        );
-        res.json(result);
-    } catch (error) {
-        console.error('Error in /generate-objection-handling:', error);
-        res.status(500).json({ error: 'Failed to generate objection handling prompts.' });
+/**
+ * @param {string} key
+ * @returns {string} - Hex SHA-256; keys are long random strings, so a fast hash is enough
+ */
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * UTC calendar day that quotas and usage are counted against
+ * @param {Date} [date]
+ * @returns {string} - yyyy-MM-dd
+ */
+function usageDay(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Rough token count (about four characters per token) used for quotas and usage reports
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Milliseconds until the daily quotas reset at the next 00:00 UTC
+ * @param {number} now - Epoch ms
+ * @returns {number}
+ */
+function msUntilQuotaReset(now) {
+    const midnight = new Date(now);
+    midnight.setUTCHours(24, 0, 0, 0);
+    return midnight.getTime() - now;
+}
+
+/**
+ * Throw before an LLM call once the API key serving the current request has used up its daily token quota.
+ * Long-running work such as batch jobs is checked call by call, not only when the request arrived.
+ * @throws {LLMServiceError} - API_QUOTA_EXCEEDED (429)
+ */
+function checkLLMQuota() {
+    const usage = apiUsageContext.getStore();
+    if (!usage) return;
+    const today = apiKeyStore.totalsForDay(usage.apiKeyId, usageDay());
+    if (today.estimatedTokens >= usage.dailyTokenQuota) {
+        throw new LLMServiceError(`Daily token quota of ${usage.dailyTokenQuota} exceeded. Quotas reset at 00:00 UTC.`, {
+            code: 'API_QUOTA_EXCEEDED',
+            statusCode: 429,
+            retryAfterMs: msUntilQuotaReset(Date.now())
+        });
     }
-});
+}
 
 /**
- * Generate objection handling prompts using Gemini LLM
- * @param {string} objectionText
- * @param {string} productType
- * @param {string} buyerPersona
- * @returns {Promise<{responses: string[], reframeStrategy: string, followUpQuestions: string[]}>}
- */
-async function generateObjectionHandlingWithGemini(objectionText, productType, buyerPersona) {
-    const prompt = `You are a sales enablement expert. Given the following:
-- Objection: ${objectionText}
-- Product type: ${productType}
-- Buyer persona: ${buyerPersona}
-Generate:
-1. responses (array of 2-3 customized objection responses, each max 2 sentences)
-2. reframeStrategy (string: a strategy to reframe or redirect the objection, max 2 sentences)
-3. followUpQuestions (array of up to 2 short follow-up questions)
-Respond ONLY with a valid JSON object with these fields. Do NOT include markdown, explanations, or any text outside the JSON. Output ONLY the JSON object. Keep the JSON as short as possible.`;
-    const requestBody = {
-        contents: [{ parts: [{ text: prompt }] }],
-        generationConfig: {
-            temperature: 0.7,
-            topK: 40,
-            topP: 0.95,
-            maxOutputTokens: 512,
-        }
-    };
-    const response = await axios.post(
-        `${GEMINI_API_URL}?key=${GEMINI_API_KEY}`,
-        requestBody,
-        { headers: { 'Content-Type': 'application/json' }, timeout: 30000 }
-    );
-    if (!response.data || !response.data.candidates || response.data.candidates.length === 0) {
-        throw new Error('Invalid response from Gemini API');
+ * Add an LLM call's estimated tokens to the API key serving the current request, if any
+ * @param {string} prompt
+ * @param {string} text - Generated text
+ */
+function meterLLMUsage(prompt, text) {
+    const usage = apiUsageContext.getStore();
+    if (usage) {
+        apiKeyStore.recordUsage(usage.apiKeyId, usage.route, 0, estimateTokens(prompt) + estimateTokens(text));
     }
-    const candidate = response.data.candidates[0];
-    if (!candidate.content || !candidate.content.parts || candidate.content.parts.length === 0) {
-        throw new Error('No content generated by Gemini API');
+}
+
+/**
+ * @param {import('express').Request} req
+ * @returns {string} - Key from the X-API-Key header or an "Authorization: Bearer" header
+ */
+function readApiKey(req) {
+    const header = req.get('X-API-Key') || (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+    return header.trim();
+}
+
+/**
+ * Whether a path belongs to one of the ADMIN_ROUTE_PREFIXES, e.g. "/api-keys" or "/api-keys/<id>" but not "/api-keysx"
+ * @param {string} routePath
+ * @returns {boolean}
+ */
+function isAdminRoute(routePath) {
+    return ADMIN_ROUTE_PREFIXES.some(prefix => routePath === prefix || routePath.startsWith(`${prefix}/`));
+}
+
+/**
+ * Middleware: require a valid API key on write requests and enforce its rate limit and daily quotas
+ */
+function requireApiKey(req, res, next) {
+    if (API_AUTH_DISABLED || !API_KEY_METHODS.includes(req.method) || isAdminRoute(req.path)) {
+        return next();
     }
-    // Parse the JSON from Gemini's response
-    let result;
-    try {
-        let text = candidate.content.parts[0].text;
-        console.log('Gemini raw response for objection handling:', text);
-        // Remove markdown code fencing if present
-        text = text.replace(/```json|```/gi, '').trim();
-        const match = text.match(/{[\s\S]*}/);
-        if (!match) throw new Error('No JSON object found in Gemini response.');
-        result = JSON.parse(match[0]);
-    } catch (e) {
-        throw new Error('Failed to parse Gemini response as JSON.');
+    const apiKey = apiKeyStore.findByKey(readApiKey(req));
+    if (!apiKey) {
+        return res.status(401).json({ error: 'Missing or invalid API key. Send it in the X-API-Key header.' });
     }
-    return {
-        responses: Array.isArray(result.responses)
-            ? result.responses.map(r => typeof r === 'string' ? r : (r.text || JSON.stringify(r)))
-            : [],
-        reframeStrategy: result.reframeStrategy || '',
-        followUpQuestions: Array.isArray(result.followUpQuestions)
-            ? result.followUpQuestions.map(q => typeof q === 'string' ? q : (q.text || JSON.stringify(q)))
-            : []
-    };
-}
 
-// Sales Script Builder endpoint
-app.post('/generate-sales-script', async (req, res) => {
-    try {
-        const { productInfo, targetPersona, callType } = req.body;
-        if (!productInfo || typeof productInfo !== 'string' || productInfo.trim().length === 0) {
-            return res.status(400).json({ error: 'Please provide product info.' });
-        }
-        if (!targetPersona || typeof targetPersona !== 'string' || targetPersona.trim().length === 0) {
-            return res.status(400).json({ error: 'Please provide the target persona.' });
-        }
-        if (!callType || typeof callType !== 'string' || !['cold','demo','follow-up'].includes(callType)) {
-            return res.status(400).json({ error: 'Please provide a valid call type.' });
-        }
-        const result = await generateSalesScriptWithGemini(
-            productInfo.trim(),
-            targetPersona.trim(),
-            callType.trim()
-        );
-        res.json(result);
-    } catch (error) {
-        console.error('Error in /generate-sales-script:', error);
-        res.status(500).json({ error: 'Failed to generate sales script.' });
+    const now = Date.now();
+    const window = apiKeyRateWindows.get(apiKey.id);
+    if (!window || now - window.start >= 60000) {
+        apiKeyRateWindows.set(apiKey.id, { start: now, count: 1 });
+    } else if (window.count >= apiKey.rateLimitPerMinute) {
+        res.set('Retry-After', String(Math.ceil((window.start + 60000 - now) / 1000)));
+        return res.status(429).json({ error: `Rate limit of ${apiKey.rateLimitPerMinute} requests per minute exceeded.` });
+    } else {
+        window.count++;
     }
-});
 
-/**
- * Generate sales script using Gemini LLM
- * @param {string} productInfo
- * @param {string} targetPersona
- * @param {string} callType
- * @returns {Promise<{script: {opener: string, problem: string, solution: string, cta: string, personalizationHooks: string[], objectionHandling?: string[]}}>} 
- */
-async function generateSalesScriptWithGemini(productInfo, targetPersona, callType) {
-    const prompt = `You are a sales script expert. Build a complete sales script for:
-- Product: ${productInfo}
-- Target persona: ${targetPersona}
-- Call type: ${callType}
-Script sections:
-1. opener (max 2 sentences)
-2. problem (max 2-3 sentences)
-3. solution (max 2-3 sentences)
-4. cta (call to action, max 2 sentences)
-5. personalizationHooks (array, up to 2)
-6. objectionHandling (array, up to 2, optional)
-Respond ONLY with a valid JSON object with a 'script' field containing these sections. Do NOT include markdown, explanations, or any text outside the JSON. Output ONLY the JSON object. Keep the JSON as short as possible.`;
-    const requestBody = {
-        contents: [{ parts: [{ text: prompt }] }],
-        generationConfig: {
-            temperature: 0.7,
-            topK: 40,
-            topP: 0.95,
-            maxOutputTokens: 768,
-        }
-    };
-    const response = await axios.post(
-        `${GEMINI_API_URL}?key=${GEMINI_API_KEY}`,
-        requestBody,
-        { headers: { 'Content-Type': 'application/json' }, timeout: 30000 }
-    );
-    if (!response.data || !response.data.candidates || response.data.candidates.length === 0) {
-        throw new Error('Invalid response from Gemini API');
+    const today = apiKeyStore.totalsForDay(apiKey.id, usageDay());
+    const quotaError = today.requests >= apiKey.dailyRequestQuota
+        ? `Daily request quota of ${apiKey.dailyRequestQuota} exceeded.`
+        : today.estimatedTokens >= apiKey.dailyTokenQuota
+            ? `Daily token quota of ${apiKey.dailyTokenQuota} exceeded.`
+            : null;
+    if (quotaError) {
+        res.set('Retry-After', String(Math.ceil(msUntilQuotaReset(now) / 1000)));
+        return res.status(429).json({ error: `${quotaError} Quotas reset at 00:00 UTC.` });
     }
-    const candidate = response.data.candidates[0];
-    if (!candidate.content || !candidate.content.parts || candidate.content.parts.length === 0) {
-        throw new Error('No content generated by Gemini API');
+
+    // IDs in paths are collapsed so usage is reported per route, not per asset
+    const route = `${req.method} ${req.path.replace(/\/[0-9a-f]{8}-[0-9a-f-]{27}(?=\/|$)/gi, '/:id')}`;
+    apiKeyStore.recordUsage(apiKey.id, route, 1, 0);
+    req.apiKey = apiKey;
+    apiUsageContext.run({ apiKeyId: apiKey.id, route, dailyTokenQuota: apiKey.dailyTokenQuota }, next);
+}
+
+/**
+ * Middleware: require "Authorization: Bearer <ADMIN_TOKEN>"
+ */
+function requireAdmin(req, res, next) {
+    if (!ADMIN_TOKEN) {
+        return res.status(503).json({ error: 'Admin routes are disabled. Set ADMIN_TOKEN to enable them.' });
     }
-    // Parse the JSON from Gemini's response
-    let result;
-    try {
-        let text = candidate.content.parts[0].text;
-        // Remove markdown code fencing if present
-        text = text.replace(/```json|```/gi, '').trim();
-        const match = text.match(/{[\s\S]*}/);
-        if (!match) throw new Error('No JSON object found in Gemini response.');
-        result = JSON.parse(match[0]);
-    } catch (e) {
-        throw new Error('Failed to parse Gemini response as JSON.');
+    if (!isAdminRequest(req)) {
+        return res.status(401).json({ error: 'Admin token required.' });
     }
-    return {
-        script: result.script || {}
-    };
+    next();
+}
+
+/**
+ * @param {import('express').Request} req
+ * @returns {boolean}
+ */
+function isAdminRequest(req) {
+    if (!ADMIN_TOKEN) return false;
+    const given = crypto.createHash('sha256').update((req.get('Authorization') || '').replace(/^Bearer\s+/i, '')).digest();
+    return crypto.timingSafeEqual(given, crypto.createHash('sha256').update(ADMIN_TOKEN).digest());
 }
 
-// Lead List Formatter endpoint
-app.post('/format-lead-list', async (req, res) => {
+app.post('/api-keys', requireAdmin, (req, res) => {
     try {
-        const { leadData, crmFormat } = req.body;
-        if (!leadData || typeof leadData !== 'string' || leadData.trim().length === 0) {
-            return res.status(400).json({ error: 'Please provide lead data.' });
+        const body = req.body || {};
+        const errors = validateAgainstSchema(body, apiKeySchema);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid API key settings.', details: errors });
         }
-        if (!crmFormat || typeof crmFormat !== 'string' || crmFormat.trim().length === 0) {
-            return res.status(400).json({ error: 'Please provide a target CRM format.' });
-        }
-        const result = await formatLeadListWithGemini(leadData.trim(), crmFormat.trim());
-        res.json(result);
+        res.status(201).json(apiKeyStore.create({ ...API_KEY_DEFAULT_LIMITS, ...body, name: body.name.trim() }));
     } catch (error) {
-        console.error('Error in /format-lead-list:', error);
-        res.status(500).json({ error: 'Failed to format lead list.' });
+        sendRouteError(res, 'POST /api-keys', error, 'Failed to create API key.');
+    }
+});
+
+app.get('/api-keys', requireAdmin, (req, res) => {
+    res.json({ apiKeys: apiKeyStore.list() });
+});
+
+app.delete('/api-keys/:id', requireAdmin, (req, res) => {
+    if (!apiKeyStore.revoke(req.params.id)) {
+        return res.status(404).json({ error: 'API key not found.' });
+    }
+    res.status(204).end();
+});
+
+// Usage per key and per route over the last `days` days (UTC). Admins see every key; a key holder sees only their own.
+app.get('/usage', (req, res) => {
+    const isAdmin = isAdminRequest(req);
+    const ownKey = isAdmin ? null : apiKeyStore.findByKey(readApiKey(req));
+    if (!isAdmin && !ownKey) {
+        return res.status(401).json({ error: 'Send an API key (X-API-Key) or the admin token to view usage.' });
     }
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), API_USAGE_MAX_DAYS);
+    const from = new Date();
+    from.setUTCDate(from.getUTCDate() - (days - 1));
+    const today = usageDay();
+    const usage = apiKeyStore.usageSince(usageDay(from));
+    const keys = (isAdmin ? apiKeyStore.list() : [ownKey]).map(apiKey => {
+        const routes = usage.filter(u => u.apiKeyId === apiKey.id).map(({ route, requests, estimatedTokens }) => ({ route, requests, estimatedTokens }));
+        return {
+            ...apiKey,
+            today: apiKeyStore.totalsForDay(apiKey.id, today),
+            total: {
+                requests: routes.reduce((sum, r) => sum + r.requests, 0),
+                estimatedTokens: routes.reduce((sum, r) => sum + r.estimatedTokens, 0)
+            },
+            routes
+        };
+    });
+    res.json({ from: usageDay(from), to: today, keys });
 });
 
+// Generation feedback: every generator response carries a generationId that reps rate (thumbs up/down), mark as
+// sent or replied to, or attach their edited final text to. The report rolls this up per endpoint and prompt version.
+const FEEDBACK_MAX_EDITED_TEXT_LENGTH = 20000;
+const FEEDBACK_REPORT_MAX_DAYS = 365;
+
+const feedbackStore = createFeedbackStore(workspaceDb);
+
+// Schema for POST /feedback
+const feedbackSchema = {
+    type: 'object',
+    required: ['generationId'],
+    properties: {
+        generationId: { type: 'string', minLength: 1 },
+        rating: { type: 'string', enum: ['up', 'down'] },
+        editedText: { type: 'string', minLength: 1 },
+        sent: { type: 'boolean' },
+        replied: { type: 'boolean' }
+    }
+};
+
 /**
- * Format lead list using Gemini LLM
- * @param {string} leadData
- * @param {string} crmFormat
- * @returns {Promise<{cleanedCsv: string, cleanedTableHtml: string}>}
+ * Generation and feedback operations on the workspace database
+ * @param {Database} db
+ * @returns {{recordGeneration: function, get: function, saveFeedback: function, report: function}}
  */
-async function formatLeadListWithGemini(leadData, crmFormat) {
-    const prompt = `You are a data cleaning and CRM import expert. Given the following messy lead data (CSV or tabular):
-${leadData}
+function createFeedbackStore(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS generations (
+            id TEXT PRIMARY KEY,
+            endpoint TEXT NOT NULL,
+            prompt_version TEXT,
+            created_at TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS generations_created ON generations (created_at);
+        CREATE TABLE IF NOT EXISTS generation_feedback (
+            generation_id TEXT PRIMARY KEY REFERENCES generations (id) ON DELETE CASCADE,
+            rating TEXT,
+            edited_text TEXT,
+            sent_at TEXT,
+            replied_at TEXT,
+            updated_at TEXT NOT NULL
+        );
+    `);
 
-Target CRM format: ${crmFormat}
+    const insertGeneration = db.prepare('INSERT INTO generations (id, endpoint, prompt_version, created_at) VALUES (?, ?, ?, ?)');
+    const selectGeneration = db.prepare(`
+        SELECT g.*, f.rating, f.edited_text, f.sent_at, f.replied_at, f.updated_at
+        FROM generations g LEFT JOIN generation_feedback f ON f.generation_id = g.id WHERE g.id = ?
+    `);
+    // Fields left out of an update keep their stored value; a reply implies the email was sent
+    const upsertFeedback = db.prepare(`
+        INSERT INTO generation_feedback (generation_id, rating, edited_text, sent_at, replied_at, updated_at)
+        VALUES (@id, @rating, @editedText, @sentAt, @repliedAt, @now)
+        ON CONFLICT (generation_id) DO UPDATE SET
+            rating = COALESCE(excluded.rating, rating),
+            edited_text = COALESCE(excluded.edited_text, edited_text),
+            sent_at = CASE WHEN @sent = 0 THEN NULL ELSE COALESCE(sent_at, excluded.sent_at) END,
+            replied_at = CASE WHEN @replied = 0 THEN NULL ELSE COALESCE(replied_at, excluded.replied_at) END,
+            updated_at = excluded.updated_at
+    `);
+    const selectReport = db.prepare(`
+        SELECT g.endpoint, g.prompt_version,
+            COUNT(*) AS generations,
+            SUM(f.rating = 'up') AS up,
+            SUM(f.rating = 'down') AS down,
+            SUM(f.edited_text IS NOT NULL) AS edited,
+            SUM(f.sent_at IS NOT NULL) AS sent,
+            SUM(f.replied_at IS NOT NULL) AS replied
+        FROM generations g LEFT JOIN generation_feedback f ON f.generation_id = g.id
+        WHERE g.created_at >= ? AND (? IS NULL OR g.endpoint = ?)
+        GROUP BY g.endpoint, g.prompt_version
+        ORDER BY g.endpoint, g.prompt_version
+    `);
 
-1. Clean, deduplicate, and validate the list (email, phone, LinkedIn, etc). Remove incomplete or invalid rows. Standardize headers for the target CRM. 
-2. Output ONLY a valid JSON object with these fields:
-- cleanedCsv: the cleaned, deduplicated, validated list as a CSV string (with headers)
-- cleanedTableHtml: the same data as an HTML table (for preview)
-Do NOT include markdown, explanations, or any text outside the JSON. Output ONLY the JSON object. Keep the output concise.`;
-    const requestBody = {
-        contents: [{ parts: [{ text: prompt }] }],
-        generationConfig: {
-            temperature: 0.3,
-            topK: 40,
-            topP: 0.95,
-            maxOutputTokens: 1024,
+    const toGeneration = row => ({
+        generationId: row.id,
+        endpoint: row.endpoint,
+        promptVersion: row.prompt_version,
+        createdAt: row.created_at,
+        feedback: {
+            rating: row.rating || null,
+            editedText: row.edited_text || null,
+            sent: !!row.sent_at,
+            sentAt: row.sent_at || null,
+            replied: !!row.replied_at,
+            repliedAt: row.replied_at || null,
+            updatedAt: row.updated_at || null
         }
-    };
-    const response = await axios.post(
-        `${GEMINI_API_URL}?key=${GEMINI_API_KEY}`,
-        requestBody,
-        { headers: { 'Content-Type': 'application/json' }, timeout: 60000 }
-    );
-    if (!response.data || !response.data.candidates || response.data.candidates.length === 0) {
-        throw new Error('Invalid response from Gemini API');
-    }
-    const candidate = response.data.candidates[0];
-    if (!candidate.content || !candidate.content.parts || candidate.content.parts.length === 0) {
-        throw new Error('No content generated by Gemini API');
-    }
-    // Parse the JSON from Gemini's response
-    let result;
-    try {
-        let text = candidate.content.parts[0].text;
-        // Remove markdown code fencing if present
-        text = text.replace(/```json|```/gi, '').trim();
-        const match = text.match(/{[\s\S]*}/);
-        if (!match) throw new Error('No JSON object found in Gemini response.');
-        result = JSON.parse(match[0]);
-    } catch (e) {
-        throw new Error('Failed to parse Gemini response as JSON.');
-    }
+    });
+    const rate = (count, total) => (total > 0 ? Number((count / total).toFixed(3)) : null);
+
     return {
-        cleanedCsv: result.cleanedCsv || '',
-        cleanedTableHtml: result.cleanedTableHtml || ''
+        recordGeneration: (endpoint, promptVersion) => {
+            const id = crypto.randomUUID();
+            insertGeneration.run(id, endpoint, promptVersion || null, new Date().toISOString());
+            return id;
+        },
+        get: id => {
+            const row = selectGeneration.get(id);
+            return row ? toGeneration(row) : null;
+        },
+        saveFeedback: (id, { rating, editedText, sent, replied }) => {
+            const now = new Date().toISOString();
+            // Un-sending also clears the reply; replying also marks as sent
+            const sentFlag = replied === true ? true : sent;
+            const repliedFlag = sent === false ? false : replied;
+            upsertFeedback.run({
+                id,
+                rating: rating || null,
+                editedText: editedText || null,
+                sentAt: sentFlag === true ? now : null,
+                repliedAt: repliedFlag === true ? now : null,
+                sent: sentFlag === undefined ? null : Number(sentFlag),
+                replied: repliedFlag === undefined ? null : Number(repliedFlag),
+                now
+            });
+        },
+        report: (since, endpoint) => selectReport.all(since, endpoint || null, endpoint || null).map(row => ({
+            endpoint: row.endpoint,
+            promptVersion: row.prompt_version,
+            generations: row.generations,
+            ratings: { up: row.up || 0, down: row.down || 0 },
+            approvalRate: rate(row.up || 0, (row.up || 0) + (row.down || 0)),
+            edited: row.edited || 0,
+            sent: row.sent || 0,
+            replied: row.replied || 0,
+            replyRate: rate(row.replied || 0, row.sent || 0)
+        }))
     };
 }
 
-// Time Zone Meeting Finder endpoint
-const { DateTime, Interval } = require('luxon');
+/**
+ * Record a generator response so feedback can be linked to it
+ * @param {string} endpoint - Route that produced the result, e.g. '/generate-call-opener'
+ * @param {object} result - Generator result, with promptVersion when a prompt template was used
+ * @returns {object} - The result with its generationId added
+ */
+function withGenerationId(endpoint, result) {
+    return { ...result, generationId: feedbackStore.recordGeneration(endpoint, result.promptVersion) };
+}
 
-app.post('/find-meeting-slots', async (req, res) => {
+app.post('/feedback', (req, res) => {
     try {
-        const { userTimezone, leadLocations, callDuration } = req.body;
-        console.log('Received /find-meeting-slots:', { userTimezone, leadLocations, callDuration });
-        if (!userTimezone || typeof userTimezone !== 'string' || userTimezone.trim().length === 0) {
-            return res.status(400).json({ error: 'Please provide your timezone.' });
+        const body = req.body || {};
+        const errors = validateAgainstSchema(body, feedbackSchema);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid feedback.', details: errors });
         }
-        if (!leadLocations || typeof leadLocations !== 'string' || leadLocations.trim().length === 0) {
-            return res.status(400).json({ error: 'Please provide lead locations.' });
+        if (['rating', 'editedText', 'sent', 'replied'].every(field => body[field] === undefined)) {
+            return res.status(400).json({ error: 'Send at least one of rating, editedText, sent or replied.' });
         }
-        const duration = parseInt(callDuration, 10) || 30;
-        const leadTzs = leadLocations.split(',').map(s => s.trim()).filter(Boolean);
-        const cityToTz = {
-            'new york': 'America/New_York',
-            'london': 'Europe/London',
-            'mumbai': 'Asia/Kolkata',
-            'san francisco': 'America/Los_Angeles',
-            'berlin': 'Europe/Berlin',
-            'sydney': 'Australia/Sydney',
-            'tokyo': 'Asia/Tokyo',
-            'singapore': 'Asia/Singapore',
-            'paris': 'Europe/Paris',
-            'chicago': 'America/Chicago',
-            'delhi': 'Asia/Kolkata',
-            'boston': 'America/New_York',
-            'los angeles': 'America/Los_Angeles',
-            'toronto': 'America/Toronto',
-            'dubai': 'Asia/Dubai',
-            'shanghai': 'Asia/Shanghai',
-            'hong kong': 'Asia/Hong_Kong',
-            'seoul': 'Asia/Seoul',
-            'amsterdam': 'Europe/Amsterdam',
-            'zurich': 'Europe/Zurich',
-            'madrid': 'Europe/Madrid',
-            'rome': 'Europe/Rome',
-            'istanbul': 'Europe/Istanbul',
-            'johannesburg': 'Africa/Johannesburg',
-            'sao paulo': 'America/Sao_Paulo',
-            'mexico city': 'America/Mexico_City',
-            'vancouver': 'America/Vancouver',
-            'bengaluru': 'Asia/Kolkata',
-        };
-        // Resolve all timezones, fallback to UTC if not found
-        const resolvedTzs = leadTzs.map(tz => cityToTz[tz.toLowerCase()] || tz || 'UTC');
-        console.log('Resolved timezones:', resolvedTzs);
-        // Validate all timezones
-        const validTzs = [userTimezone, ...resolvedTzs].every(tz => {
-            try {
-                return !!DateTime.now().setZone(tz).isValid;
-            } catch {
-                return false;
-            }
-        });
-        if (!validTzs) {
-            return res.json({ slotsTableHtml: '<div style="color:#ff5252;">Invalid timezone(s) provided.</div>', meetingLink: '' });
-        }
-        // Find overlapping slots between user and all leads (9am-5pm user time, next 3 days)
-        const slots = [];
-        const now = DateTime.now().setZone(userTimezone);
-        for (let day = 0; day < 3; day++) {
-            const date = now.plus({ days: day });
-            for (let hour = 9; hour <= 17 - Math.ceil(duration/60); hour++) {
-                const start = date.set({ hour, minute: 0, second: 0, millisecond: 0 });
-                const end = start.plus({ minutes: duration });
-                // Check if slot is within 9am-5pm for all leads
-                const allOk = resolvedTzs.every(tz => {
-                    try {
-                        const leadStart = start.setZone(tz, { keepLocalTime: false });
-                        const leadEnd = end.setZone(tz, { keepLocalTime: false });
-                        return leadStart.hour >= 9 && leadEnd.hour <= 17;
-                    } catch {
-                        return false;
-                    }
-                });
-                if (allOk) {
-                    slots.push({
-                        user: `${start.toFormat('ccc, dd LLL yyyy HH:mm')} (${userTimezone})`,
-                        leads: resolvedTzs.map(tz => `${start.setZone(tz, { keepLocalTime: false }).toFormat('ccc, dd LLL yyyy HH:mm')} (${tz})`),
-                        link: `https://cal.com/book?tz=${encodeURIComponent(userTimezone)}&start=${encodeURIComponent(start.toISO())}&duration=${duration}`
-                    });
-                }
-            }
+        if (body.editedText && body.editedText.length > FEEDBACK_MAX_EDITED_TEXT_LENGTH) {
+            return res.status(400).json({ error: `Edited text must be at most ${FEEDBACK_MAX_EDITED_TEXT_LENGTH} characters.` });
         }
-        console.log('Number of slots found:', slots.length);
-        // Build HTML table
-        let slotsTableHtml = '<table style="width:100%;border-collapse:collapse;background:#fff;color:#333;">';
-        slotsTableHtml += '<tr><th style="padding:8px;border-bottom:1px solid #ccc;">Your Time</th>';
-        resolvedTzs.forEach((tz, i) => {
-            slotsTableHtml += `<th style="padding:8px;border-bottom:1px solid #ccc;">Lead ${i+1} (${tz})</th>`;
-        });
-        slotsTableHtml += '</tr>';
-        if (slots.length === 0) {
-            slotsTableHtml += '<tr><td colspan="' + (1 + resolvedTzs.length) + '" style="padding:12px;color:#ff5252;text-align:center;">No overlapping slots found for the next 3 days.</td></tr>';
-        } else {
-            slots.forEach(slot => {
-                slotsTableHtml += '<tr>';
-                slotsTableHtml += `<td style="padding:8px;border-bottom:1px solid #eee;">${slot.user}</td>`;
-                slot.leads.forEach(leadTime => {
-                    slotsTableHtml += `<td style="padding:8px;border-bottom:1px solid #eee;">${leadTime}</td>`;
-                });
-                slotsTableHtml += '</tr>';
-            });
+        if (!feedbackStore.get(body.generationId)) {
+            return res.status(404).json({ error: 'Generation not found.' });
         }
-        slotsTableHtml += '</table>';
-        // Meeting link: first slot or fallback
-        const meetingLink = slots.length > 0 ? slots[0].link : '';
-        res.json({ slotsTableHtml, meetingLink });
+        feedbackStore.saveFeedback(body.generationId, body);
+        res.json(feedbackStore.get(body.generationId));
     } catch (error) {
-        console.error('Error in /find-meeting-slots:', error);
-        res.json({ slotsTableHtml: '<div style="color:#ff5252;">Server error: Unable to find meeting slots.</div>', meetingLink: '' });
+        sendRouteError(res, 'POST /feedback', error, 'Failed to save feedback.');
     }
 });
 
-// Sales Playbook Generator endpoint
-app.post('/generate-sales-playbook', async (req, res) => {
-    try {
-        const { productService, salesStrategy, targetMarket, keyObjections } = req.body;
-        if (!productService || typeof productService !== 'string' || productService.trim().length === 0) {
-            return res.status(400).json({ error: 'Please provide a product or service.' });
-        }
-        if (!salesStrategy || typeof salesStrategy !== 'string' || salesStrategy.trim().length === 0) {
-            return res.status(400).json({ error: 'Please provide a sales strategy.' });
-        }
-        if (!targetMarket || typeof targetMarket !== 'string' || targetMarket.trim().length === 0) {
-            return res.status(400).json({ error: 'Please provide a target market or ICP.' });
-        }
-        if (!keyObjections || typeof keyObjections !== 'string' || keyObjections.trim().length === 0) {
-            return res.status(400).json({ error: 'Please provide key objections.' });
-        }
-        const result = await generateSalesPlaybookWithGemini(
-            productService.trim(),
-            salesStrategy.trim(),
-            targetMarket.trim(),
-            keyObjections.trim()
-        );
-        res.json(result);
-    } catch (error) {
-        console.error('Error in /generate-sales-playbook:', error);
-        res.status(500).json({ error: 'Failed to generate sales playbook.' });
+// Approval rate (thumbs up / rated) and reply rate (replied / sent) per endpoint and prompt version over the last `days` days
+app.get('/feedback/report', (req, res) => {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), FEEDBACK_REPORT_MAX_DAYS);
+    const from = new Date();
+    from.setUTCDate(from.getUTCDate() - (days - 1));
+    const endpoint = typeof req.query.endpoint === 'string' && req.query.endpoint.trim() ? req.query.endpoint.trim() : null;
+    res.json({ from: usageDay(from), to: usageDay(), endpoint, rows: feedbackStore.report(usageDay(from), endpoint) });
+});
+
+app.get('/feedback/:generationId', (req, res) => {
+    const generation = feedbackStore.get(req.params.generationId);
+    if (!generation) {
+        return res.status(404).json({ error: 'Generation not found.' });
     }
+    res.json(generation);
 });
 
-/**
- * Generate sales playbook using Gemini LLM
- * @param {string} productService
- * @param {string} salesStrategy
- * @param {string} targetMarket
- * @param {string} keyObjections
- * @returns {Promise<{playbookMarkdown: string}>}
- */
-async function generateSalesPlaybookWithGemini(productService, salesStrategy, targetMarket, keyObjections) {
-    const prompt = `You are a world-class sales enablement expert. Create a sales playbook in Markdown format for the following:
-- Product/Service: ${productService}
-- Sales Strategy: ${salesStrategy}
-- Target Market/ICP: ${targetMarket}
-- Key Objections: ${keyObjections}
-
-The playbook should include these sections:
-1. Discovery (max 5 bullet points)
-2. Qualification (max 5 bullet points)
-3. Objection Handling (max 5 bullet points)
-4. Closing (max 5 bullet points)
-5. Messaging Examples (max 3 examples)
-6. Best Practices (max 5 bullet points)
-
-Keep each section concise. Respond ONLY with a valid JSON object with a playbookMarkdown field containing the Markdown playbook. Do NOT include markdown code fencing, explanations, or any text outside the JSON. Output ONLY the JSON object. Do not say anything else before or after the JSON. Keep the playbook as short as possible.`;
-    const requestBody = {
-        contents: [{ parts: [{ text: prompt }] }],
-        generationConfig: {
-            temperature: 0.7,
-            topK: 40,
-            topP: 0.95,
-            maxOutputTokens: 1024,
+// Compliance guardrails: a rules file (COMPLIANCE_RULES_PATH) of required elements (opt-out wording, postal address,
+// sender identification) and banned claims, each scoped to channels and to regions resolved from the lead's location.
+// Every generated email, LinkedIn message and sequence step is checked; "block" violations fail the request with
+// 422 COMPLIANCE_BLOCKED, "annotate" violations are returned alongside the content. Each check is recorded with the
+// ruleset version that was applied. The bannedClaims of the company profile a request names are checked as one more
+// blocking rule on every channel and region.
+const COMPLIANCE_RULES_PATH = process.env.COMPLIANCE_RULES_PATH || path.join(__dirname, 'data', 'compliance-rules.json');
+const COMPLIANCE_CHANNELS = ['email', 'linkedin', 'sequence'];
+const COMPLIANCE_MAX_LOCATION_LENGTH = 200;
+const COMPLIANCE_CHECKS_MAX_LIMIT = 500;
+const COMPANY_BANNED_CLAIMS_RULE_ID = 'company-banned-claims';
+// Lead CSV columns whose values are combined into the lead's location in batch jobs
+const LEAD_LOCATION_HEADER_PATTERN = /location|city|state|region|country/i;
+
+// Schema for the rules file; region map and per-type fields are checked in parseComplianceRules
+const complianceRulesSchema = {
+    type: 'object',
+    required: ['version', 'regions', 'rules'],
+    properties: {
+        version: { type: 'string', minLength: 1 },
+        unknownLocationRegions: { type: 'array', items: { type: 'string', minLength: 1 } },
+        regions: { type: 'object' },
+        rules: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['id', 'regions', 'channels', 'type', 'action', 'message'],
+                properties: {
+                    id: { type: 'string', minLength: 1 },
+                    description: { type: 'string' },
+                    regions: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+                    channels: { type: 'array', minItems: 1, items: { type: 'string', enum: COMPLIANCE_CHANNELS } },
+                    type: { type: 'string', enum: ['required', 'banned'] },
+                    pattern: { type: 'string', minLength: 1 },
+                    phrases: { type: 'array', items: { type: 'string', minLength: 1 } },
+                    action: { type: 'string', enum: ['block', 'annotate'] },
+                    message: { type: 'string', minLength: 1 }
+                }
+            }
         }
-    };
-    const response = await axios.post(
-        `${GEMINI_API_URL}?key=${GEMINI_API_KEY}`,
-        requestBody,
-        { headers: { 'Content-Type': 'application/json' }, timeout: 60000 }
-    );
-    if (!response.data || !response.data.candidates || response.data.candidates.length === 0) {
-        throw new Error('Invalid response from Gemini API');
     }
-    const candidate = response.data.candidates[0];
-    if (!candidate.content || !candidate.content.parts || candidate.content.parts.length === 0) {
-        throw new Error('No content generated by Gemini API');
+};
+
+/**
+ * Raised when generated content violates a blocking compliance rule; the check has already been recorded
+ */
+class ComplianceBlockedError extends Error {
+    /**
+     * @param {object} compliance - Check result, as returned by enforceCompliance
+     */
+    constructor(compliance) {
+        super('Generated content was blocked by compliance rules. Please revise the brief and try again.');
+        this.name = 'ComplianceBlockedError';
+        this.statusCode = 422;
+        this.code = 'COMPLIANCE_BLOCKED';
+        this.compliance = compliance;
     }
-    // Parse the JSON from Gemini's response
-    let result;
-    try {
-        let text = candidate.content.parts[0].text;
-        console.log('Gemini raw response for sales playbook:', text);
-        text = text.replace(/```json|```/gi, '').trim();
-        const match = text.match(/{[\s\S]*}/);
-        if (!match) throw new Error('No JSON object found in Gemini response.');
-        result = JSON.parse(match[0]);
-    } catch (e) {
-        throw new Error('Failed to parse Gemini response as JSON.');
+}
+
+/**
+ * Case-insensitive matcher for a phrase as whole words, e.g. "no risk" but not "no risky"
+ * @param {string} phrase
+ * @returns {RegExp}
+ */
+function compliancePhrasePattern(phrase) {
+    return new RegExp(`(?<![\\w$])${phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\w$])`, 'gi');
+}
+
+/**
+ * Parse and validate the compliance rules file, compiling patterns
+ * @param {string} text
+ * @returns {{version: string, unknownLocationRegions: string[], regions: Object<string, {name: string, countries: string[]}>, rules: object[]}}
+ */
+function parseComplianceRules(text) {
+    const parsed = JSON.parse(text);
+    const errors = validateAgainstSchema(parsed, complianceRulesSchema);
+    if (errors.length > 0) {
+        throw new Error(errors.map(e => `${e.field} ${e.message}`).join('; '));
     }
-    return {
-        playbookMarkdown: result.playbookMarkdown || ''
+    const regions = {};
+    Object.entries(parsed.regions).forEach(([code, region]) => {
+        if (!region || !Array.isArray(region.countries) || region.countries.some(c => typeof c !== 'string' || !/^[A-Z]{2}$/.test(c))) {
+            throw new Error(`region "${code}" needs a countries array of ISO 3166-1 alpha-2 codes`);
+        }
+        regions[code] = { name: region.name || code, countries: region.countries };
+    });
+    const unknownLocationRegions = parsed.unknownLocationRegions || [];
+    const checkRegion = (code, where) => {
+        if (!regions[code]) throw new Error(`${where} refers to unknown region "${code}"`);
     };
+    unknownLocationRegions.forEach(code => checkRegion(code, 'unknownLocationRegions'));
+    const ids = new Set();
+    const rules = parsed.rules.map(rule => {
+        if (ids.has(rule.id)) throw new Error(`duplicate rule id "${rule.id}"`);
+        ids.add(rule.id);
+        rule.regions.filter(code => code !== '*').forEach(code => checkRegion(code, `rule "${rule.id}"`));
+        if (rule.type === 'required' && !rule.pattern) {
+            throw new Error(`required rule "${rule.id}" needs a pattern`);
+        }
+        if (rule.type === 'banned' && !rule.pattern && !(rule.phrases && rule.phrases.length)) {
+            throw new Error(`banned rule "${rule.id}" needs phrases or a pattern`);
+        }
+        let patterns;
+        try {
+            patterns = [
+                ...(rule.phrases || []).map(compliancePhrasePattern),
+                ...(rule.pattern ? [new RegExp(rule.pattern, 'gi')] : [])
+            ];
+        } catch (error) {
+            throw new Error(`rule "${rule.id}" has an invalid pattern: ${error.message}`);
+        }
+        return { ...rule, patterns };
+    });
+    return { version: parsed.version, unknownLocationRegions, regions, rules };
 }
 
-app.post('/select-outreach-channels', async (req, res) => {
+/**
+ * Load the compliance rules file; an invalid file stops the server at startup
+ * @param {string} filePath
+ * @returns {object} - See parseComplianceRules
+ */
+function loadComplianceRules(filePath) {
     try {
-        const { leadRole, leadLocation, productService, outreachGoal } = req.body;
-        
-        if (!leadRole || !productService || !outreachGoal) {
-            return res.status(400).json({ error: 'Missing required fields' });
-        }
+        return parseComplianceRules(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Invalid compliance rules ${filePath}: ${error.message}`);
+    }
+}
 
-        const result = await selectOutreachChannelsWithGemini(
-            leadRole.trim(),
-            leadLocation?.trim() || '',
-            productService.trim(),
-            outreachGoal.trim()
+const complianceRules = loadComplianceRules(COMPLIANCE_RULES_PATH);
+const complianceStore = createComplianceStore(workspaceDb);
+
+/**
+ * Compliance check records on the workspace database
+ * @param {Database} db
+ * @returns {{record: function, list: function}}
+ */
+function createComplianceStore(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS compliance_checks (
+            id TEXT PRIMARY KEY,
+            endpoint TEXT NOT NULL,
+            channel TEXT NOT NULL,
+            ruleset_version TEXT NOT NULL,
+            lead_location TEXT,
+            regions TEXT NOT NULL,
+            status TEXT NOT NULL,
+            violations TEXT NOT NULL,
+            created_at TEXT NOT NULL
         );
+        CREATE INDEX IF NOT EXISTS compliance_checks_created ON compliance_checks (created_at);
+    `);
 
-        res.json(result);
-    } catch (error) {
-        console.error('Error in /select-outreach-channels:', error);
-        res.status(500).json({ error: 'Failed to get channel recommendations.' });
-    }
-});
+    const insertCheck = db.prepare(`
+        INSERT INTO compliance_checks (id, endpoint, channel, ruleset_version, lead_location, regions, status, violations, created_at)
+        VALUES (@id, @endpoint, @channel, @rulesetVersion, @leadLocation, @regions, @status, @violations, @createdAt)
+    `);
+    const selectChecks = db.prepare(`
+        SELECT * FROM compliance_checks
+        WHERE (@status IS NULL OR status = @status) AND (@endpoint IS NULL OR endpoint = @endpoint)
+        ORDER BY created_at DESC LIMIT @limit
+    `);
 
-async function selectOutreachChannelsWithGemini(leadRole, leadLocation, productService, outreachGoal) {
-    const prompt = `As a sales outreach expert, recommend the best outreach channels for this lead:
+    return {
+        record: check => {
+            const id = crypto.randomUUID();
+            insertCheck.run({
+                ...check,
+                id,
+                leadLocation: check.leadLocation || null,
+                regions: JSON.stringify(check.regions),
+                violations: JSON.stringify(check.violations),
+                createdAt: new Date().toISOString()
+            });
+            return id;
+        },
+        list: ({ status, endpoint, limit }) => selectChecks.all({ status: status || null, endpoint: endpoint || null, limit }).map(row => ({
+            checkId: row.id,
+            endpoint: row.endpoint,
+            channel: row.channel,
+            rulesetVersion: row.ruleset_version,
+            leadLocation: row.lead_location,
+            regions: JSON.parse(row.regions),
+            status: row.status,
+            violations: JSON.parse(row.violations),
+            createdAt: row.created_at
+        }))
+    };
+}
 
-Lead Profile:
-- Role/Industry: ${leadRole}
-${leadLocation ? `- Location: ${leadLocation}` : ''}
-- Product/Service to sell: ${productService}
-- Outreach Goal: ${outreachGoal}
+/**
+ * Regions whose rules apply to a lead: a region code such as "EU", or the regions listing the country the location
+ * resolves to with resolveMeetingLocation ("Paris, Texas" is US only). An ambiguous location gets the regions of every
+ * candidate's country; one that resolves to no listed country (or no location) gets the ruleset's unknownLocationRegions.
+ * @param {string|null|undefined} leadLocation
+ * @returns {string[]}
+ */
+function resolveComplianceRegions(leadLocation) {
+    const location = typeof leadLocation === 'string' ? leadLocation.trim() : '';
+    if (!location) return complianceRules.unknownLocationRegions;
+    if (complianceRules.regions[location.toUpperCase()]) return [location.toUpperCase()];
+    const resolved = resolveMeetingLocation(location);
+    const countries = resolved.status === 'resolved' ? [resolved.country] : (resolved.candidates || []).map(c => c.country);
+    const matched = Object.entries(complianceRules.regions)
+        .filter(([, region]) => countries.some(country => region.countries.includes(country)))
+        .map(([code]) => code);
+    return matched.length > 0 ? matched : complianceRules.unknownLocationRegions;
+}
 
-Analyze the lead profile and recommend 2-3 best outreach channels (from: Email, LinkedIn, Phone Call, Video Message, Twitter/Social DM).
+/**
+ * Rules that apply to a channel and region set, plus a blocking rule for the company profile's banned claims
+ * @param {string} channel - One of COMPLIANCE_CHANNELS
+ * @param {string[]} regions
+ * @param {object|null} [companyProfile] - As returned by resolveCompanyProfile
+ * @returns {object[]}
+ */
+function complianceRulesFor(channel, regions, companyProfile) {
+    const rules = complianceRules.rules.filter(rule => rule.channels.includes(channel)
+        && (rule.regions.includes('*') || rule.regions.some(code => regions.includes(code))));
+    const bannedClaims = (companyProfile && companyProfile.bannedClaims) || [];
+    if (bannedClaims.length > 0) {
+        rules.push({
+            id: COMPANY_BANNED_CLAIMS_RULE_ID,
+            type: 'banned',
+            action: 'block',
+            message: `The ${companyProfile.name} company profile bans this claim`,
+            patterns: bannedClaims.map(compliancePhrasePattern)
+        });
+    }
+    return rules;
+}
 
-For each channel, provide:
-1. Why it's effective for this specific lead (2-3 sentences)
-2. 3 practical tips for using this channel effectively
+/**
+ * Check generated items against the rules for a channel and region set
+ * @param {string} channel - One of COMPLIANCE_CHANNELS
+ * @param {string[]} regions
+ * @param {Array<{label: string, fields: Object<string, string>}>} items - One per message, e.g. a variant or sequence step
+ * @param {object|null} [companyProfile] - Its bannedClaims are checked too
+ * @returns {Array<{ruleId: string, action: string, message: string, item: string, field: string|null, start: number|null, end: number|null, text: string|null}>}
+ */
+function checkCompliance(channel, regions, items, companyProfile) {
+    const rules = complianceRulesFor(channel, regions, companyProfile);
+    const violations = [];
+    items.forEach(({ label, fields }) => {
+        rules.forEach(rule => {
+            const base = { ruleId: rule.id, action: rule.action, message: rule.message, item: label };
+            if (rule.type === 'required') {
+                const text = Object.values(fields).filter(Boolean).join('\n');
+                const present = rule.patterns.some(pattern => {
+                    pattern.lastIndex = 0;
+                    return pattern.test(text);
+                });
+                if (!present) {
+                    violations.push({ ...base, field: null, start: null, end: null, text: null });
+                }
+                return;
+            }
+            Object.entries(fields).forEach(([field, text]) => {
+                rule.patterns.forEach(pattern => {
+                    for (const match of (text || '').matchAll(pattern)) {
+                        violations.push({ ...base, field, start: match.index, end: match.index + match[0].length, text: match[0] });
+                    }
+                });
+            });
+        });
+    });
+    return violations;
+}
 
-Respond ONLY with a valid JSON object in this format:
-{
-    "channels": [
-        {
-            "name": "Channel Name",
-            "reasoning": "Why this channel is effective...",
-            "tips": ["Tip 1", "Tip 2", "Tip 3"]
-        }
-    ]
+/**
+ * Whether any rule for a channel and region set can block content; such content must not be streamed before it is checked
+ * @param {string} channel - One of COMPLIANCE_CHANNELS
+ * @param {string[]} regions
+ * @param {object|null} [companyProfile]
+ * @returns {boolean}
+ */
+function hasBlockingComplianceRules(channel, regions, companyProfile) {
+    return complianceRulesFor(channel, regions, companyProfile).some(rule => rule.action === 'block');
 }
 
-Do NOT include any text outside the JSON. No markdown, no explanations.`;
+/**
+ * Check generated content, record the check and throw when a blocking rule is violated
+ * @param {string} endpoint - Route that produced the content, for the check record
+ * @param {string} channel - One of COMPLIANCE_CHANNELS
+ * @param {Array<{label: string, fields: Object<string, string>}>} items
+ * @param {string|null} [leadLocation]
+ * @param {object|null} [companyProfile] - The request's company profile, whose bannedClaims block too
+ * @returns {{checkId: string, rulesetVersion: string, regions: string[], status: string, violations: object[]}}
+ * @throws {ComplianceBlockedError}
+ */
+function enforceCompliance(endpoint, channel, items, leadLocation, companyProfile) {
+    const regions = resolveComplianceRegions(leadLocation);
+    const violations = checkCompliance(channel, regions, items, companyProfile);
+    const status = violations.some(v => v.action === 'block') ? 'blocked' : violations.length > 0 ? 'annotated' : 'pass';
+    const check = { endpoint, channel, rulesetVersion: complianceRules.version, leadLocation, regions, status, violations };
+    const compliance = {
+        checkId: complianceStore.record(check),
+        rulesetVersion: check.rulesetVersion,
+        leadLocation: leadLocation || null,
+        regions,
+        status,
+        violations
+    };
+    if (status === 'blocked') {
+        throw new ComplianceBlockedError(compliance);
+    }
+    return compliance;
+}
 
-    const requestBody = {
-        contents: [{ parts: [{ text: prompt }] }],
-        generationConfig: {
-            temperature: 0.7,
-            topK: 40,
-            topP: 0.95,
-            maxOutputTokens: 1024,
-        }
+/**
+ * Compliance item for one email: a structured variant (every subject line, preview, body and signature)
+ * or a plain-text email split into subject and body
+ * @param {{subjectLines?: string[], subject?: string, previewText?: string, body: string, signature?: string}} email
+ * @param {number} [index] - Variant index; plain-text emails are labelled "email"
+ * @returns {{label: string, fields: Object<string, string>}}
+ */
+function emailComplianceItem(email, index) {
+    const subjects = email.subjectLines
+        ? email.subjectLines.map((subject, i) => [`subjectLines[${i}]`, subject])
+        : [['subject', email.subject]];
+    return {
+        label: index === undefined ? 'email' : `variants[${index}]`,
+        fields: Object.fromEntries([...subjects, ['previewText', email.previewText], ['body', email.body], ['signature', email.signature]]
+            .filter(([, text]) => typeof text === 'string'))
     };
+}
 
-    const response = await axios.post(
-        `${GEMINI_API_URL}?key=${GEMINI_API_KEY}`,
-        requestBody,
-        { headers: { 'Content-Type': 'application/json' }, timeout: 60000 }
-    );
+/**
+ * One-line summary of a check for CSV exports, e.g. "annotated (2026.10): can-spam-opt-out; can-spam-postal-address"
+ * @param {{rulesetVersion: string, status: string, violations: Array<{ruleId: string}>}} compliance
+ * @returns {string}
+ */
+function describeComplianceCheck(compliance) {
+    const ruleIds = [...new Set(compliance.violations.map(v => v.ruleId))];
+    return `${compliance.status} (${compliance.rulesetVersion})${ruleIds.length > 0 ? `: ${ruleIds.join('; ')}` : ''}`;
+}
 
-    if (!response.data || !response.data.candidates || response.data.candidates.length === 0) {
-        throw new Error('Invalid response from Gemini API');
+/**
+ * Validate an optional leadLocation request field
+ * @param {*} leadLocation
+ * @returns {string|null} - Error message, or null when valid
+ */
+function findLeadLocationProblem(leadLocation) {
+    if (leadLocation === undefined || leadLocation === null) return null;
+    if (typeof leadLocation !== 'string') return 'Lead location must be a string.';
+    if (leadLocation.length > COMPLIANCE_MAX_LOCATION_LENGTH) {
+        return `Lead location is too long. Please keep it under ${COMPLIANCE_MAX_LOCATION_LENGTH} characters.`;
     }
+    return null;
+}
+
+// Current ruleset, for reviewers and for tools that want to show what will be enforced
+app.get('/compliance/rules', (req, res) => {
+    res.json({
+        version: complianceRules.version,
+        unknownLocationRegions: complianceRules.unknownLocationRegions,
+        regions: Object.fromEntries(Object.entries(complianceRules.regions).map(([code, region]) => [code, region.name])),
+        rules: complianceRules.rules.map(({ patterns, ...rule }) => rule)
+    });
+});
 
-    const candidate = response.data.candidates[0];
-    if (!candidate.content || !candidate.content.parts || candidate.content.parts.length === 0) {
-        throw new Error('No content generated by Gemini API');
+// Audit trail of recent checks, newest first; filter with ?status=blocked|annotated|pass and ?endpoint=
+app.get('/compliance/checks', (req, res) => {
+    const status = typeof req.query.status === 'string' ? req.query.status : null;
+    if (status && !['pass', 'annotated', 'blocked'].includes(status)) {
+        return res.status(400).json({ error: 'Status must be one of: pass, annotated, blocked.' });
     }
+    const endpoint = typeof req.query.endpoint === 'string' && req.query.endpoint.trim() ? req.query.endpoint.trim() : null;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), COMPLIANCE_CHECKS_MAX_LIMIT);
+    res.json({ rulesetVersion: complianceRules.version, checks: complianceStore.list({ status, endpoint, limit }) });
+});
 
-    let result;
-    try {
-        let text = candidate.content.parts[0].text;
-        console.log('Gemini raw response for channel selection:', text); // Debug log
-        text = text.replace(/```json|```/gi, '').trim(); // Strip markdown
-        const match = text.match(/{[\s\S]*}/);
-        if (!match) throw new Error('No JSON object found in Gemini response.');
-        result = JSON.parse(match[0]);
-    } catch (e) {
-        throw new Error('Failed to parse Gemini response as JSON.');
+// Follow-up send times: industry benchmarks (best weekdays and local times, follow-up window) shipped in
+// SEND_TIME_BENCHMARKS_PATH, with team edits stored in the workspace database on top. Benchmark times are the lead's
+// local time, so recommendations are built in the lead's zone and reported in the rep's zone as well.
+const SEND_TIME_BENCHMARKS_PATH = process.env.SEND_TIME_BENCHMARKS_PATH || path.join(__dirname, 'data', 'send-time-benchmarks.json');
+const SEND_TIME_DEFAULT_COUNT = 3;
+const SEND_TIME_MAX_COUNT = 20;
+// Look far enough ahead to get past long holiday stretches
+const SEND_TIME_SEARCH_DAYS = 42;
+const SEND_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const SEND_TIME_INDUSTRY_PATTERN = /^[a-z0-9-]{1,50}$/;
+
+const sendTimeBenchmarkSchema = {
+    type: 'object',
+    required: ['name', 'bestDays', 'bestTimes', 'responseRate', 'followUpWindowHours'],
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        bestDays: { type: 'array', minItems: 1, maxItems: 7, items: { type: 'string', enum: ISO_WEEKDAY_NAMES } },
+        bestTimes: { type: 'array', minItems: 1, maxItems: 12, items: { type: 'string', minLength: 1 } },
+        responseRate: { type: 'number', minimum: 0, maximum: 100 },
+        followUpWindowHours: {
+            type: 'object',
+            required: ['min', 'max'],
+            properties: {
+                min: { type: 'integer', minimum: 0, maximum: 24 * SEND_TIME_SEARCH_DAYS },
+                max: { type: 'integer', minimum: 1, maximum: 24 * SEND_TIME_SEARCH_DAYS }
+            }
+        }
     }
+};
 
-    return result;
+/**
+ * Validate one industry benchmark
+ * @param {*} benchmark
+ * @param {string} [where] - Field path prefix for error messages
+ * @returns {Array<{field: string, message: string}>} - Empty when valid
+ */
+function findSendTimeBenchmarkProblems(benchmark, where = '') {
+    const errors = validateAgainstSchema(benchmark, sendTimeBenchmarkSchema, where);
+    const prefix = where ? `${where}.` : '';
+    if (errors.length > 0) return errors;
+    benchmark.bestTimes.forEach((time, i) => {
+        if (!SEND_TIME_PATTERN.test(time)) errors.push({ field: `${prefix}bestTimes[${i}]`, message: 'must be a 24-hour "HH:mm" time' });
+    });
+    if (benchmark.followUpWindowHours.min > benchmark.followUpWindowHours.max) {
+        errors.push({ field: `${prefix}followUpWindowHours`, message: 'min must not be greater than max' });
+    }
+    return errors;
 }
 
-app.post('/generate-linkedin-messages', async (req, res) => {
-    try {
-        const { leadPersona, outreachGoal, productService, personalizationHook } = req.body;
-        
-        if (!leadPersona || !productService || !outreachGoal) {
-            return res.status(400).json({ error: 'Missing required fields' });
+/**
+ * Parse and validate the built-in send-time benchmarks file
+ * @param {string} text
+ * @returns {{version: string, industries: Object<string, object>}}
+ */
+function parseSendTimeBenchmarks(text) {
+    const parsed = JSON.parse(text);
+    const errors = validateAgainstSchema(parsed, {
+        type: 'object',
+        required: ['version', 'industries'],
+        properties: { version: { type: 'string', minLength: 1 }, industries: { type: 'object' } }
+    });
+    Object.entries(parsed.industries || {}).forEach(([industry, benchmark]) => {
+        if (!SEND_TIME_INDUSTRY_PATTERN.test(industry)) {
+            errors.push({ field: `industries.${industry}`, message: 'key must be lowercase letters, digits and dashes' });
         }
+        errors.push(...findSendTimeBenchmarkProblems(benchmark, `industries.${industry}`));
+    });
+    if (errors.length > 0) {
+        throw new Error(errors.map(e => `${e.field} ${e.message}`).join('; '));
+    }
+    return { version: parsed.version, industries: parsed.industries };
+}
 
-        const result = await generateLinkedInMessagesWithGemini(
-            leadPersona.trim(),
-            outreachGoal.trim(),
-            productService.trim(),
-            personalizationHook?.trim() || ''
-        );
-
-        res.json(result);
+/**
+ * Load the built-in send-time benchmarks; an invalid file stops the server at startup
+ * @param {string} filePath
+ * @returns {object} - See parseSendTimeBenchmarks
+ */
+function loadSendTimeBenchmarks(filePath) {
+    try {
+        return parseSendTimeBenchmarks(fs.readFileSync(filePath, 'utf8'));
     } catch (error) {
-        console.error('Error in /generate-linkedin-messages:', error);
-        res.status(500).json({ error: 'Failed to generate LinkedIn messages.' });
+        throw new Error(`Invalid send-time benchmarks ${filePath}: ${error.message}`);
     }
-});
-
-async function generateLinkedInMessagesWithGemini(leadPersona, outreachGoal, productService, personalizationHook) {
-    const prompt = `As a LinkedIn outreach expert, create 2-3 personalized message templates for this scenario:
+}
 
-Lead Profile:
-- Role/Position: ${leadPersona}
-- Outreach Goal: ${outreachGoal}
-- Product/Service: ${productService}
-${personalizationHook ? `- Personalization Context: ${personalizationHook}` : ''}
+const sendTimeBenchmarks = loadSendTimeBenchmarks(SEND_TIME_BENCHMARKS_PATH);
+const sendTimeBenchmarkStore = createSendTimeBenchmarkStore(workspaceDb);
 
-Requirements:
-1. Each message should be under 300 characters (LinkedIn's connection request limit)
-2. Focus on value proposition and clear call-to-action
-3. Use a professional yet conversational tone
-4. Include personalization elements where relevant
-${personalizationHook ? '5. Incorporate the provided personalization context naturally' : ''}
+/**
+ * Team-edited send-time benchmarks on the workspace database; each row replaces the built-in for its industry
+ * @param {Database} db
+ * @returns {{list: function, upsert: function, remove: function}}
+ */
+function createSendTimeBenchmarkStore(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS send_time_benchmarks (
+            industry TEXT PRIMARY KEY,
+            benchmark TEXT NOT NULL,
+            updated_at TEXT NOT NULL
+        );
+    `);
 
-Also provide 3-4 practical tips for personalizing these templates further.
+    const selectAll = db.prepare('SELECT * FROM send_time_benchmarks ORDER BY industry');
+    const upsertRow = db.prepare(`
+        INSERT INTO send_time_benchmarks (industry, benchmark, updated_at) VALUES (@industry, @benchmark, @updatedAt)
+        ON CONFLICT (industry) DO UPDATE SET benchmark = excluded.benchmark, updated_at = excluded.updated_at
+    `);
+    const deleteRow = db.prepare('DELETE FROM send_time_benchmarks WHERE industry = ?');
 
-Respond ONLY with a valid JSON object in this format:
-{
-    "messages": [
-        {
-            "text": "Message template text..."
-        }
-    ],
-    "tips": [
-        "Personalization tip 1",
-        "Personalization tip 2",
-        "Personalization tip 3"
-    ]
+    return {
+        list: () => selectAll.all().map(row => ({ industry: row.industry, benchmark: JSON.parse(row.benchmark), updatedAt: row.updated_at })),
+        upsert: (industry, benchmark) => {
+            const updatedAt = new Date().toISOString();
+            upsertRow.run({ industry, benchmark: JSON.stringify(benchmark), updatedAt });
+            return updatedAt;
+        },
+        remove: industry => deleteRow.run(industry).changes > 0
+    };
 }
 
-Do NOT include any text outside the JSON. No markdown, no explanations.`;
+/**
+ * Built-in benchmarks with the team's edits applied, keyed by industry (a Map, so request input never hits inherited keys)
+ * @returns {Map<string, {industry: string, source: 'built-in'|'custom', updatedAt: string|null, name: string, bestDays: string[], bestTimes: string[], responseRate: number, followUpWindowHours: {min: number, max: number}}>}
+ */
+function getSendTimeBenchmarks() {
+    const benchmarks = new Map(Object.entries(sendTimeBenchmarks.industries)
+        .map(([industry, benchmark]) => [industry, { industry, source: 'built-in', updatedAt: null, ...benchmark }]));
+    sendTimeBenchmarkStore.list().forEach(({ industry, benchmark, updatedAt }) => {
+        benchmarks.set(industry, { industry, source: 'custom', updatedAt, ...benchmark });
+    });
+    return benchmarks;
+}
 
-    const requestBody = {
-        contents: [{ parts: [{ text: prompt }] }],
-        generationConfig: {
-            temperature: 0.7,
-            topK: 40,
-            topP: 0.95,
-            maxOutputTokens: 1024,
+/**
+ * Next send times for a follow-up: the benchmark's best days and times in the lead's zone, on days the lead's office is
+ * open, no earlier than the follow-up window allows after the previous email
+ * @param {object} options
+ * @param {object} options.benchmark - See sendTimeBenchmarkSchema
+ * @param {string} options.leadZone
+ * @param {{workWeek: number[], holidays: Object<string, string>}} options.calendar - The lead's work calendar
+ * @param {DateTime|null} options.previousSentAt
+ * @param {number} options.count
+ * @param {boolean} options.excludeHolidays - Skip the lead's public holidays
+ * @param {DateTime} [options.now]
+ * @returns {{followUpWindow: {opensAt: DateTime, closesAt: DateTime}|null, sendTimes: DateTime[], skippedDays: Array<{date: string, weekday: string, reason: string, name: string}>, searchedDays: {from: DateTime, to: DateTime}}}
+ */
+function recommendSendTimes({ benchmark, leadZone, calendar, previousSentAt, count, excludeHolidays, now = DateTime.now() }) {
+    const { min, max } = benchmark.followUpWindowHours;
+    const followUpWindow = previousSentAt ? { opensAt: previousSentAt.plus({ hours: min }), closesAt: previousSentAt.plus({ hours: max }) } : null;
+    const earliest = followUpWindow && followUpWindow.opensAt > now ? followUpWindow.opensAt : now;
+    const bestDays = benchmark.bestDays.map(name => ISO_WEEKDAY_NAMES.indexOf(name) + 1);
+    const bestTimes = [...new Set(benchmark.bestTimes)].sort().map(time => time.split(':').map(Number));
+    const sendTimes = [];
+    const skippedDays = [];
+    const searchedDays = { from: earliest.setZone(leadZone).startOf('day') };
+    for (let day = searchedDays.from, i = 0; i < SEND_TIME_SEARCH_DAYS && sendTimes.length < count; i++, day = day.plus({ days: 1 })) {
+        searchedDays.to = day;
+        if (!bestDays.includes(day.weekday)) continue;
+        const closed = findClosedDay(calendar, day);
+        if (closed && (closed.reason === 'weekend' || excludeHolidays)) {
+            skippedDays.push({ date: day.toISODate(), weekday: ISO_WEEKDAY_NAMES[day.weekday - 1], ...closed });
+            continue;
         }
-    };
+        // Built from the lead's wall-clock time so DST changes between now and then are applied
+        bestTimes.forEach(([hour, minute]) => {
+            const time = DateTime.fromObject({ year: day.year, month: day.month, day: day.day, hour, minute }, { zone: leadZone });
+            if (time >= earliest && sendTimes.length < count) sendTimes.push(time);
+        });
+    }
+    return { followUpWindow, sendTimes, skippedDays, searchedDays };
+}
 
-    const response = await axios.post(
-        `${GEMINI_API_URL}?key=${GEMINI_API_KEY}`,
-        requestBody,
-        { headers: { 'Content-Type': 'application/json' }, timeout: 60000 }
-    );
+// Benchmarks used by /recommend-send-times, with where each one comes from
+app.get('/send-time-benchmarks', (req, res) => {
+    res.json({ version: sendTimeBenchmarks.version, benchmarks: [...getSendTimeBenchmarks().values()] });
+});
 
-    if (!response.data || !response.data.candidates || response.data.candidates.length === 0) {
-        throw new Error('Invalid response from Gemini API');
+// Create or replace the team's benchmark for an industry (overrides the built-in one with the same key)
+app.put('/send-time-benchmarks/:industry', requireAdmin, (req, res) => {
+    try {
+        const { industry } = req.params;
+        if (!SEND_TIME_INDUSTRY_PATTERN.test(industry)) {
+            return res.status(400).json({ error: 'Industry keys must be 1-50 lowercase letters, digits or dashes.' });
+        }
+        const body = req.body || {};
+        const errors = findSendTimeBenchmarkProblems(body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid send-time benchmark.', details: errors });
+        }
+        const { name, bestDays, bestTimes, responseRate, followUpWindowHours } = body;
+        const benchmark = { name: name.trim(), bestDays, bestTimes, responseRate, followUpWindowHours: { min: followUpWindowHours.min, max: followUpWindowHours.max } };
+        const updatedAt = sendTimeBenchmarkStore.upsert(industry, benchmark);
+        res.json({ industry, source: 'custom', updatedAt, ...benchmark });
+    } catch (error) {
+        sendRouteError(res, 'PUT /send-time-benchmarks', error, 'Failed to save the send-time benchmark.');
     }
+});
 
-    const candidate = response.data.candidates[0];
-    if (!candidate.content || !candidate.content.parts || candidate.content.parts.length === 0) {
-        throw new Error('No content generated by Gemini API');
+// Drop the team's benchmark for an industry; a built-in one with the same key applies again
+app.delete('/send-time-benchmarks/:industry', requireAdmin, (req, res) => {
+    if (!sendTimeBenchmarkStore.remove(req.params.industry)) {
+        return res.status(404).json({ error: 'No custom benchmark for this industry.' });
     }
+    res.status(204).end();
+});
 
-    let result;
+app.post('/recommend-send-times', (req, res) => {
     try {
-        let text = candidate.content.parts[0].text;
-        console.log('Gemini raw response for LinkedIn messages:', text); // Debug log
-        text = text.replace(/```json|```/gi, '').trim(); // Strip markdown
-        const match = text.match(/{[\s\S]*}/);
-        if (!match) throw new Error('No JSON object found in Gemini response.');
-        result = JSON.parse(match[0]);
-    } catch (e) {
-        throw new Error('Failed to parse Gemini response as JSON.');
-    }
-
-    // Validate message lengths for LinkedIn's limit
-    result.messages = result.messages.map(message => ({
-        text: message.text.length > 300 
-            ? message.text.substring(0, 297) + '...' 
-            : message.text
-    }));
+        const body = req.body || {};
+        const { industry, leadLocation, repTimezone, previousEmailSentAt } = body;
+        console.log('Received /recommend-send-times:', { industry, leadLocation, repTimezone, previousEmailSentAt });
+        if (!repTimezone || typeof repTimezone !== 'string' || !DateTime.local().setZone(repTimezone).isValid) {
+            return res.status(400).json({ error: 'repTimezone must be an IANA time zone such as "America/New_York".' });
+        }
+        const benchmark = typeof industry === 'string' ? getSendTimeBenchmarks().get(industry) : null;
+        if (!benchmark) {
+            return res.status(400).json({ error: 'Please choose an industry from /send-time-benchmarks.' });
+        }
+        const locationProblem = findLeadLocationProblem(leadLocation);
+        if (locationProblem) {
+            return res.status(400).json({ error: locationProblem });
+        }
+        const count = body.count === undefined ? SEND_TIME_DEFAULT_COUNT : Number(body.count);
+        if (!Number.isInteger(count) || count < 1 || count > SEND_TIME_MAX_COUNT) {
+            return res.status(400).json({ error: `count must be a whole number between 1 and ${SEND_TIME_MAX_COUNT}.` });
+        }
+        const excludeHolidays = !(body.excludeHolidays === false || body.excludeHolidays === 'false');
+        // A time without an offset (e.g. from a datetime-local input) is the rep's local time
+        let previousSentAt = null;
+        if (previousEmailSentAt !== undefined && previousEmailSentAt !== null && previousEmailSentAt !== '') {
+            previousSentAt = typeof previousEmailSentAt === 'string' ? DateTime.fromISO(previousEmailSentAt, { zone: repTimezone }) : null;
+            if (!previousSentAt || !previousSentAt.isValid) {
+                return res.status(400).json({ error: 'previousEmailSentAt must be an ISO 8601 date and time.' });
+            }
+        }
 
-    return result;
-}
+        // Without a lead location the lead is assumed to share the rep's zone and office calendar
+        const location = resolveMeetingLocation(leadLocation && leadLocation.trim() ? leadLocation : repTimezone);
+        if (location.status !== 'resolved') {
+            return res.status(400).json({ error: location.message, location });
+        }
+        const calendar = getWorkCalendar(location);
+        const { followUpWindow, sendTimes, skippedDays, searchedDays } = recommendSendTimes({
+            benchmark, leadZone: location.zone, calendar, previousSentAt, count, excludeHolidays
+        });
+        const coverageWarning = findHolidayCoverageWarning(calendar, searchedDays.from, searchedDays.to);
+        console.log('Number of send times found:', sendTimes.length);
+        const zoned = (time, timezone) => ({
+            timezone,
+            time: time.setZone(timezone).toISO({ suppressMilliseconds: true }),
+            display: time.setZone(timezone).toFormat('ccc, dd LLL yyyy HH:mm')
+        });
+        const { industry: key, source, updatedAt, ...table } = benchmark;
+        res.json({
+            industry: key,
+            benchmark: { ...table, source, updatedAt },
+            location,
+            leadTimezone: location.zone,
+            repTimezone,
+            workCalendar: describeWorkCalendar(calendar),
+            warnings: coverageWarning ? [coverageWarning] : [],
+            excludeHolidays,
+            previousEmailSentAt: previousSentAt ? previousSentAt.toUTC().toISO({ suppressMilliseconds: true }) : null,
+            followUpWindow: followUpWindow ? {
+                opensAt: followUpWindow.opensAt.toUTC().toISO({ suppressMilliseconds: true }),
+                closesAt: followUpWindow.closesAt.toUTC().toISO({ suppressMilliseconds: true })
+            } : null,
+            skippedDays,
+            sendTimes: sendTimes.map(time => ({
+                utc: time.toUTC().toISO({ suppressMilliseconds: true }),
+                lead: zoned(time, location.zone),
+                rep: zoned(time, repTimezone),
+                withinFollowUpWindow: followUpWindow ? time <= followUpWindow.closesAt : null
+            }))
+        });
+    } catch (error) {
+        sendRouteError(res, '/recommend-send-times', error, 'Failed to recommend send times.');
+    }
+});
 
 // Error handling middleware
 app.use((error, req, res, next) => {
     console.error('Unhandled error:', error);
     res.status(500).json({
         error: 'Internal server error',
+        code: 'INTERNAL_ERROR',
         timestamp: new Date().toISOString()
     });
 });
@@ -1153,6 +6696,7 @@ app.use((error, req, res, next) => {
 app.use((req, res, next) => {
     res.status(404).json({
         error: 'Endpoint not found',
+        code: 'NOT_FOUND',
         availableEndpoints: [
             'GET /health - Check server status',
             'POST /generate-mail - Generate email from prompt'
@@ -1160,28 +6704,47 @@ app.use((req, res, next) => {
     });
 });
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`🚀 AI Email Generator API Server running on port ${PORT}`);
-    console.log(`📊 Health check: http://localhost:${PORT}/health`);
-    console.log(`✉️  Email generation: POST http://localhost:${PORT}/generate-mail`);
-    console.log(`🔑 Using Gemini API key: ${GEMINI_API_KEY ? 'Configured' : 'Missing'}`);
-    
-    if (!GEMINI_API_KEY) {
-        console.warn('⚠️  WARNING: GEMINI_API_KEY environment variable not set!');
-        console.warn('   Set it using: export GEMINI_API_KEY="your_api_key_here"');
-    }
-});
+// Start server when run directly; the tests require the app and listen on their own port
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`🚀 AI Email Generator API Server running on port ${PORT}`);
+        console.log(`📊 Health check: http://localhost:${PORT}/health`);
+        console.log(`✉️  Email generation: POST http://localhost:${PORT}/generate-mail`);
+        console.log(`🤖 LLM provider: ${llmProvider.name} (${llmProvider.defaultModel}${LLM_FALLBACK_MODEL ? `, fallback ${LLM_FALLBACK_MODEL}` : ''})`);
+        console.log(`💾 Workspace database: ${WORKSPACE_DB_PATH}`);
+        console.log(`📝 Prompt templates: ${Object.keys(loadPromptRegistry()).length} prompts from ${PROMPTS_DIR}`);
+        console.log(`📆 Work calendars: ${workCalendars.version} (${Object.keys(workCalendars.countries).length} countries) from ${WORK_CALENDARS_PATH}`);
+        console.log(`⏰ Send-time benchmarks: ${sendTimeBenchmarks.version} (${Object.keys(sendTimeBenchmarks.industries).length} industries) from ${SEND_TIME_BENCHMARKS_PATH}`);
+        console.log(`🗺️  Geo dataset: ${geoTimezones.version} (${geoTimezones.cityCount} cities) from ${GEO_TIMEZONES_PATH}`);
+        console.log(`⚖️  Compliance rules: ${complianceRules.version} (${complianceRules.rules.length} rules) from ${COMPLIANCE_RULES_PATH}`);
+        console.log(`🔐 API keys: ${API_AUTH_DISABLED ? 'DISABLED (API_AUTH_DISABLED=true)' : 'required on write requests'}; admin routes ${ADMIN_TOKEN ? 'enabled' : 'disabled (no ADMIN_TOKEN)'}`);
+        console.log(`🌐 CORS origins: ${CORS_ORIGINS.length > 0 ? CORS_ORIGINS.join(', ') : 'none (same-origin only)'}`);
+        if (llmProvider === geminiProvider) {
+            console.log(`🔑 Using Gemini API key: ${GEMINI_API_KEY ? 'Configured' : 'Missing'}`);
+        }
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-    console.log('\n🛑 Shutting down server gracefully...');
-    process.exit(0);
-});
+        if (!llmProvider.isConfigured()) {
+            if (llmProvider === geminiProvider) {
+                console.warn('⚠️  WARNING: GEMINI_API_KEY environment variable not set!');
+                console.warn('   Set it using: export GEMINI_API_KEY="your_api_key_here"');
+            } else if (llmProvider === stubProvider) {
+                console.warn(`⚠️  WARNING: Stub fixtures not found at ${STUB_FIXTURES_PATH}`);
+            }
+        }
+    });
 
-process.on('SIGTERM', () => {
-    console.log('\n🛑 Shutting down server gracefully...');
-    process.exit(0);
-});
+    // Graceful shutdown
+    process.on('SIGINT', () => {
+        console.log('\n🛑 Shutting down server gracefully...');
+        process.exit(0);
+    });
+
+    process.on('SIGTERM', () => {
+        console.log('\n🛑 Shutting down server gracefully...');
+        process.exit(0);
+    });
+}
 
 module.exports = app;
+// Scheduling helpers the tests exercise without going through a route
+Object.assign(module.exports, { expandIcsRecurrence, parseIcsBusyIntervals, recommendSendTimes, getSendTimeBenchmarks, getWorkCalendar, resolveMeetingLocation });
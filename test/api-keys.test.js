@@ -0,0 +1,82 @@
+'use strict';
+
+// API keys on write requests: missing keys, the daily request quota, and the daily token quota, which is also
+// checked before each LLM call of a batch job that is already running.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, postJson } = require('./support');
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+let server;
+let baseUrl;
+
+before(async () => {
+    ({ server, baseUrl } = await startServer({ API_AUTH_DISABLED: 'false', ADMIN_TOKEN }));
+});
+
+after(() => server.close());
+
+/**
+ * @param {object} limits - dailyRequestQuota, dailyTokenQuota, ...
+ * @returns {Promise<string>} - The plain key
+ */
+async function createKey(limits) {
+    const response = await postJson(`${baseUrl}/api-keys`, { name: 'test', ...limits }, { Authorization: `Bearer ${ADMIN_TOKEN}` });
+    assert.equal(response.status, 201);
+    return (await response.json()).key;
+}
+
+const emailRequest = { userPrompt: 'Write an intro email to a VP of Sales about automated lead research' };
+
+test('write requests without a valid key are rejected', async () => {
+    const response = await postJson(`${baseUrl}/generate-mail`, emailRequest, { 'X-API-Key': 'stk_not-a-key' });
+    assert.equal(response.status, 401);
+});
+
+test('the daily request quota stops further requests', async () => {
+    const key = await createKey({ dailyRequestQuota: 2 });
+    for (let i = 0; i < 2; i++) {
+        const response = await postJson(`${baseUrl}/generate-mail`, emailRequest, { 'X-API-Key': key });
+        assert.equal(response.status, 200);
+        await response.json();
+    }
+    const blocked = await postJson(`${baseUrl}/generate-mail`, emailRequest, { 'X-API-Key': key });
+    assert.equal(blocked.status, 429);
+    assert.match((await blocked.json()).error, /Daily request quota of 2 exceeded/);
+    assert.ok(Number(blocked.headers.get('retry-after')) > 0);
+});
+
+test('the daily token quota stops further requests once LLM usage reaches it', async () => {
+    const key = await createKey({ dailyTokenQuota: 100 });
+    const first = await postJson(`${baseUrl}/generate-mail`, emailRequest, { 'X-API-Key': key });
+    assert.equal(first.status, 200);
+    await first.json();
+    const blocked = await postJson(`${baseUrl}/generate-mail`, emailRequest, { 'X-API-Key': key });
+    assert.equal(blocked.status, 429);
+    assert.match((await blocked.json()).error, /Daily token quota of 100 exceeded/);
+});
+
+test('a batch job fails its remaining rows once the token quota runs out mid-job', async () => {
+    const key = await createKey({ dailyTokenQuota: 100 });
+    const started = await postJson(`${baseUrl}/generate-mail-batch`, {
+        leadsCsv: 'name,company\nAda,Acme\nGrace,Globex\nLinus,Initech',
+        brief: 'Introduce our automated lead research tool',
+        concurrency: 1
+    }, { 'X-API-Key': key });
+    assert.equal(started.status, 202);
+    const { statusUrl, downloadUrl } = await started.json();
+
+    let job;
+    for (let i = 0; i < 100; i++) {
+        job = await (await fetch(`${baseUrl}${statusUrl}`)).json();
+        if (job.status !== 'running') break;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.equal(job.status, 'completed');
+    assert.equal(job.completed, 1);
+    assert.equal(job.failed, 2);
+
+    const csv = await (await fetch(`${baseUrl}${downloadUrl}`)).text();
+    assert.equal(csv.match(/Daily token quota of 100 exceeded/g).length, 2);
+});
@@ -0,0 +1,70 @@
+'use strict';
+
+// Compliance guardrails on /generate-mail: regions resolved from the lead's country, blocking region rules, the
+// company profile's banned claims, and no streaming while a blocking rule applies. The stub email has no opt-out line.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, postJson } = require('./support');
+
+let server;
+let baseUrl;
+
+before(async () => {
+    ({ server, baseUrl } = await startServer());
+});
+
+after(() => server.close());
+
+const generateMail = (body, headers) => postJson(`${baseUrl}/generate-mail`, {
+    userPrompt: 'Write an intro email to a VP of Sales about automated lead research',
+    ...body
+}, headers);
+
+test('regions come from the country the lead location resolves to', async () => {
+    for (const [leadLocation, regions] of [['Paris, Texas', ['US']], ['Austin, TX, United States', ['US']], ['London', ['UK']], ['Acme HQ', ['US']]]) {
+        // Blocked responses carry the check too
+        const { compliance } = await (await generateMail({ leadLocation })).json();
+        assert.deepEqual(compliance.regions, regions, leadLocation);
+    }
+});
+
+test('annotate rules are returned with the email', async () => {
+    const response = await generateMail({ leadLocation: 'New York' });
+    assert.equal(response.status, 200);
+    const { compliance } = await response.json();
+    assert.equal(compliance.status, 'annotated');
+    assert.ok(compliance.violations.some(v => v.ruleId === 'can-spam-opt-out' && v.action === 'annotate'));
+});
+
+test('a blocking region rule fails the request with 422 COMPLIANCE_BLOCKED', async () => {
+    const response = await generateMail({ leadLocation: 'Toronto' });
+    assert.equal(response.status, 422);
+    const body = await response.json();
+    assert.equal(body.code, 'COMPLIANCE_BLOCKED');
+    assert.deepEqual(body.compliance.regions, ['CA']);
+    assert.ok(body.compliance.violations.some(v => v.ruleId === 'casl-unsubscribe' && v.action === 'block'));
+});
+
+test('content is checked before it is sent when a streaming request would be blocked', async () => {
+    const response = await generateMail({ leadLocation: 'Berlin' }, { Accept: 'text/event-stream' });
+    assert.equal(response.status, 422);
+    assert.match(response.headers.get('content-type'), /application\/json/);
+    assert.equal((await response.json()).code, 'COMPLIANCE_BLOCKED');
+});
+
+test("the company profile's banned claims block the email", async () => {
+    const created = await postJson(`${baseUrl}/company-profiles`, {
+        name: 'Acme Research',
+        products: [{ name: 'Lead Research', description: 'Automated lead research for SDR teams' }],
+        bannedClaims: ['book more meetings']
+    });
+    assert.equal(created.status, 201);
+    const { id } = await created.json();
+
+    const response = await generateMail({ companyProfileId: id, leadLocation: 'Chicago' });
+    assert.equal(response.status, 422);
+    const { compliance } = await response.json();
+    const violation = compliance.violations.find(v => v.ruleId === 'company-banned-claims');
+    assert.equal(violation.action, 'block');
+    assert.match(violation.text, /book more meetings/i);
+});
@@ -0,0 +1,75 @@
+'use strict';
+
+// RRULE expansion for busy calendars: COUNT, UNTIL, weekly BYDAY, local times across DST, EXDATEs and moved
+// occurrences.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { DateTime } = require('luxon');
+const { startServer } = require('./support');
+
+let server;
+let expandIcsRecurrence;
+let parseIcsBusyIntervals;
+
+before(async () => {
+    let app;
+    ({ app, server } = await startServer());
+    ({ expandIcsRecurrence, parseIcsBusyIntervals } = app);
+});
+
+after(() => server.close());
+
+const ZONE = 'America/New_York';
+const local = iso => DateTime.fromISO(iso, { zone: ZONE });
+const isoDates = starts => starts.map(start => start.toISODate());
+
+test('weekly BYDAY occurrences stop after COUNT', () => {
+    // 2026-01-05 is a Monday
+    const starts = expandIcsRecurrence(local('2026-01-05T09:00'), 'FREQ=WEEKLY;BYDAY=MO,WE;COUNT=5', local('2026-01-01T00:00'), local('2026-03-01T00:00'));
+    assert.deepEqual(isoDates(starts), ['2026-01-05', '2026-01-07', '2026-01-12', '2026-01-14', '2026-01-19']);
+});
+
+test('UNTIL and INTERVAL limit a daily series', () => {
+    const starts = expandIcsRecurrence(local('2026-02-02T08:30'), 'FREQ=DAILY;INTERVAL=2;UNTIL=20260210T235959Z', local('2026-02-01T00:00'), local('2026-03-01T00:00'));
+    assert.deepEqual(isoDates(starts), ['2026-02-02', '2026-02-04', '2026-02-06', '2026-02-08', '2026-02-10']);
+});
+
+test('occurrences keep their local time across a DST change', () => {
+    // US clocks go forward on 2026-03-08
+    const starts = expandIcsRecurrence(local('2026-03-02T09:00'), 'FREQ=WEEKLY', local('2026-03-01T00:00'), local('2026-03-20T00:00'));
+    assert.deepEqual(starts.map(start => start.toFormat('yyyy-MM-dd HH:mm ZZ')), [
+        '2026-03-02 09:00 -05:00',
+        '2026-03-09 09:00 -04:00',
+        '2026-03-16 09:00 -04:00'
+    ]);
+});
+
+test('an old series counts the occurrences before the window towards COUNT', () => {
+    const starts = expandIcsRecurrence(local('2020-01-01T10:00'), 'FREQ=DAILY;COUNT=30', local('2026-01-01T00:00'), local('2026-02-01T00:00'));
+    assert.deepEqual(starts.filter(start => start >= local('2026-01-01T00:00')), []);
+});
+
+test('busy intervals skip EXDATEs and use moved occurrences in their new slot', () => {
+    const ics = [
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        'UID:standup',
+        `DTSTART;TZID=${ZONE}:20260105T090000`,
+        `DTEND;TZID=${ZONE}:20260105T093000`,
+        'RRULE:FREQ=DAILY;COUNT=5',
+        `EXDATE;TZID=${ZONE}:20260107T090000`,
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'UID:standup',
+        `RECURRENCE-ID;TZID=${ZONE}:20260108T090000`,
+        `DTSTART;TZID=${ZONE}:20260108T150000`,
+        `DTEND;TZID=${ZONE}:20260108T153000`,
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ].join('\r\n');
+    const busy = parseIcsBusyIntervals(ics, ZONE, local('2026-01-01T00:00'), local('2026-01-31T00:00'));
+    assert.deepEqual(busy.map(b => DateTime.fromMillis(b.start, { zone: ZONE }).toFormat('MM-dd HH:mm')), [
+        '01-05 09:00', '01-06 09:00', '01-08 15:00', '01-09 09:00'
+    ]);
+    assert.ok(busy.every(b => b.end - b.start === 30 * 60 * 1000));
+});
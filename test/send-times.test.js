@@ -0,0 +1,87 @@
+'use strict';
+
+// Send-time engine: benchmark days and times in the lead's zone, the lead's holidays and the follow-up window after
+// a previous email. "now" is fixed so the results do not depend on the day the tests run.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { DateTime } = require('luxon');
+const { startServer, postJson } = require('./support');
+
+let server;
+let baseUrl;
+let engine;
+
+before(async () => {
+    let app;
+    ({ app, server, baseUrl } = await startServer());
+    engine = app;
+});
+
+after(() => server.close());
+
+const ZONE = 'America/New_York';
+
+/**
+ * @param {object} options - Overrides for recommendSendTimes
+ * @returns {object}
+ */
+function recommend(options) {
+    const { recommendSendTimes, getSendTimeBenchmarks, getWorkCalendar, resolveMeetingLocation } = engine;
+    // Technology/SaaS: Tuesday to Thursday at 10:00, 14:00 and 16:00
+    return recommendSendTimes({
+        benchmark: getSendTimeBenchmarks().get('technology'),
+        leadZone: ZONE,
+        calendar: getWorkCalendar(resolveMeetingLocation('New York')),
+        previousSentAt: null,
+        count: 6,
+        excludeHolidays: true,
+        now: DateTime.fromISO('2026-11-24T12:00', { zone: ZONE }),
+        ...options
+    });
+}
+
+const format = times => times.map(time => time.setZone(ZONE).toFormat('ccc dd HH:mm'));
+
+test('best days and times are used from now on, skipping the lead\'s public holidays', () => {
+    const { sendTimes, skippedDays } = recommend({});
+    assert.deepEqual(format(sendTimes), ['Tue 24 14:00', 'Tue 24 16:00', 'Wed 25 10:00', 'Wed 25 14:00', 'Wed 25 16:00', 'Tue 01 10:00']);
+    assert.deepEqual(skippedDays, [{ date: '2026-11-26', weekday: 'Thursday', reason: 'holiday', name: 'Thanksgiving' }]);
+});
+
+test('holidays are kept when excludeHolidays is off', () => {
+    const { sendTimes, skippedDays } = recommend({ excludeHolidays: false });
+    assert.equal(format(sendTimes)[5], 'Thu 26 10:00');
+    assert.deepEqual(skippedDays, []);
+});
+
+test('the follow-up window after the previous email sets the earliest send time', () => {
+    const { followUpWindow, sendTimes } = recommend({ previousSentAt: DateTime.fromISO('2026-11-30T15:00', { zone: ZONE }), count: 2 });
+    assert.equal(followUpWindow.opensAt.toFormat('ccc dd HH:mm'), 'Tue 01 15:00');
+    assert.equal(followUpWindow.closesAt.toFormat('ccc dd HH:mm'), 'Wed 02 15:00');
+    assert.deepEqual(format(sendTimes), ['Tue 01 16:00', 'Wed 02 10:00']);
+});
+
+test('times stay on the lead\'s local clock across a DST change', () => {
+    // Europe moves its clocks back on 2026-10-25, a week before the US
+    const { sendTimes } = recommend({
+        leadZone: 'Europe/Berlin',
+        calendar: engine.getWorkCalendar(engine.resolveMeetingLocation('Berlin')),
+        now: DateTime.fromISO('2026-10-20T12:00', { zone: 'Europe/Berlin' }),
+        count: 4
+    });
+    assert.deepEqual(sendTimes.map(time => time.toFormat('ccc dd HH:mm ZZ')), [
+        'Tue 20 14:00 +02:00', 'Tue 20 16:00 +02:00', 'Wed 21 10:00 +02:00', 'Wed 21 14:00 +02:00'
+    ]);
+    const { sendTimes: later } = recommend({
+        leadZone: 'Europe/Berlin',
+        calendar: engine.getWorkCalendar(engine.resolveMeetingLocation('Berlin')),
+        now: DateTime.fromISO('2026-10-26T12:00', { zone: 'Europe/Berlin' }),
+        count: 1
+    });
+    assert.equal(later[0].toFormat('ccc dd HH:mm ZZ'), 'Tue 27 10:00 +01:00');
+});
+
+test('/recommend-send-times rejects an unknown industry', async () => {
+    const response = await postJson(`${baseUrl}/recommend-send-times`, { industry: 'not-an-industry', repTimezone: ZONE });
+    assert.equal(response.status, 400);
+});
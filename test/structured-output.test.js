@@ -0,0 +1,87 @@
+'use strict';
+
+// Structured generation through /generate-sequence: schema and step-order validation, the single repair round-trip
+// and the LLM response cache. The stub answers from a fixture file written for this test.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FIXTURES_PATH, startServer, postJson } = require('./support');
+
+const REPAIR_MARKER = 'Your previous response did not match the required JSON format.';
+
+const step = (n, dayOffset) => ({
+    step: n,
+    dayOffset,
+    angle: `Angle ${n}`,
+    subject: `Subject ${n}`,
+    body: `Hi there,\n\nTouch ${n} of the sequence.\n\nBest regards,\nThe Sales Team`,
+    referencesSteps: n > 1 ? [n - 1] : []
+});
+const validSequence = { steps: [step(1, 0), step(2, 3), step(3, 7), step(4, 14)] };
+// Step 2 appears twice, which passes the schema but not the step-order check
+const duplicateStepSequence = { steps: [step(1, 0), step(2, 3), step(2, 7), step(4, 14)] };
+
+let server;
+let baseUrl;
+let fixturesDir;
+
+before(async () => {
+    const fixtures = JSON.parse(fs.readFileSync(FIXTURES_PATH, 'utf8'));
+    fixtures['generate-sequence'] = {
+        $variants: [
+            // Three-step requests stay invalid even after the repair prompt
+            { promptIncludes: 'Write a 3-step cold email sequence', response: { steps: duplicateStepSequence.steps.slice(0, 3) } },
+            { promptIncludes: REPAIR_MARKER, response: validSequence }
+        ],
+        $default: duplicateStepSequence
+    };
+    fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-stub-'));
+    const fixturesPath = path.join(fixturesDir, 'llm-stub.json');
+    fs.writeFileSync(fixturesPath, JSON.stringify(fixtures));
+    ({ server, baseUrl } = await startServer({ STUB_FIXTURES_PATH: fixturesPath }));
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+});
+
+const sequenceRequest = touches => ({
+    leadPersona: 'VP of Sales at a mid-size SaaS company',
+    productService: 'Automated lead research',
+    goal: 'Book a 15-minute demo',
+    touches
+});
+
+test('output that fails validation is repaired once and then returned', async () => {
+    const response = await postJson(`${baseUrl}/generate-sequence`, sequenceRequest(4));
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.deepEqual(body.steps.map(s => s.step), [1, 2, 3, 4]);
+    assert.deepEqual(body.steps.map(s => s.dayOffset), [0, 3, 7, 14]);
+});
+
+test('output that is still invalid after the repair is rejected with the problems found', async () => {
+    const response = await postJson(`${baseUrl}/generate-sequence`, sequenceRequest(3));
+    assert.equal(response.status, 502);
+    const body = await response.json();
+    assert.equal(body.code, 'INVALID_MODEL_OUTPUT');
+    assert.ok(body.details.some(d => /appears more than once/.test(d.message)), JSON.stringify(body.details));
+});
+
+test('identical requests are served from the cache unless the client asks for a fresh generation', async () => {
+    const request = { ...sequenceRequest(4), goal: 'Get a referral to the right person' };
+    const first = await postJson(`${baseUrl}/generate-sequence`, request);
+    assert.equal(first.headers.get('x-cache'), 'MISS');
+    const firstBody = await first.json();
+
+    const second = await postJson(`${baseUrl}/generate-sequence`, request);
+    assert.equal(second.headers.get('x-cache'), 'HIT');
+    assert.deepEqual((await second.json()).steps, firstBody.steps);
+
+    const fresh = await postJson(`${baseUrl}/generate-sequence`, request, { 'Cache-Control': 'no-cache' });
+    assert.equal(fresh.headers.get('x-cache'), 'BYPASS');
+    await fresh.json();
+});
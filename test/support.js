@@ -0,0 +1,37 @@
+'use strict';
+
+// Shared setup for the route tests: the app runs on the stub LLM provider with an in-memory workspace database,
+// listening on a free local port. Environment overrides must be passed here, before index.js is first required.
+const path = require('path');
+
+const FIXTURES_PATH = path.join(__dirname, '..', 'fixtures', 'llm-stub.json');
+
+/**
+ * Require the app with test settings and start it
+ * @param {Object<string, string>} [env] - Extra environment variables, e.g. ADMIN_TOKEN
+ * @returns {Promise<{app: import('express').Express, server: import('http').Server, baseUrl: string}>}
+ */
+function startServer(env = {}) {
+    Object.assign(process.env, {
+        LLM_PROVIDER: 'stub',
+        WORKSPACE_DB_PATH: ':memory:',
+        API_AUTH_DISABLED: 'true'
+    }, env);
+    const app = require('../index.js');
+    return new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => resolve({ app, server, baseUrl: `http://127.0.0.1:${server.address().port}` }));
+    });
+}
+
+/**
+ * POST a JSON body
+ * @param {string} url
+ * @param {object} body
+ * @param {Object<string, string>} [headers]
+ * @returns {Promise<Response>}
+ */
+function postJson(url, body, headers = {}) {
+    return fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json', ...headers }, body: JSON.stringify(body) });
+}
+
+module.exports = { FIXTURES_PATH, startServer, postJson };